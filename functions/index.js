@@ -1,4 +1,5 @@
 const { onRequest } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
 const { defineSecret } = require('firebase-functions/params');
 const admin = require('firebase-admin');
 const express = require('express');
@@ -39,22 +40,57 @@ app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 app.use(morgan(':method :url :status :res[content-length] - :response-time ms'));
 
 // CORS - allow all origins for now, restrict in production
-app.use(cors({ origin: true }));
+// Expose ETag so browser clients can send it back in If-Match, and
+// X-Tile-Truncated so map clients can tell when a tile is missing campsites
+app.use(cors({ origin: true, exposedHeaders: ['ETag', 'X-Tile-Truncated'] }));
 
 // Import routes
 const campsitesRouter = require('./routes/campsites');
+const trashRouter = require('./routes/trash');
 const weatherRouter = require('./routes/weather');
 const elevationRouter = require('./routes/elevation');
 const photosRouter = require('./routes/photos');
 const reviewsRouter = require('./routes/reviews');
+const revisionsRouter = require('./routes/revisions');
+const sharingRouter = require('./routes/sharing');
+const shareLinksRouter = require('./routes/shareLinks');
+const mergesRouter = require('./routes/merges');
+const conditionsRouter = require('./routes/conditions');
+const campsiteReportsRouter = require('./routes/campsiteReports');
 const searchRouter = require('./routes/search');
+const collectionsRouter = require('./routes/collections');
+const favoritesRouter = require('./routes/favorites');
+const visitsRouter = require('./routes/visits');
+const transfersRouter = require('./routes/transfers');
+const notificationsRouter = require('./routes/notifications');
+const moderationRouter = require('./routes/moderation');
+const syncRouter = require('./routes/sync');
+const tilesRouter = require('./routes/tiles');
 const bugRouter = require('./routes/bug');
+const { purgeExpiredTrash } = require('./utils/campsiteCleanup');
+const { purgeExpiredTombstones } = require('./utils/tombstones');
 
 // Use routes
+// Trash is mounted first so /api/campsites/trash is not treated as a campsite ID
+app.use('/api/campsites/trash', trashRouter);
 app.use('/api/campsites', campsitesRouter);
 app.use('/api/campsites', photosRouter);
 app.use('/api/campsites', reviewsRouter);
+app.use('/api/campsites', revisionsRouter);
+app.use('/api/campsites', sharingRouter);
+app.use('/api/campsites', shareLinksRouter);
+app.use('/api/campsites', mergesRouter);
+app.use('/api/campsites', conditionsRouter);
+app.use('/api/campsites', campsiteReportsRouter);
 app.use('/api/search', searchRouter);
+app.use('/api/collections', collectionsRouter);
+app.use('/api/favorites', favoritesRouter);
+app.use('/api/visits', visitsRouter);
+app.use('/api/transfers', transfersRouter);
+app.use('/api/notifications', notificationsRouter);
+app.use('/api/moderation', moderationRouter);
+app.use('/api/sync', syncRouter);
+app.use('/api/tiles', tilesRouter);
 app.use('/api/weather', weatherRouter);
 app.use('/api/elevation', elevationRouter);
 app.use('/api/bug', bugRouter);
@@ -87,4 +123,28 @@ exports.api = onRequest(
   },
   app
 );
+
+// Permanently delete campsites that have been in the trash past the retention period
+exports.purgeTrash = onSchedule(
+  {
+    schedule: 'every 24 hours',
+    region: 'us-central1'
+  },
+  async () => {
+    const { purged, failed } = await purgeExpiredTrash();
+    console.log(`Purged ${purged.length} trashed campsites, ${failed.length} will be retried`);
+  }
+);
+
+// Delete sync tombstones older than the retention period
+exports.purgeTombstones = onSchedule(
+  {
+    schedule: 'every 24 hours',
+    region: 'us-central1'
+  },
+  async () => {
+    const purged = await purgeExpiredTombstones();
+    console.log(`Purged ${purged} sync tombstones`);
+  }
+);
 exports.db = db;
@@ -4,6 +4,7 @@ module.exports = {
   collectCoverageFrom: [
     'routes/**/*.js',
     'middleware/**/*.js',
+    'utils/**/*.js',
     '!**/node_modules/**',
     '!**/test/**'
   ],
@@ -3,7 +3,7 @@ const admin = require('firebase-admin');
 /**
  * Middleware to verify Firebase ID token
  * Extracts the token from Authorization header and verifies it
- * Adds decoded user info to req.user
+ * Adds decoded user info to req.user, including the moderator custom claim
  */
 async function verifyFirebaseToken(req, res, next) {
   const authHeader = req.header('Authorization');
@@ -19,7 +19,8 @@ async function verifyFirebaseToken(req, res, next) {
     req.user = {
       uid: decodedToken.uid,
       email: decodedToken.email,
-      email_verified: decodedToken.email_verified
+      email_verified: decodedToken.email_verified,
+      moderator: decodedToken.moderator === true
     };
     next();
   } catch (error) {
@@ -47,7 +48,8 @@ async function optionalAuth(req, res, next) {
     req.user = {
       uid: decodedToken.uid,
       email: decodedToken.email,
-      email_verified: decodedToken.email_verified
+      email_verified: decodedToken.email_verified,
+      moderator: decodedToken.moderator === true
     };
   } catch (error) {
     console.error('Token verification error (optional):', error);
@@ -57,7 +59,19 @@ async function optionalAuth(req, res, next) {
   next();
 }
 
+/**
+ * Middleware to restrict an endpoint to moderators
+ * Must run after verifyFirebaseToken
+ */
+function requireModerator(req, res, next) {
+  if (!req.user || !req.user.moderator) {
+    return res.status(403).json({ error: 'Moderator access required' });
+  }
+  next();
+}
+
 module.exports = {
   verifyFirebaseToken,
-  optionalAuth
+  optionalAuth,
+  requireModerator
 };
@@ -0,0 +1,116 @@
+const router = require('express').Router();
+const admin = require('firebase-admin');
+const { verifyFirebaseToken } = require('../middleware/auth');
+const { canView, isOwner } = require('../utils/campsiteAccess');
+
+const REPORT_REASONS = ['does-not-exist', 'private-land', 'closed', 'spam', 'unsafe', 'duplicate'];
+
+// Campsites with this many open reports are hidden from search until a
+// moderator reviews them
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD) || 3;
+
+/**
+ * Reports are stored one document per user and campsite, keyed by both IDs,
+ * so each user can report a campsite once
+ */
+function reportId(userId, campsiteId) {
+  return `${userId}_${campsiteId}`;
+}
+
+/**
+ * POST /api/campsites/:id/report
+ * Report a campsite for moderation
+ * Body: { reason, details, duplicateOf }
+ * - reason: does-not-exist, private-land, closed, spam, unsafe or duplicate
+ * - duplicateOf: the campsite this one duplicates (reason duplicate only)
+ * Auth: Required (the campsite must be visible to the user)
+ */
+router.post('/:id/report', verifyFirebaseToken, async (req, res) => {
+  try {
+    const campsiteId = req.params.id;
+    const { reason, details, duplicateOf } = req.body;
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `Reason must be one of: ${REPORT_REASONS.join(', ')}` });
+    }
+
+    if (details !== undefined && details !== null && (typeof details !== 'string' || details.length > 1000)) {
+      return res.status(400).json({ error: 'Details must be 1000 characters or less' });
+    }
+
+    if (duplicateOf !== undefined && (reason !== 'duplicate' || typeof duplicateOf !== 'string')) {
+      return res.status(400).json({ error: 'duplicateOf is only allowed for duplicate reports' });
+    }
+
+    const db = admin.firestore();
+    const campsiteRef = db.collection('campsites').doc(campsiteId);
+    const reportRef = db.collection('campsiteReports').doc(reportId(req.user.uid, campsiteId));
+
+    const result = await db.runTransaction(async (transaction) => {
+      const campsiteDoc = await transaction.get(campsiteRef);
+      const reportDoc = await transaction.get(reportRef);
+
+      if (!campsiteDoc.exists) {
+        return { status: 404, error: 'Campsite not found' };
+      }
+
+      const campsite = campsiteDoc.data();
+      if (!canView(campsite, req.user)) {
+        return { status: 403, error: 'Access denied' };
+      }
+
+      if (isOwner(campsite, req.user)) {
+        return { status: 400, error: 'You cannot report your own campsite' };
+      }
+
+      if (reportDoc.exists) {
+        return { status: 409, error: 'You have already reported this campsite' };
+      }
+
+      const reportCount = (campsite.reportCount || 0) + 1;
+      const hidden = campsite.hidden === true || reportCount >= REPORT_HIDE_THRESHOLD;
+
+      transaction.set(reportRef, {
+        campsiteId,
+        userId: req.user.uid,
+        reason,
+        details: details || null,
+        duplicateOf: duplicateOf || null,
+        status: 'open',
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      // Moderator decisions stick: a campsite they hid stays hidden
+      const updates = {
+        reportCount,
+        [`reportReasons.${reason}`]: admin.firestore.FieldValue.increment(1),
+        moderationStatus: campsite.moderationStatus === 'hidden' ? 'hidden' : 'pending',
+        hidden
+      };
+
+      // Offline sync picks up campsites that were hidden by updatedAt; other
+      // reports leave it alone, so the owner's ETag stays valid
+      if (hidden !== (campsite.hidden === true)) {
+        updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+      }
+
+      transaction.update(campsiteRef, updates);
+
+      return { status: 201, hidden };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Campsite reported successfully',
+      hidden: result.hidden
+    });
+  } catch (error) {
+    console.error('Campsite report error:', error);
+    res.status(500).json({ error: 'Failed to report campsite', details: error.message });
+  }
+});
+
+module.exports = router;
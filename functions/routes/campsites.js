@@ -1,62 +1,293 @@
 const router = require('express').Router();
 const admin = require('firebase-admin');
-const { check, validationResult } = require('express-validator');
 const { verifyFirebaseToken, optionalAuth } = require('../middleware/auth');
+const multer = require('multer');
 const geohash = require('geofire-common');
+const { EXPORT_FORMATS, sendExport, detectFormat, parseImport } = require('../utils/geoFormats');
+const { TRASH_RETENTION_DAYS } = require('../utils/campsiteCleanup');
+const { locationFields, positionOf, findPublicCampsitesNear } = require('../utils/geo');
+const { recordRevision } = require('../utils/revisions');
+const {
+  validateCampsite,
+  validateCampsiteBody,
+  mergeAttributes,
+  formatPublicCampsite
+} = require('../utils/campsiteSchema');
+const {
+  campsiteETag,
+  ifMatchSatisfied,
+  sendPreconditionFailed,
+  unchangedSince,
+  isPreconditionFailure
+} = require('../utils/etag');
+const { isOwner, canView, canEdit, isListedFor, forViewer } = require('../utils/campsiteAccess');
+const { findShareLink, consumeView } = require('../utils/shareLinks');
+const { favoritedBy } = require('../utils/favorites');
+const { isMerging } = require('../utils/campsiteMerge');
+const { currentConditions } = require('../utils/conditions');
+const { writeTombstone } = require('../utils/tombstones');
 
 const db = admin.firestore();
 const campsitesRef = db.collection('campsites');
 
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 500;
+
+// Page sizes for listing campsites
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Reviewers can be notified when a pin moves further than this
+const PIN_MOVE_NOTIFY_METERS = parseInt(process.env.PIN_MOVE_NOTIFY_METERS) || 500;
+
+// New campsites this close to an existing public campsite are likely duplicates
+const DUPLICATE_RADIUS_METERS = parseInt(process.env.DUPLICATE_RADIUS_METERS) || 50;
+
+// Maximum number of points accepted in a single import file
+const MAX_IMPORT_ROWS = 2000;
+
+// Configure multer for memory storage of import files
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+/**
+ * Receive the import file, answering 400 for uploads multer rejects
+ * (such as files over the size limit) instead of passing them to the
+ * global error handler
+ */
+function receiveImportFile(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE' ? 'File size exceeds 5MB limit' : error.message;
+      return res.status(400).json({ error: message });
+    }
+    next(error);
+  });
+}
+
+/**
+ * Build a new campsite document for the given owner
+ */
+function buildCampsite(userId, { latitude, longitude, title, description, visibility, attributes }) {
+  return {
+    userId,
+    ...locationFields(latitude, longitude),
+    title,
+    description: description || '',
+    visibility,
+    attributes: mergeAttributes({}, attributes),
+    hasPhotos: false,
+    photos: [],
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+/**
+ * Add the favoritedByMe flag to a campsite for authenticated requests
+ */
+async function withFavoriteFlag(campsite, user) {
+  if (!user) {
+    return campsite;
+  }
+
+  const favorites = await favoritedBy(user, [campsite.id]);
+  return { ...campsite, favoritedByMe: favorites.has(campsite.id) };
+}
+
+/**
+ * Encode the position of a campsite in the createdAt ordering as an opaque cursor
+ */
+function encodeCursor(campsite) {
+  const position = {
+    s: campsite.createdAt.seconds,
+    n: campsite.createdAt.nanoseconds,
+    id: campsite.id
+  };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * Returns null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const { s, n, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isInteger(s) || !Number.isInteger(n) || typeof id !== 'string') {
+      return null;
+    }
+    return { createdAt: new admin.firestore.Timestamp(s, n), id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Order campsites newest first, using the document ID to break ties
+ */
+function compareNewestFirst(a, b) {
+  return (b.createdAt.seconds - a.createdAt.seconds) ||
+    (b.createdAt.nanoseconds - a.createdAt.nanoseconds) ||
+    (b.id < a.id ? -1 : b.id > a.id ? 1 : 0);
+}
+
+/**
+ * Fetch one page of a campsites query in createdAt order, starting after the cursor
+ * Fetches one extra document so the caller can tell whether more pages exist;
+ * without a limit, fetches everything after the cursor
+ */
+async function fetchPage(query, cursor, limit) {
+  let pageQuery = query
+    .orderBy('createdAt', 'desc')
+    .orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+
+  if (cursor) {
+    pageQuery = pageQuery.startAfter(cursor.createdAt, cursor.id);
+  }
+
+  if (limit) {
+    pageQuery = pageQuery.limit(limit + 1);
+  }
+
+  const snapshot = await pageQuery.get();
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(campsite => campsite.createdAt);
+}
+
+/**
+ * Keep only the requested top-level fields of a campsite (always including id)
+ */
+function projectFields(campsite, fields) {
+  if (!fields) {
+    return campsite;
+  }
+
+  const projected = { id: campsite.id };
+  for (const field of fields) {
+    if (campsite[field] !== undefined) {
+      projected[field] = campsite[field];
+    }
+  }
+  return projected;
+}
+
 /**
  * GET /api/campsites
- * List campsites visible to the current user
+ * List campsites visible to the current user, newest first
+ * Query parameters:
+ * - limit: page size (default 50, max 100)
+ * - cursor: nextCursor from the previous page
+ * - fields: comma-separated list of fields to return (id is always included)
+ * Without limit or cursor, responds with a plain array of every campsite, as
+ * before pagination existed; with either, responds with one page as
+ * { campsites, pagination }
+ * Campsites hidden by reports or a moderator are only listed for their owner,
+ * so a page can hold fewer than limit campsites
  * Auth: Optional
  */
 router.get('/', optionalAuth, async (req, res) => {
-  try {
-    let query = campsitesRef;
+  const paginated = req.query.limit !== undefined || req.query.cursor !== undefined;
+  const limit = paginated ? Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE) : null;
+  const fields = req.query.fields
+    ? req.query.fields.split(',').map(field => field.trim()).filter(Boolean)
+    : null;
+  let cursor = null;
+
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+  }
 
+  try {
+    // Unauthenticated: only show public campsites
+    // Authenticated: show public campsites + user's own private/unlisted sites
+    // + sites shared with the user
+    const queries = [campsitesRef.where('visibility', '==', 'public')];
     if (req.user) {
-      // Authenticated: show public campsites + user's own private/unlisted sites
-      // This requires a composite query or multiple queries
-      const publicQuery = campsitesRef.where('visibility', '==', 'public').get();
-      const userQuery = campsitesRef.where('userId', '==', req.user.uid).get();
+      queries.push(campsitesRef.where('userId', '==', req.user.uid));
+      queries.push(campsitesRef.where('sharedWithIds', 'array-contains', req.user.uid));
+    }
 
-      const [publicSnapshot, userSnapshot] = await Promise.all([publicQuery, userQuery]);
+    const pages = await Promise.all(queries.map(query => fetchPage(query, cursor, limit)));
 
-      const campsites = [];
-      const seenIds = new Set();
+    // Merge the pages in a single ordering; a site can appear in more than one
+    const campsites = [];
+    const seenIds = new Set();
 
-      publicSnapshot.forEach(doc => {
-        if (!seenIds.has(doc.id)) {
-          campsites.push({ id: doc.id, ...doc.data() });
-          seenIds.add(doc.id);
-        }
-      });
+    for (const campsite of pages.flat().sort(compareNewestFirst)) {
+      if (!seenIds.has(campsite.id)) {
+        campsites.push(campsite);
+        seenIds.add(campsite.id);
+      }
+    }
 
-      userSnapshot.forEach(doc => {
-        if (!seenIds.has(doc.id)) {
-          campsites.push({ id: doc.id, ...doc.data() });
-          seenIds.add(doc.id);
-        }
-      });
+    // Hidden campsites are left out after paging, so the cursor still moves past them
+    const format = list => list
+      .filter(campsite => isListedFor(campsite, req.user))
+      .map(campsite => projectFields(forViewer(campsite, req.user), fields));
 
-      return res.json(campsites);
-    } else {
-      // Unauthenticated: only show public campsites
-      const snapshot = await campsitesRef.where('visibility', '==', 'public').get();
-      const campsites = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      return res.json(campsites);
+    if (!paginated) {
+      return res.json(format(campsites));
     }
+
+    const page = campsites.slice(0, limit);
+    const nextCursor = campsites.length > limit ? encodeCursor(page[page.length - 1]) : null;
+
+    res.json({
+      campsites: format(page),
+      pagination: {
+        limit,
+        nextCursor
+      }
+    });
   } catch (error) {
     console.error('Error fetching campsites:', error);
     res.status(500).json({ error: 'Failed to fetch campsites' });
   }
 });
 
+/**
+ * GET /api/campsites/export
+ * Export the current user's campsites as a file
+ * Query parameters:
+ * - format: gpx, kml or geojson (default geojson)
+ * Auth: Required
+ */
+router.get('/export', verifyFirebaseToken, async (req, res) => {
+  const format = (req.query.format || 'geojson').toLowerCase();
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  try {
+    const snapshot = await campsitesRef.where('userId', '==', req.user.uid).get();
+    const campsites = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    sendExport(res, campsites, format, 'campsites');
+  } catch (error) {
+    console.error('Error exporting campsites:', error);
+    res.status(500).json({ error: 'Failed to export campsites' });
+  }
+});
+
 /**
  * GET /api/campsites/:id
  * Get a single campsite by ID
+ * Private and unlisted campsites can be read with a share link token
+ * (shareToken query parameter or X-Share-Token header)
+ * Authenticated requests also get a favoritedByMe flag
+ * conditions summarizes the current (unexpired) condition reports
+ * Sets an ETag from updatedAt for use with If-Match on PUT and DELETE
+ * Campsites merged into another one respond 301 with the surviving campsite's id
  * Auth: Optional
  */
 router.get('/:id', optionalAuth, async (req, res) => {
@@ -64,22 +295,32 @@ router.get('/:id', optionalAuth, async (req, res) => {
     const doc = await campsitesRef.doc(req.params.id).get();
 
     if (!doc.exists) {
+      // Campsites merged into another one redirect to it
+      const redirectDoc = await db.collection('campsiteRedirects').doc(req.params.id).get();
+      if (redirectDoc.exists) {
+        const { targetId } = redirectDoc.data();
+        return res.status(301)
+          .location(`${req.baseUrl}/${targetId}`)
+          .json({ message: 'Campsite was merged into another campsite', id: targetId });
+      }
+
       return res.status(404).json({ error: 'Campsite not found' });
     }
 
     const campsite = { id: doc.id, ...doc.data() };
+    campsite.conditions = currentConditions(campsite.conditions);
 
     // Check if user can view this campsite
-    if (campsite.visibility === 'public') {
-      return res.json(campsite);
-    }
-
-    if (req.user && campsite.userId === req.user.uid) {
-      return res.json(campsite);
+    if (canView(campsite, req.user)) {
+      res.set('ETag', campsiteETag(campsite));
+      return res.json(await withFavoriteFlag(forViewer(campsite, req.user), req.user));
     }
 
-    if (campsite.visibility === 'unlisted') {
-      return res.json(campsite);
+    // Otherwise a share link grants access, counting towards its view limit
+    const shareLink = await findShareLink(req, campsite.id);
+    if (shareLink && await consumeView(shareLink)) {
+      res.set('ETag', campsiteETag(campsite));
+      return res.json(await withFavoriteFlag(forViewer(campsite, req.user), req.user));
     }
 
     return res.status(403).json({ error: 'Access denied' });
@@ -92,46 +333,45 @@ router.get('/:id', optionalAuth, async (req, res) => {
 /**
  * POST /api/campsites
  * Create a new campsite
+ * If public campsites already exist within DUPLICATE_RADIUS_METERS, responds
+ * 409 with them as duplicates; pass force: true to create the campsite anyway
  * Auth: Required
  */
 router.post(
   '/',
   verifyFirebaseToken,
-  [
-    check('latitude').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
-    check('longitude').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
-    check('title').isLength({ min: 1, max: 100 }).withMessage('Title must be 1-100 characters'),
-    check('description').optional().isLength({ max: 2000 }).withMessage('Description max 2000 characters'),
-    check('visibility').isIn(['private', 'unlisted', 'public']).withMessage('Invalid visibility')
-  ],
+  validateCampsiteBody({ options: ['force'] }),
   async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { latitude, longitude, title, description, visibility } = req.body;
-
     try {
-      // Calculate geohash for geographic queries
-      const hash = geohash.geohashForLocation([latitude, longitude]);
+      const { force } = req.options;
+
+      if (force !== true && force !== 'true') {
+        const { latitude, longitude } = req.campsite;
+        const nearby = await findPublicCampsitesNear([latitude, longitude], DUPLICATE_RADIUS_METERS);
+
+        if (nearby.length > 0) {
+          nearby.sort((a, b) => a.distanceMeters - b.distanceMeters);
+
+          return res.status(409).json({
+            error: 'Possible duplicate campsite',
+            message: 'Public campsites already exist nearby. Review them, or send force: true to create this campsite anyway.',
+            radiusMeters: DUPLICATE_RADIUS_METERS,
+            duplicates: nearby.map(({ distanceMeters, ...campsite }) => ({
+              ...formatPublicCampsite(campsite),
+              distanceMeters: Math.round(distanceMeters)
+            }))
+          });
+        }
+      }
 
-      const campsite = {
-        userId: req.user.uid,
-        location: new admin.firestore.GeoPoint(latitude, longitude),
-        latitude,
-        longitude,
-        title,
-        description: description || '',
-        visibility,
-        geohash: hash,
-        hasPhotos: false,
-        photos: [],
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      };
+      const campsite = buildCampsite(req.user.uid, req.campsite);
+      const docRef = campsitesRef.doc();
+
+      const batch = db.batch();
+      batch.set(docRef, campsite);
+      recordRevision(batch, docRef.id, { action: 'create', userId: req.user.uid, after: campsite });
+      await batch.commit();
 
-      const docRef = await campsitesRef.add(campsite);
       const doc = await docRef.get();
 
       res.status(201).json({ id: doc.id, ...doc.data() });
@@ -142,25 +382,124 @@ router.post(
   }
 );
 
+/**
+ * POST /api/campsites/import
+ * Bulk create campsites from an uploaded GPX, KML, GeoJSON or CSV file
+ * Form fields:
+ * - file: the file to import
+ * - format: gpx, kml, geojson or csv (detected from the file name if omitted)
+ * - visibility: default visibility for points that do not specify one (default private)
+ * - dryRun: validate and report without creating anything
+ * Points that repeat an existing campsite of the user (or an earlier point in the file)
+ * at the same location are skipped
+ * Auth: Required
+ */
+router.post('/import', verifyFirebaseToken, receiveImportFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No import file provided' });
+    }
+
+    const content = req.file.buffer.toString('utf8');
+    const format = (req.body.format || detectFormat(req.file.originalname, content)).toLowerCase();
+    const defaultVisibility = req.body.visibility || 'private';
+    const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+
+    let points;
+    try {
+      points = parseImport(content, format);
+    } catch (parseError) {
+      return res.status(400).json({ error: `Could not read ${format} file: ${parseError.message}` });
+    }
+
+    if (points.length === 0) {
+      return res.status(400).json({ error: 'No points found in import file' });
+    }
+
+    if (points.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `Import files are limited to ${MAX_IMPORT_ROWS} points` });
+    }
+
+    // Locations the user already has a campsite at, by full-precision geohash
+    const existingSnapshot = await campsitesRef.where('userId', '==', req.user.uid).get();
+    const seenHashes = new Set(existingSnapshot.docs.map(doc => doc.data().geohash));
+
+    const report = [];
+    const campsites = [];
+
+    for (const [index, point] of points.entries()) {
+      const row = index + 1;
+      // Validate each point with the same schema as POST /api/campsites
+      const { errors, data } = validateCampsite({ ...point, visibility: point.visibility || defaultVisibility });
+      if (errors.length > 0) {
+        report.push({ row, status: 'invalid', title: point.title || null, errors });
+        continue;
+      }
+
+      const campsite = buildCampsite(req.user.uid, data);
+
+      if (seenHashes.has(campsite.geohash)) {
+        report.push({ row, status: 'skipped', title: data.title, reason: 'Duplicate location' });
+        continue;
+      }
+      seenHashes.add(campsite.geohash);
+
+      const docRef = campsitesRef.doc();
+      campsites.push({ docRef, campsite });
+      report.push({ row, status: dryRun ? 'valid' : 'created', title: data.title, id: dryRun ? null : docRef.id });
+    }
+
+    if (!dryRun) {
+      // Each campsite takes two writes: the campsite and its first revision
+      const campsitesPerBatch = BATCH_SIZE / 2;
+
+      for (let i = 0; i < campsites.length; i += campsitesPerBatch) {
+        const batch = db.batch();
+        for (const { docRef, campsite } of campsites.slice(i, i + campsitesPerBatch)) {
+          batch.set(docRef, campsite);
+          recordRevision(batch, docRef.id, { action: 'import', userId: req.user.uid, after: campsite });
+        }
+        await batch.commit();
+      }
+    }
+
+    const countOf = (status) => report.filter(entry => entry.status === status).length;
+
+    res.status(dryRun ? 200 : 201).json({
+      dryRun,
+      format,
+      summary: {
+        total: points.length,
+        created: dryRun ? 0 : campsites.length,
+        valid: campsites.length,
+        skipped: countOf('skipped'),
+        invalid: countOf('invalid')
+      },
+      rows: report
+    });
+  } catch (error) {
+    console.error('Error importing campsites:', error);
+    res.status(500).json({ error: 'Failed to import campsites' });
+  }
+});
+
 /**
  * PUT /api/campsites/:id
  * Update a campsite
- * Auth: Required (must be owner)
+ * Only fields defined in the campsite schema can be set; unknown and
+ * server-managed fields are rejected
+ * Moving the pin requires both latitude and longitude; location and geohash are
+ * recomputed and the previous position is kept in previousLocations
+ * Honors If-Match: returns 412 if the campsite changed since the client loaded it
+ * Pass notifyReviewers: true to notify reviewers when the pin moves more than
+ * PIN_MOVE_NOTIFY_METERS
+ * Auth: Required (owner or edit access; only the owner can change visibility)
  */
 router.put(
   '/:id',
   verifyFirebaseToken,
-  [
-    check('title').optional().isLength({ min: 1, max: 100 }).withMessage('Title must be 1-100 characters'),
-    check('description').optional().isLength({ max: 2000 }).withMessage('Description max 2000 characters'),
-    check('visibility').optional().isIn(['private', 'unlisted', 'public']).withMessage('Invalid visibility')
-  ],
+  validateCampsiteBody({ partial: true, options: ['notifyReviewers'] }),
   async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
     try {
       const docRef = campsitesRef.doc(req.params.id);
       const doc = await docRef.get();
@@ -171,28 +510,104 @@ router.put(
 
       const campsite = doc.data();
 
-      // Verify ownership
-      if (campsite.userId !== req.user.uid) {
+      // Verify the user owns the campsite or has edit access
+      if (!canEdit(campsite, req.user)) {
         return res.status(403).json({ error: 'You do not have permission to edit this campsite' });
       }
 
+      // Only the owner decides who can see the campsite
+      if (req.campsite.visibility !== undefined && !isOwner(campsite, req.user)) {
+        return res.status(403).json({ error: 'Only the owner can change visibility' });
+      }
+
+      if (isMerging(campsite)) {
+        return res.status(409).json({ error: 'Campsite is being merged into another campsite' });
+      }
+
+      // Reject edits based on a stale copy of the campsite
+      if (!ifMatchSatisfied(req, campsiteETag(campsite))) {
+        return sendPreconditionFailed(res, campsiteETag(campsite));
+      }
+
+      const { latitude, longitude, ...fields } = req.campsite;
+      const { notifyReviewers } = req.options;
       const updates = {
-        ...req.body,
+        ...fields,
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       };
 
-      // Remove fields that shouldn't be updated
-      delete updates.userId;
-      delete updates.createdAt;
-      delete updates.latitude;
-      delete updates.longitude;
-      delete updates.location;
+      // Attributes are merged, so clients can change one without resending the rest
+      if (fields.attributes !== undefined) {
+        updates.attributes = mergeAttributes(campsite.attributes, fields.attributes);
+      }
 
-      await docRef.update(updates);
+      const batch = db.batch();
+
+      if (latitude !== undefined) {
+        const oldPosition = positionOf(campsite);
+        const distanceMeters = geohash.distanceBetween(oldPosition, [latitude, longitude]) * 1000;
+
+        if (distanceMeters > 0) {
+          // Location, coordinates and geohash change together in one write
+          Object.assign(updates, {
+            ...locationFields(latitude, longitude),
+            previousLocations: admin.firestore.FieldValue.arrayUnion({
+              latitude: oldPosition[0],
+              longitude: oldPosition[1],
+              geohash: campsite.geohash || null,
+              movedAt: admin.firestore.Timestamp.now(),
+              movedBy: req.user.uid
+            })
+          });
+
+          if ((notifyReviewers === true || notifyReviewers === 'true') && distanceMeters > PIN_MOVE_NOTIFY_METERS) {
+            const reviewsSnapshot = await db.collection('reviews')
+              .where('campsiteId', '==', req.params.id)
+              .get();
+
+            const reviewerIds = new Set(reviewsSnapshot.docs
+              .map(reviewDoc => reviewDoc.data().userId)
+              .filter(userId => userId && userId !== req.user.uid));
+
+            for (const userId of reviewerIds) {
+              batch.set(db.collection('notifications').doc(), {
+                userId,
+                type: 'campsite-moved',
+                campsiteId: req.params.id,
+                title: updates.title || campsite.title,
+                distanceMeters: Math.round(distanceMeters),
+                read: false,
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+              });
+            }
+          }
+        }
+      }
+
+      const precondition = unchangedSince(req, doc);
+      if (precondition) {
+        batch.update(docRef, updates, precondition);
+      } else {
+        batch.update(docRef, updates);
+      }
+      recordRevision(batch, req.params.id, {
+        action: 'update',
+        userId: req.user.uid,
+        before: campsite,
+        after: { ...campsite, ...updates }
+      });
+      await batch.commit();
       const updatedDoc = await docRef.get();
+      const updated = { id: updatedDoc.id, ...updatedDoc.data() };
 
-      res.json({ id: updatedDoc.id, ...updatedDoc.data() });
+      res.set('ETag', campsiteETag(updated));
+      res.json(forViewer(updated, req.user));
     } catch (error) {
+      // The campsite changed between reading it and writing the update
+      if (isPreconditionFailure(error)) {
+        const currentDoc = await campsitesRef.doc(req.params.id).get();
+        return sendPreconditionFailed(res, campsiteETag(currentDoc.data() || {}));
+      }
       console.error('Error updating campsite:', error);
       res.status(500).json({ error: 'Failed to update campsite' });
     }
@@ -201,26 +616,59 @@ router.put(
 
 /**
  * DELETE /api/campsites/:id
- * Delete a campsite
+ * Move a campsite to the owner's trash
+ * Trashed campsites are hidden everywhere until restored, and purged after
+ * TRASH_RETENTION_DAYS; GET /api/campsites/trash lists when (see routes/trash.js)
+ * Honors If-Match: returns 412 if the campsite changed since the client loaded it
  * Auth: Required (must be owner)
  */
 router.delete('/:id', verifyFirebaseToken, async (req, res) => {
   try {
     const docRef = campsitesRef.doc(req.params.id);
-    const doc = await docRef.get();
+    const trashRef = db.collection('trashedCampsites').doc(req.params.id);
+    const purgeAfter = admin.firestore.Timestamp.fromMillis(Date.now() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
 
-    if (!doc.exists) {
-      return res.status(404).json({ error: 'Campsite not found' });
-    }
+    const result = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
 
-    const campsite = doc.data();
+      if (!doc.exists) {
+        return { status: 404, error: 'Campsite not found' };
+      }
+
+      // Verify ownership
+      if (!isOwner(doc.data(), req.user)) {
+        return { status: 403, error: 'You do not have permission to delete this campsite' };
+      }
+
+      if (isMerging(doc.data())) {
+        return { status: 409, error: 'Campsite is being merged into another campsite' };
+      }
+
+      // Reject deletes based on a stale copy of the campsite
+      const etag = campsiteETag(doc.data());
+      if (!ifMatchSatisfied(req, etag)) {
+        return { status: 412, etag };
+      }
+
+      transaction.set(trashRef, {
+        ...doc.data(),
+        trashedAt: admin.firestore.FieldValue.serverTimestamp(),
+        purgeAfter
+      });
+      transaction.delete(docRef);
+      writeTombstone(transaction, 'campsite', req.params.id, req.params.id, doc.data());
+
+      return { status: 200 };
+    });
+
+    if (result.status === 412) {
+      return sendPreconditionFailed(res, result.etag);
+    }
 
-    // Verify ownership
-    if (campsite.userId !== req.user.uid) {
-      return res.status(403).json({ error: 'You do not have permission to delete this campsite' });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    await docRef.delete();
     res.status(204).send();
   } catch (error) {
     console.error('Error deleting campsite:', error);
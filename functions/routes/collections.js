@@ -0,0 +1,491 @@
+const router = require('express').Router();
+const admin = require('firebase-admin');
+const { verifyFirebaseToken, optionalAuth } = require('../middleware/auth');
+const { VISIBILITIES, formatPublicCampsite } = require('../utils/campsiteSchema');
+const { canView } = require('../utils/campsiteAccess');
+
+// Maximum number of campsites in one collection (items are stored on the collection document)
+const MAX_ITEMS = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate collection fields from a request body
+ * Options:
+ * - partial: only validate the fields present (for updates)
+ * Returns { error } or { data }
+ */
+function validateCollectionFields(body, { partial = false } = {}) {
+  const { name, description, visibility } = body;
+  const data = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+      return { error: 'Name must be 1-100 characters' };
+    }
+    data.name = name.trim();
+  }
+
+  if (description !== undefined) {
+    if (typeof description !== 'string' || description.length > 1000) {
+      return { error: 'Description must be 1000 characters or less' };
+    }
+    data.description = description;
+  }
+
+  if (visibility !== undefined || !partial) {
+    if (!VISIBILITIES.includes(visibility)) {
+      return { error: `Visibility must be one of: ${VISIBILITIES.join(', ')}` };
+    }
+    data.visibility = visibility;
+  }
+
+  return { data };
+}
+
+/**
+ * Validate per-item fields (note, startDate, endDate) from a request body
+ * Dates are YYYY-MM-DD strings; null clears a field
+ * Returns { error } or { data }
+ */
+function validateItemFields(body, existing = {}) {
+  const data = {};
+
+  if (body.note !== undefined) {
+    if (body.note !== null && (typeof body.note !== 'string' || body.note.length > 500)) {
+      return { error: 'Note must be 500 characters or less' };
+    }
+    data.note = body.note;
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    const value = body[field];
+    if (value === undefined) {
+      continue;
+    }
+    if (value !== null && (typeof value !== 'string' || !DATE_PATTERN.test(value) || isNaN(Date.parse(value)))) {
+      return { error: `${field} must be a date in YYYY-MM-DD format` };
+    }
+    data[field] = value;
+  }
+
+  const startDate = data.startDate !== undefined ? data.startDate : existing.startDate;
+  const endDate = data.endDate !== undefined ? data.endDate : existing.endDate;
+  if (startDate && endDate && endDate < startDate) {
+    return { error: 'endDate must not be before startDate' };
+  }
+
+  return { data };
+}
+
+/**
+ * Check whether a user can view a collection
+ * Public and unlisted collections are visible to anyone with the ID; only
+ * public ones are listed for other users
+ */
+function canViewCollection(collection, user) {
+  if (collection.visibility === 'public' || collection.visibility === 'unlisted') {
+    return true;
+  }
+  return Boolean(user) && collection.userId === user.uid;
+}
+
+/**
+ * Format a collection without its items
+ */
+function formatCollectionSummary(id, collection) {
+  return {
+    id,
+    userId: collection.userId,
+    name: collection.name,
+    description: collection.description || '',
+    visibility: collection.visibility,
+    itemCount: (collection.items || []).length,
+    createdAt: collection.createdAt,
+    updatedAt: collection.updatedAt
+  };
+}
+
+/**
+ * Run a read-modify-write on a collection owned by the current user
+ * The callback receives the collection data and returns the updates to write,
+ * or { status, error } to abort
+ * Returns { status, error } or { collection } with the updated data
+ */
+async function updateOwnCollection(collectionId, userId, buildUpdates) {
+  const db = admin.firestore();
+  const collectionRef = db.collection('collections').doc(collectionId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(collectionRef);
+
+    if (!doc.exists) {
+      return { status: 404, error: 'Collection not found' };
+    }
+
+    const collection = doc.data();
+    if (collection.userId !== userId) {
+      return { status: 403, error: 'Not authorized to modify this collection' };
+    }
+
+    const updates = await buildUpdates(collection);
+    if (updates.error) {
+      return updates;
+    }
+
+    updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+    transaction.update(collectionRef, updates);
+
+    return { collection: { ...collection, ...updates } };
+  });
+}
+
+/**
+ * GET /api/collections
+ * List the current user's collections, most recently updated first
+ * Query parameters:
+ * - userId: list another user's public collections instead
+ * Auth: Required
+ */
+router.get('/', verifyFirebaseToken, async (req, res) => {
+  try {
+    const ownerId = req.query.userId || req.user.uid;
+    let query = admin.firestore().collection('collections')
+      .where('userId', '==', ownerId);
+
+    if (ownerId !== req.user.uid) {
+      query = query.where('visibility', '==', 'public');
+    }
+
+    const snapshot = await query.orderBy('updatedAt', 'desc').get();
+
+    res.json({
+      collections: snapshot.docs.map(doc => formatCollectionSummary(doc.id, doc.data()))
+    });
+  } catch (error) {
+    console.error('Collections fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch collections', details: error.message });
+  }
+});
+
+/**
+ * POST /api/collections
+ * Create a collection
+ * Body: { name, description, visibility }
+ * Auth: Required
+ */
+router.post('/', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { error, data } = validateCollectionFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const collection = {
+      userId: req.user.uid,
+      name: data.name,
+      description: data.description || '',
+      visibility: data.visibility,
+      items: [],
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    const docRef = await admin.firestore().collection('collections').add(collection);
+    const doc = await docRef.get();
+
+    res.status(201).json(formatCollectionSummary(doc.id, doc.data()));
+  } catch (error) {
+    console.error('Collection creation error:', error);
+    res.status(500).json({ error: 'Failed to create collection', details: error.message });
+  }
+});
+
+/**
+ * GET /api/collections/:id
+ * Get a collection with its campsites in order
+ * Each item includes the current campsite data, or campsite: null with an
+ * unavailable reason if the campsite was deleted or the user cannot view it
+ * Auth: Optional
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const db = admin.firestore();
+    const doc = await db.collection('collections').doc(req.params.id).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const collection = doc.data();
+    if (!canViewCollection(collection, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const items = await Promise.all((collection.items || []).map(async (item) => {
+      const campsiteDoc = await db.collection('campsites').doc(item.campsiteId).get();
+      const resolved = {
+        campsiteId: item.campsiteId,
+        note: item.note || null,
+        startDate: item.startDate || null,
+        endDate: item.endDate || null,
+        addedAt: item.addedAt
+      };
+
+      if (!campsiteDoc.exists) {
+        return { ...resolved, campsite: null, unavailable: 'deleted' };
+      }
+
+      const campsite = { id: campsiteDoc.id, ...campsiteDoc.data() };
+      if (!canView(campsite, req.user)) {
+        return { ...resolved, campsite: null, unavailable: 'private' };
+      }
+
+      return { ...resolved, campsite: formatPublicCampsite(campsite) };
+    }));
+
+    res.json({
+      ...formatCollectionSummary(doc.id, collection),
+      items
+    });
+  } catch (error) {
+    console.error('Collection fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch collection', details: error.message });
+  }
+});
+
+/**
+ * PUT /api/collections/:id
+ * Update a collection's name, description or visibility
+ * Auth: Required (must be owner)
+ */
+router.put('/:id', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { error, data } = validateCollectionFields(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await updateOwnCollection(req.params.id, req.user.uid, () => data);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(formatCollectionSummary(req.params.id, result.collection));
+  } catch (error) {
+    console.error('Collection update error:', error);
+    res.status(500).json({ error: 'Failed to update collection', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/collections/:id
+ * Delete a collection; the campsites in it are not affected
+ * Auth: Required (must be owner)
+ */
+router.delete('/:id', verifyFirebaseToken, async (req, res) => {
+  try {
+    const collectionRef = admin.firestore().collection('collections').doc(req.params.id);
+    const doc = await collectionRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    if (doc.data().userId !== req.user.uid) {
+      return res.status(403).json({ error: 'Not authorized to delete this collection' });
+    }
+
+    await collectionRef.delete();
+
+    res.json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    console.error('Collection deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete collection', details: error.message });
+  }
+});
+
+/**
+ * POST /api/collections/:id/items
+ * Add a campsite to a collection
+ * Body: { campsiteId, note, startDate, endDate, position }
+ * position is a zero-based index; the campsite is added at the end by default
+ * Auth: Required (must be owner; the campsite must be visible to the user)
+ */
+router.post('/:id/items', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { campsiteId, position } = req.body;
+
+    if (!campsiteId || typeof campsiteId !== 'string') {
+      return res.status(400).json({ error: 'campsiteId is required' });
+    }
+
+    if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+      return res.status(400).json({ error: 'Position must be a non-negative integer' });
+    }
+
+    const { error, data } = validateItemFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const campsiteDoc = await admin.firestore().collection('campsites').doc(campsiteId).get();
+    if (!campsiteDoc.exists) {
+      return res.status(404).json({ error: 'Campsite not found' });
+    }
+
+    if (!canView(campsiteDoc.data(), req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const result = await updateOwnCollection(req.params.id, req.user.uid, (collection) => {
+      const items = [...(collection.items || [])];
+
+      if (items.some(item => item.campsiteId === campsiteId)) {
+        return { status: 409, error: 'Campsite is already in this collection' };
+      }
+
+      if (items.length >= MAX_ITEMS) {
+        return { status: 400, error: `Maximum ${MAX_ITEMS} campsites per collection` };
+      }
+
+      const item = {
+        campsiteId,
+        note: data.note || null,
+        startDate: data.startDate || null,
+        endDate: data.endDate || null,
+        addedAt: admin.firestore.Timestamp.now()
+      };
+      items.splice(position === undefined ? items.length : Math.min(position, items.length), 0, item);
+
+      return { items };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Campsite added to collection',
+      items: result.collection.items
+    });
+  } catch (error) {
+    console.error('Collection item add error:', error);
+    res.status(500).json({ error: 'Failed to add campsite to collection', details: error.message });
+  }
+});
+
+/**
+ * PUT /api/collections/:id/items/:campsiteId
+ * Update an item's note or dates
+ * Auth: Required (must be owner)
+ */
+router.put('/:id/items/:campsiteId', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { campsiteId } = req.params;
+
+    const result = await updateOwnCollection(req.params.id, req.user.uid, (collection) => {
+      const items = [...(collection.items || [])];
+      const index = items.findIndex(item => item.campsiteId === campsiteId);
+
+      if (index === -1) {
+        return { status: 404, error: 'Campsite is not in this collection' };
+      }
+
+      const { error, data } = validateItemFields(req.body, items[index]);
+      if (error) {
+        return { status: 400, error };
+      }
+
+      items[index] = { ...items[index], ...data };
+      return { items };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Collection item updated',
+      items: result.collection.items
+    });
+  } catch (error) {
+    console.error('Collection item update error:', error);
+    res.status(500).json({ error: 'Failed to update collection item', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/collections/:id/items/:campsiteId
+ * Remove a campsite from a collection
+ * Auth: Required (must be owner)
+ */
+router.delete('/:id/items/:campsiteId', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { campsiteId } = req.params;
+
+    const result = await updateOwnCollection(req.params.id, req.user.uid, (collection) => {
+      const items = (collection.items || []).filter(item => item.campsiteId !== campsiteId);
+
+      if (items.length === (collection.items || []).length) {
+        return { status: 404, error: 'Campsite is not in this collection' };
+      }
+
+      return { items };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Campsite removed from collection' });
+  } catch (error) {
+    console.error('Collection item removal error:', error);
+    res.status(500).json({ error: 'Failed to remove campsite from collection', details: error.message });
+  }
+});
+
+/**
+ * PUT /api/collections/:id/order
+ * Reorder a collection's campsites
+ * Body: { campsiteIds } listing every campsite in the collection in the new order
+ * Auth: Required (must be owner)
+ */
+router.put('/:id/order', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { campsiteIds } = req.body;
+
+    if (!Array.isArray(campsiteIds)) {
+      return res.status(400).json({ error: 'campsiteIds must be an array' });
+    }
+
+    const result = await updateOwnCollection(req.params.id, req.user.uid, (collection) => {
+      const items = collection.items || [];
+      const itemsById = new Map(items.map(item => [item.campsiteId, item]));
+
+      const isPermutation = campsiteIds.length === items.length &&
+        new Set(campsiteIds).size === campsiteIds.length &&
+        campsiteIds.every(id => itemsById.has(id));
+
+      if (!isPermutation) {
+        return { status: 400, error: 'campsiteIds must list every campsite in the collection exactly once' };
+      }
+
+      return { items: campsiteIds.map(id => itemsById.get(id)) };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Collection reordered',
+      items: result.collection.items
+    });
+  } catch (error) {
+    console.error('Collection reorder error:', error);
+    res.status(500).json({ error: 'Failed to reorder collection', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,211 @@
+const router = require('express').Router();
+const admin = require('firebase-admin');
+const { verifyFirebaseToken, optionalAuth } = require('../middleware/auth');
+const { canView, isOwner } = require('../utils/campsiteAccess');
+const { findShareLink, shareLinkAllows } = require('../utils/shareLinks');
+const {
+  validateCondition,
+  expiryOf,
+  conditionEntry,
+  closedUntilOf
+} = require('../utils/conditions');
+
+/**
+ * POST /api/campsites/:id/conditions
+ * Report a current condition at a campsite
+ * Body: { type, value, note }
+ * The report replaces the campsite's previous report of the same type and
+ * expires automatically (see utils/conditions.js for types and expiry times)
+ * Auth: Required (the campsite must be visible to the user)
+ */
+router.post('/:id/conditions', verifyFirebaseToken, async (req, res) => {
+  try {
+    const campsiteId = req.params.id;
+
+    const { error, data } = validateCondition(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const db = admin.firestore();
+    const campsiteRef = db.collection('campsites').doc(campsiteId);
+    const reportRef = db.collection('conditionReports').doc();
+
+    const result = await db.runTransaction(async (transaction) => {
+      const campsiteDoc = await transaction.get(campsiteRef);
+
+      if (!campsiteDoc.exists) {
+        return { status: 404, error: 'Campsite not found' };
+      }
+
+      const campsite = campsiteDoc.data();
+      if (!canView(campsite, req.user)) {
+        return { status: 403, error: 'Access denied' };
+      }
+
+      const createdAt = admin.firestore.Timestamp.now();
+      const report = {
+        campsiteId,
+        userId: req.user.uid,
+        ...data,
+        createdAt,
+        expiresAt: expiryOf(data.type, createdAt)
+      };
+      const entry = conditionEntry(reportRef.id, report);
+      const conditions = { ...(campsite.conditions || {}), [data.type]: entry };
+
+      transaction.set(reportRef, report);
+      transaction.update(campsiteRef, {
+        [`conditions.${data.type}`]: entry,
+        closedUntil: closedUntilOf(conditions)
+      });
+
+      return { status: 201, report };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Condition reported',
+      reportId: reportRef.id,
+      expiresAt: result.report.expiresAt
+    });
+  } catch (error) {
+    console.error('Condition report error:', error);
+    res.status(500).json({ error: 'Failed to report condition', details: error.message });
+  }
+});
+
+/**
+ * GET /api/campsites/:id/conditions
+ * List condition reports for a campsite, newest first
+ * Query parameters:
+ * - active: only reports that have not expired
+ * - limit: number of reports (default 20, max 100)
+ * Visible to anyone who can view the campsite, including through a share link
+ */
+router.get('/:id/conditions', optionalAuth, async (req, res) => {
+  try {
+    const campsiteId = req.params.id;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const db = admin.firestore();
+
+    const campsiteDoc = await db.collection('campsites').doc(campsiteId).get();
+    if (!campsiteDoc.exists) {
+      return res.status(404).json({ error: 'Campsite not found' });
+    }
+
+    if (!canView(campsiteDoc.data(), req.user) && !shareLinkAllows(await findShareLink(req, campsiteId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const snapshot = await db.collection('conditionReports')
+      .where('campsiteId', '==', campsiteId)
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+
+    const now = Date.now();
+    let reports = snapshot.docs.map(doc => {
+      const report = doc.data();
+      return {
+        id: doc.id,
+        type: report.type,
+        value: report.value,
+        note: report.note,
+        createdAt: report.createdAt,
+        expiresAt: report.expiresAt,
+        active: report.expiresAt.toMillis() > now
+      };
+    });
+
+    if (req.query.active === 'true') {
+      reports = reports.filter(report => report.active);
+    }
+
+    res.json({ reports });
+  } catch (error) {
+    console.error('Conditions fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch conditions', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/campsites/:id/conditions/:reportId
+ * Delete a condition report; if it was the campsite's current report of its
+ * type, the newest remaining active report of that type takes its place
+ * Auth: Required (report author, campsite owner or moderator)
+ */
+router.delete('/:id/conditions/:reportId', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { id: campsiteId, reportId } = req.params;
+    const db = admin.firestore();
+    const campsiteRef = db.collection('campsites').doc(campsiteId);
+    const reportRef = db.collection('conditionReports').doc(reportId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const reportDoc = await transaction.get(reportRef);
+      const campsiteDoc = await transaction.get(campsiteRef);
+
+      if (!reportDoc.exists || reportDoc.data().campsiteId !== campsiteId) {
+        return { status: 404, error: 'Condition report not found' };
+      }
+
+      const report = reportDoc.data();
+      const campsite = campsiteDoc.exists ? campsiteDoc.data() : null;
+      const ownsCampsite = Boolean(campsite) && isOwner(campsite, req.user);
+
+      if (report.userId !== req.user.uid && !ownsCampsite && !req.user.moderator) {
+        return { status: 403, error: 'Not authorized to delete this condition report' };
+      }
+
+      const current = campsite && campsite.conditions && campsite.conditions[report.type];
+      let replacement = null;
+
+      if (current && current.reportId === reportId) {
+        const recentSnapshot = await transaction.get(db.collection('conditionReports')
+          .where('campsiteId', '==', campsiteId)
+          .where('type', '==', report.type)
+          .orderBy('createdAt', 'desc')
+          .limit(10));
+
+        const now = Date.now();
+        const next = recentSnapshot.docs.find(doc =>
+          doc.id !== reportId && doc.data().expiresAt.toMillis() > now
+        );
+        replacement = next ? conditionEntry(next.id, next.data()) : null;
+      }
+
+      transaction.delete(reportRef);
+
+      if (current && current.reportId === reportId) {
+        const conditions = { ...campsite.conditions };
+        if (replacement) {
+          conditions[report.type] = replacement;
+        } else {
+          delete conditions[report.type];
+        }
+
+        transaction.update(campsiteRef, {
+          [`conditions.${report.type}`]: replacement || admin.firestore.FieldValue.delete(),
+          closedUntil: closedUntilOf(conditions)
+        });
+      }
+
+      return { status: 200 };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Condition report deleted successfully' });
+  } catch (error) {
+    console.error('Condition report deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete condition report', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const router = require('express').Router();
+const admin = require('firebase-admin');
+const { verifyFirebaseToken } = require('../middleware/auth');
+const { formatPublicCampsite } = require('../utils/campsiteSchema');
+const { canView } = require('../utils/campsiteAccess');
+const { favoriteId } = require('../utils/favorites');
+const { isMerging } = require('../utils/campsiteMerge');
+
+/**
+ * GET /api/favorites
+ * List the current user's favorite campsites, most recently favorited first
+ * Campsites that were deleted or are no longer visible to the user are
+ * returned with campsite: null
+ * Query parameters:
+ * - page, limit: pagination controls
+ * Auth: Required
+ */
+router.get('/', verifyFirebaseToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const db = admin.firestore();
+
+    const query = db.collection('favorites')
+      .where('userId', '==', req.user.uid)
+      .orderBy('createdAt', 'desc');
+
+    const totalSnapshot = await query.get();
+    const total = totalSnapshot.size;
+
+    const offset = (page - 1) * limit;
+    const favoritesSnapshot = await query.limit(limit).offset(offset).get();
+
+    const favorites = await Promise.all(favoritesSnapshot.docs.map(async (doc) => {
+      const favorite = doc.data();
+      const campsiteDoc = await db.collection('campsites').doc(favorite.campsiteId).get();
+      const campsite = campsiteDoc.exists ? { id: campsiteDoc.id, ...campsiteDoc.data() } : null;
+
+      return {
+        campsiteId: favorite.campsiteId,
+        createdAt: favorite.createdAt,
+        campsite: campsite && canView(campsite, req.user) ? formatPublicCampsite(campsite) : null
+      };
+    }));
+
+    res.json({
+      favorites,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Favorites fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch favorites', details: error.message });
+  }
+});
+
+/**
+ * PUT /api/favorites/:campsiteId
+ * Favorite a campsite; favoriting it again has no effect
+ * Auth: Required (the campsite must be visible to the user)
+ */
+router.put('/:campsiteId', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { campsiteId } = req.params;
+    const db = admin.firestore();
+    const campsiteRef = db.collection('campsites').doc(campsiteId);
+    const favoriteRef = db.collection('favorites').doc(favoriteId(req.user.uid, campsiteId));
+
+    const result = await db.runTransaction(async (transaction) => {
+      const campsiteDoc = await transaction.get(campsiteRef);
+      const favoriteDoc = await transaction.get(favoriteRef);
+
+      if (!campsiteDoc.exists) {
+        return { status: 404, error: 'Campsite not found' };
+      }
+
+      if (!canView(campsiteDoc.data(), req.user)) {
+        return { status: 403, error: 'Access denied' };
+      }
+
+      if (isMerging(campsiteDoc.data())) {
+        return { status: 409, error: 'Campsite is being merged into another campsite' };
+      }
+
+      if (favoriteDoc.exists) {
+        return { status: 200 };
+      }
+
+      transaction.set(favoriteRef, {
+        userId: req.user.uid,
+        campsiteId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      transaction.update(campsiteRef, {
+        favoriteCount: admin.firestore.FieldValue.increment(1)
+      });
+
+      return { status: 201 };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(result.status).json({
+      message: result.status === 201 ? 'Campsite added to favorites' : 'Campsite is already a favorite',
+      campsiteId
+    });
+  } catch (error) {
+    console.error('Favorite creation error:', error);
+    res.status(500).json({ error: 'Failed to favorite campsite', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/favorites/:campsiteId
+ * Remove a campsite from the user's favorites
+ * Auth: Required
+ */
+router.delete('/:campsiteId', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { campsiteId } = req.params;
+    const db = admin.firestore();
+    const campsiteRef = db.collection('campsites').doc(campsiteId);
+    const trashRef = db.collection('trashedCampsites').doc(campsiteId);
+    const favoriteRef = db.collection('favorites').doc(favoriteId(req.user.uid, campsiteId));
+
+    const result = await db.runTransaction(async (transaction) => {
+      const favoriteDoc = await transaction.get(favoriteRef);
+      const campsiteDoc = await transaction.get(campsiteRef);
+      const trashDoc = await transaction.get(trashRef);
+
+      if (!favoriteDoc.exists) {
+        return { status: 404, error: 'Campsite is not a favorite' };
+      }
+
+      transaction.delete(favoriteRef);
+
+      // The campsite may be in the trash, so that it comes back with the right
+      // count when restored, or have been deleted since it was favorited
+      const countRef = campsiteDoc.exists ? campsiteRef : trashDoc.exists ? trashRef : null;
+      if (countRef) {
+        transaction.update(countRef, {
+          favoriteCount: admin.firestore.FieldValue.increment(-1)
+        });
+      }
+
+      return { status: 200 };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Campsite removed from favorites', campsiteId });
+  } catch (error) {
+    console.error('Favorite removal error:', error);
+    res.status(500).json({ error: 'Failed to unfavorite campsite', details: error.message });
+  }
+});
+
+module.exports = router;
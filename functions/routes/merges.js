@@ -0,0 +1,97 @@
+const router = require('express').Router();
+const admin = require('firebase-admin');
+const { verifyFirebaseToken } = require('../middleware/auth');
+const { isMerging, mergeCampsites } = require('../utils/campsiteMerge');
+
+/**
+ * POST /api/campsites/:id/merge
+ * Merge a duplicate campsite into another one
+ * Body: { targetId } - the campsite that remains
+ * Moves reviews, photos (within the photo limit), favorites and visits to the
+ * target, deletes this campsite and leaves a redirect to the target
+ * Returns 409 if either campsite is already being merged
+ * Auth: Required (moderator, or owner of both campsites); moderators can only
+ * merge into a public campsite unless they own both
+ */
+router.post('/:id/merge', verifyFirebaseToken, async (req, res) => {
+  try {
+    const sourceId = req.params.id;
+    const { targetId } = req.body;
+    const campsitesRef = admin.firestore().collection('campsites');
+
+    if (!targetId || typeof targetId !== 'string') {
+      return res.status(400).json({ error: 'targetId is required' });
+    }
+
+    if (targetId === sourceId) {
+      return res.status(400).json({ error: 'Cannot merge a campsite into itself' });
+    }
+
+    const sourceRef = campsitesRef.doc(sourceId);
+    const targetRef = campsitesRef.doc(targetId);
+
+    // Mark the source as merging first, so writes to it are rejected while its
+    // reviews, photos, favorites and visits are copied (see isMerging)
+    const result = await admin.firestore().runTransaction(async (transaction) => {
+      const sourceDoc = await transaction.get(sourceRef);
+      const targetDoc = await transaction.get(targetRef);
+
+      if (!sourceDoc.exists) {
+        return { status: 404, error: 'Campsite not found' };
+      }
+
+      if (!targetDoc.exists) {
+        return { status: 404, error: 'Target campsite not found' };
+      }
+
+      const source = { id: sourceDoc.id, ...sourceDoc.data() };
+      const target = { id: targetDoc.id, ...targetDoc.data() };
+
+      const ownsBoth = source.userId === req.user.uid && target.userId === req.user.uid;
+      if (!req.user.moderator && !ownsBoth) {
+        return { status: 403, error: 'Only moderators or the owner of both campsites can merge them' };
+      }
+
+      // Moving reviews, favorites and visits into someone else's private or
+      // unlisted campsite would expose them to its owner and the users it is
+      // shared with
+      if (!ownsBoth && target.visibility !== 'public') {
+        return { status: 403, error: 'Campsites can only be merged into a public campsite unless you own both' };
+      }
+
+      if (isMerging(source) || isMerging(target)) {
+        return { status: 409, error: 'Campsite is already being merged' };
+      }
+
+      transaction.update(sourceRef, { mergingInto: targetId });
+
+      return { status: 200, source: { ...source, mergingInto: targetId }, target };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    let summary;
+    try {
+      summary = await mergeCampsites(result.source, result.target, req.user.uid);
+    } catch (error) {
+      // Let the merge be retried; whatever was already moved stays on the target
+      await sourceRef.update({ mergingInto: admin.firestore.FieldValue.delete() })
+        .catch(unmarkError => console.error('Campsite merge unmark error:', unmarkError));
+      throw error;
+    }
+
+    console.log(`Campsite ${sourceId} merged into ${targetId}`);
+
+    res.json({
+      message: 'Campsites merged successfully',
+      ...summary
+    });
+  } catch (error) {
+    console.error('Campsite merge error:', error);
+    res.status(500).json({ error: 'Failed to merge campsites', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const router = require('express').Router();
+const admin = require('firebase-admin');
+const { verifyFirebaseToken, requireModerator } = require('../middleware/auth');
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 500;
+
+const MODERATION_STATUSES = ['pending', 'dismissed', 'hidden'];
+
+// Moderator decisions on reported campsites
+const RESOLUTIONS = {
+  dismiss: { moderationStatus: 'dismissed', hidden: false, reportStatus: 'dismissed' },
+  hide: { moderationStatus: 'hidden', hidden: true, reportStatus: 'upheld' }
+};
+
+router.use(verifyFirebaseToken, requireModerator);
+
+/**
+ * GET /api/moderation/campsites
+ * Moderation queue: reported campsites, most reported first
+ * Query parameters:
+ * - status: pending (default), dismissed or hidden
+ * - limit: number of campsites (default 50, max 100)
+ * Auth: Required (moderator)
+ */
+router.get('/campsites', async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    if (!MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${MODERATION_STATUSES.join(', ')}` });
+    }
+
+    const snapshot = await admin.firestore().collection('campsites')
+      .where('moderationStatus', '==', status)
+      .orderBy('reportCount', 'desc')
+      .limit(limit)
+      .get();
+
+    const campsites = snapshot.docs.map(doc => {
+      const campsite = doc.data();
+      return {
+        id: doc.id,
+        title: campsite.title,
+        userId: campsite.userId,
+        visibility: campsite.visibility,
+        location: campsite.location,
+        reportCount: campsite.reportCount || 0,
+        reportReasons: campsite.reportReasons || {},
+        hidden: campsite.hidden === true,
+        moderationStatus: campsite.moderationStatus
+      };
+    });
+
+    res.json({ campsites });
+  } catch (error) {
+    console.error('Moderation queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch moderation queue', details: error.message });
+  }
+});
+
+/**
+ * GET /api/moderation/campsites/:id/reports
+ * List the reports for a campsite, newest first
+ * Auth: Required (moderator)
+ */
+router.get('/campsites/:id/reports', async (req, res) => {
+  try {
+    const snapshot = await admin.firestore().collection('campsiteReports')
+      .where('campsiteId', '==', req.params.id)
+      .orderBy('createdAt', 'desc')
+      .get();
+
+    const reports = snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    res.json({ reports });
+  } catch (error) {
+    console.error('Campsite reports fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch campsite reports', details: error.message });
+  }
+});
+
+/**
+ * POST /api/moderation/campsites/:id/resolve
+ * Resolve the open reports for a campsite
+ * Body: { action: 'dismiss' | 'hide' }
+ * - dismiss: the reports were unfounded; the campsite shows in search again
+ * - hide: the campsite stays hidden from search, even if reported again later
+ * Either way the open reports are closed and the report count starts over
+ * Auth: Required (moderator)
+ */
+router.post('/campsites/:id/resolve', async (req, res) => {
+  try {
+    const campsiteId = req.params.id;
+    const resolution = RESOLUTIONS[req.body.action];
+
+    if (!resolution) {
+      return res.status(400).json({ error: `Action must be one of: ${Object.keys(RESOLUTIONS).join(', ')}` });
+    }
+
+    const db = admin.firestore();
+    const campsiteRef = db.collection('campsites').doc(campsiteId);
+    const campsiteDoc = await campsiteRef.get();
+
+    if (!campsiteDoc.exists) {
+      return res.status(404).json({ error: 'Campsite not found' });
+    }
+
+    const reportsSnapshot = await db.collection('campsiteReports')
+      .where('campsiteId', '==', campsiteId)
+      .where('status', '==', 'open')
+      .get();
+
+    for (let i = 0; i < reportsSnapshot.docs.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      reportsSnapshot.docs.slice(i, i + BATCH_SIZE).forEach(doc => batch.update(doc.ref, {
+        status: resolution.reportStatus,
+        resolvedBy: req.user.uid,
+        resolvedAt: admin.firestore.FieldValue.serverTimestamp()
+      }));
+      await batch.commit();
+    }
+
+    await campsiteRef.update({
+      moderationStatus: resolution.moderationStatus,
+      hidden: resolution.hidden,
+      reportCount: 0,
+      reportReasons: {},
+      moderatedBy: req.user.uid,
+      moderatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      // Offline sync picks up campsites that were hidden or shown again by updatedAt
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    console.log(`Campsite ${campsiteId} moderated: ${req.body.action}`);
+
+    res.json({
+      message: 'Campsite reports resolved',
+      moderationStatus: resolution.moderationStatus,
+      hidden: resolution.hidden,
+      reportsResolved: reportsSnapshot.docs.length
+    });
+  } catch (error) {
+    console.error('Campsite moderation error:', error);
+    res.status(500).json({ error: 'Failed to resolve campsite reports', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const router = require('express').Router();
+const admin = require('firebase-admin');
+const { verifyFirebaseToken } = require('../middleware/auth');
+
+/**
+ * GET /api/notifications
+ * List the current user's notifications, newest first
+ * Notifications are written by the API, e.g. a campsite-moved notification for
+ * each reviewer when an owner moves a pin with notifyReviewers: true
+ * Query parameters:
+ * - unread: boolean - only list notifications that have not been read
+ * - page, limit: pagination controls
+ * Auth: Required
+ */
+router.get('/', verifyFirebaseToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const db = admin.firestore();
+
+    let query = db.collection('notifications')
+      .where('userId', '==', req.user.uid);
+
+    if (req.query.unread === 'true') {
+      query = query.where('read', '==', false);
+    }
+
+    query = query.orderBy('createdAt', 'desc');
+
+    const totalSnapshot = await query.get();
+    const total = totalSnapshot.size;
+
+    const offset = (page - 1) * limit;
+    const notificationsSnapshot = await query.limit(limit).offset(offset).get();
+
+    res.json({
+      notifications: notificationsSnapshot.docs.map(doc => {
+        const { userId, ...notification } = doc.data();
+        return { id: doc.id, ...notification };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Notifications fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications', details: error.message });
+  }
+});
+
+/**
+ * PUT /api/notifications/:id/read
+ * Mark a notification as read; marking it again has no effect
+ * Auth: Required (must be the notification's recipient)
+ */
+router.put('/:id/read', verifyFirebaseToken, async (req, res) => {
+  try {
+    const notificationRef = admin.firestore().collection('notifications').doc(req.params.id);
+    const doc = await notificationRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    if (doc.data().userId !== req.user.uid) {
+      return res.status(403).json({ error: 'Not authorized to update this notification' });
+    }
+
+    if (!doc.data().read) {
+      await notificationRef.update({
+        read: true,
+        readAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    res.json({ message: 'Notification marked as read', id: req.params.id });
+  } catch (error) {
+    console.error('Notification update error:', error);
+    res.status(500).json({ error: 'Failed to update notification', details: error.message });
+  }
+});
+
+module.exports = router;
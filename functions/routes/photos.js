@@ -3,6 +3,10 @@ const admin = require('firebase-admin');
 const multer = require('multer');
 const sharp = require('sharp');
 const { verifyFirebaseToken } = require('../middleware/auth');
+const { canEdit } = require('../utils/campsiteAccess');
+const { MAX_PHOTOS } = require('../utils/campsiteSchema');
+const { writeTombstone } = require('../utils/tombstones');
+const { isMerging } = require('../utils/campsiteMerge');
 
 // Configure multer for memory storage
 const upload = multer({
@@ -25,7 +29,7 @@ const upload = multer({
 /**
  * POST /api/campsites/:id/photos
  * Upload a photo to a campsite
- * Requires authentication and campsite ownership
+ * Requires authentication and campsite ownership or edit access
  */
 router.post('/:id/photos', verifyFirebaseToken, upload.single('photo'), async (req, res) => {
   try {
@@ -34,7 +38,7 @@ router.post('/:id/photos', verifyFirebaseToken, upload.single('photo'), async (r
     const db = admin.firestore();
     const storage = admin.storage().bucket();
 
-    // Verify campsite exists and user is owner
+    // Verify campsite exists and user can edit it
     const campsiteRef = db.collection('campsites').doc(campsiteId);
     const campsiteDoc = await campsiteRef.get();
 
@@ -43,14 +47,18 @@ router.post('/:id/photos', verifyFirebaseToken, upload.single('photo'), async (r
     }
 
     const campsiteData = campsiteDoc.data();
-    if (campsiteData.userId !== userId) {
+    if (!canEdit(campsiteData, req.user)) {
       return res.status(403).json({ error: 'Not authorized to upload photos to this campsite' });
     }
 
+    if (isMerging(campsiteData)) {
+      return res.status(409).json({ error: 'Campsite is being merged into another campsite' });
+    }
+
     // Check current photo count
     const currentPhotos = campsiteData.photos || [];
-    if (currentPhotos.length >= 3) {
-      return res.status(400).json({ error: 'Maximum 3 photos per campsite' });
+    if (currentPhotos.length >= MAX_PHOTOS) {
+      return res.status(400).json({ error: `Maximum ${MAX_PHOTOS} photos per campsite` });
     }
 
     if (!req.file) {
@@ -169,17 +177,16 @@ router.post('/:id/photos', verifyFirebaseToken, upload.single('photo'), async (r
 /**
  * DELETE /api/campsites/:id/photos/:photoId
  * Delete a photo from a campsite
- * Requires authentication and campsite ownership
+ * Requires authentication and campsite ownership or edit access
  */
 router.delete('/:id/photos/:photoId', verifyFirebaseToken, async (req, res) => {
   try {
     const campsiteId = req.params.id;
     const photoId = req.params.photoId;
-    const userId = req.user.uid;
     const db = admin.firestore();
     const storage = admin.storage().bucket();
 
-    // Verify campsite exists and user is owner
+    // Verify campsite exists and user can edit it
     const campsiteRef = db.collection('campsites').doc(campsiteId);
     const campsiteDoc = await campsiteRef.get();
 
@@ -188,7 +195,7 @@ router.delete('/:id/photos/:photoId', verifyFirebaseToken, async (req, res) => {
     }
 
     const campsiteData = campsiteDoc.data();
-    if (campsiteData.userId !== userId) {
+    if (!canEdit(campsiteData, req.user)) {
       return res.status(403).json({ error: 'Not authorized to delete photos from this campsite' });
     }
 
@@ -217,12 +224,16 @@ router.delete('/:id/photos/:photoId', verifyFirebaseToken, async (req, res) => {
     }
 
     // Remove photo from campsite document
+    // and leave a tombstone for sync clients
     const updatedPhotos = photos.filter(p => p.id !== photoId);
-    await campsiteRef.update({
+    const batch = db.batch();
+    batch.update(campsiteRef, {
       photos: updatedPhotos,
       hasPhotos: updatedPhotos.length > 0,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
+    writeTombstone(batch, 'photo', photoId, campsiteId, campsiteData);
+    await batch.commit();
 
     console.log(`Photo ${photoId} deleted from campsite ${campsiteId}`);
     
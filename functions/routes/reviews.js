@@ -1,6 +1,10 @@
 const router = require('express').Router();
 const admin = require('firebase-admin');
 const { verifyFirebaseToken, optionalAuth } = require('../middleware/auth');
+const { canView } = require('../utils/campsiteAccess');
+const { findShareLink, shareLinkAllows } = require('../utils/shareLinks');
+const { writeTombstone } = require('../utils/tombstones');
+const { isMerging } = require('../utils/campsiteMerge');
 
 /**
  * POST /api/campsites/:id/reviews
@@ -37,6 +41,14 @@ router.post('/:id/reviews', optionalAuth, async (req, res) => {
       return res.status(404).json({ error: 'Campsite not found' });
     }
 
+    if (!canView(campsiteDoc.data(), req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (isMerging(campsiteDoc.data())) {
+      return res.status(409).json({ error: 'Campsite is being merged into another campsite' });
+    }
+
     // For anonymous ratings, check IP-based rate limiting
     if (!userId) {
       const now = Date.now();
@@ -152,8 +164,9 @@ router.post('/:id/reviews', optionalAuth, async (req, res) => {
 /**
  * GET /api/campsites/:id/reviews
  * Get reviews for a campsite with pagination and sorting
+ * Visible to anyone who can view the campsite, including through a share link
  */
-router.get('/:id/reviews', async (req, res) => {
+router.get('/:id/reviews', optionalAuth, async (req, res) => {
   try {
     const campsiteId = req.params.id;
     const page = parseInt(req.query.page) || 1;
@@ -161,12 +174,16 @@ router.get('/:id/reviews', async (req, res) => {
     const sort = req.query.sort || 'newest'; // newest, highest, lowest
     const db = admin.firestore();
 
-    // Verify campsite exists
+    // Verify campsite exists and is visible to the user
     const campsiteDoc = await db.collection('campsites').doc(campsiteId).get();
     if (!campsiteDoc.exists) {
       return res.status(404).json({ error: 'Campsite not found' });
     }
 
+    if (!canView(campsiteDoc.data(), req.user) && !shareLinkAllows(await findShareLink(req, campsiteId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
     // Build query
     let query = db.collection('reviews')
       .where('campsiteId', '==', campsiteId)
@@ -350,8 +367,7 @@ router.delete('/:id/reviews/:reviewId', verifyFirebaseToken, async (req, res) =>
     const campsiteRef = db.collection('campsites').doc(campsiteId);
     
     await db.runTransaction(async (transaction) => {
-      // Delete review
-      transaction.delete(reviewRef);
+      const campsiteDoc = await transaction.get(campsiteRef);
 
       // Recalculate average rating
       const allReviewsSnapshot = await transaction.get(
@@ -360,6 +376,10 @@ router.delete('/:id/reviews/:reviewId', verifyFirebaseToken, async (req, res) =>
           .where('hidden', '==', false)
       );
 
+      // Delete review, leaving a tombstone for sync clients
+      transaction.delete(reviewRef);
+      writeTombstone(transaction, 'review', reviewId, campsiteId, campsiteDoc.data() || {});
+
       let totalRating = 0;
       let reviewCount = 0;
 
@@ -434,7 +454,9 @@ router.post('/:id/reviews/:reviewId/flag', verifyFirebaseToken, async (req, res)
     await reviewRef.update({
       flags: admin.firestore.FieldValue.arrayUnion(flag),
       flagCount: newFlagCount,
-      hidden: shouldHide
+      hidden: shouldHide,
+      // Sync clients drop reviews once they are hidden
+      ...(shouldHide && { updatedAt: admin.firestore.FieldValue.serverTimestamp() })
     });
 
     // If hiding, recalculate campsite ratings
@@ -0,0 +1,204 @@
+const router = require('express').Router();
+const admin = require('firebase-admin');
+const { verifyFirebaseToken } = require('../middleware/auth');
+const { locationFields, positionOf } = require('../utils/geo');
+const { TRACKED_FIELDS, diffFields, recordRevision } = require('../utils/revisions');
+const { isOwner, canEdit, forViewer } = require('../utils/campsiteAccess');
+const { isMerging } = require('../utils/campsiteMerge');
+const {
+  campsiteETag,
+  ifMatchSatisfied,
+  sendPreconditionFailed,
+  unchangedSince,
+  isPreconditionFailure
+} = require('../utils/etag');
+
+/**
+ * GET /api/campsites/:id/history
+ * List the revision history of a campsite, newest first
+ * Revisions name their editors and keep old field values, including those
+ * written while the campsite was private, so only people who can edit it see them
+ * Auth: Required (owner or edit access)
+ */
+router.get('/:id/history', verifyFirebaseToken, async (req, res) => {
+  try {
+    const campsiteId = req.params.id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const db = admin.firestore();
+
+    // Verify campsite exists and the user can edit it
+    const campsiteDoc = await db.collection('campsites').doc(campsiteId).get();
+    if (!campsiteDoc.exists) {
+      return res.status(404).json({ error: 'Campsite not found' });
+    }
+
+    if (!canEdit(campsiteDoc.data(), req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const query = db.collection('campsiteRevisions')
+      .where('campsiteId', '==', campsiteId)
+      .orderBy('createdAt', 'desc');
+
+    const countSnapshot = await query.count().get();
+    const total = countSnapshot.data().count;
+
+    const offset = (page - 1) * limit;
+    const revisionsSnapshot = await query.limit(limit).offset(offset).get();
+
+    const revisions = revisionsSnapshot.docs.map(doc => {
+      const revision = doc.data();
+      return {
+        id: doc.id,
+        action: revision.action,
+        userId: revision.userId,
+        changes: revision.changes,
+        revertedFrom: revision.revertedFrom || null,
+        createdAt: revision.createdAt
+      };
+    });
+
+    res.json({
+      revisions,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Revision history fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch revision history', details: error.message });
+  }
+});
+
+/**
+ * POST /api/campsites/:id/revisions/:revisionId/revert
+ * Restore a campsite's tracked fields to how they were right after a revision
+ * The revert is itself recorded as a new revision
+ * Honors If-Match: returns 412 if the campsite changed since the client loaded it
+ * Auth: Required (owner or edit access; only the owner can revert a
+ * change of visibility)
+ */
+router.post('/:id/revisions/:revisionId/revert', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { id: campsiteId, revisionId } = req.params;
+    const db = admin.firestore();
+
+    const campsiteRef = db.collection('campsites').doc(campsiteId);
+    const campsiteDoc = await campsiteRef.get();
+
+    if (!campsiteDoc.exists) {
+      return res.status(404).json({ error: 'Campsite not found' });
+    }
+
+    const campsite = campsiteDoc.data();
+
+    if (!canEdit(campsite, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to revert this campsite' });
+    }
+
+    if (isMerging(campsite)) {
+      return res.status(409).json({ error: 'Campsite is being merged into another campsite' });
+    }
+
+    // Reject reverts based on a stale copy of the campsite
+    if (!ifMatchSatisfied(req, campsiteETag(campsite))) {
+      return sendPreconditionFailed(res, campsiteETag(campsite));
+    }
+
+    const revisionDoc = await db.collection('campsiteRevisions').doc(revisionId).get();
+
+    if (!revisionDoc.exists) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const revision = revisionDoc.data();
+
+    if (revision.campsiteId !== campsiteId) {
+      return res.status(400).json({ error: 'Revision does not belong to this campsite' });
+    }
+
+    const target = revision.snapshot;
+    if (diffFields(campsite, target).length === 0) {
+      return res.status(400).json({ error: 'Campsite already matches this revision' });
+    }
+
+    if (target.visibility !== campsite.visibility && !isOwner(campsite, req.user)) {
+      return res.status(403).json({ error: 'Only the owner can change visibility' });
+    }
+
+    const updates = {
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    // Snapshots recorded before a field was tracked do not have it; Firestore
+    // rejects undefined, so the field is removed instead
+    const removedFields = [];
+    for (const field of TRACKED_FIELDS) {
+      if (field === 'latitude' || field === 'longitude') {
+        continue;
+      }
+      if (target[field] === undefined) {
+        updates[field] = admin.firestore.FieldValue.delete();
+        removedFields.push(field);
+      } else {
+        updates[field] = target[field];
+      }
+    }
+
+    const [latitude, longitude] = positionOf(campsite);
+    const hasTargetPosition = target.latitude !== null && target.longitude !== null;
+    if (hasTargetPosition && (target.latitude !== latitude || target.longitude !== longitude)) {
+      Object.assign(updates, {
+        ...locationFields(target.latitude, target.longitude),
+        previousLocations: admin.firestore.FieldValue.arrayUnion({
+          latitude,
+          longitude,
+          geohash: campsite.geohash || null,
+          movedAt: admin.firestore.Timestamp.now(),
+          movedBy: req.user.uid
+        })
+      });
+    }
+
+    const after = { ...campsite, ...updates };
+    for (const field of removedFields) {
+      delete after[field];
+    }
+
+    const batch = db.batch();
+    const precondition = unchangedSince(req, campsiteDoc);
+    if (precondition) {
+      batch.update(campsiteRef, updates, precondition);
+    } else {
+      batch.update(campsiteRef, updates);
+    }
+    recordRevision(batch, campsiteId, {
+      action: 'revert',
+      userId: req.user.uid,
+      before: campsite,
+      after,
+      revertedFrom: revisionId
+    });
+    await batch.commit();
+
+    const updatedDoc = await campsiteRef.get();
+    const updated = { id: updatedDoc.id, ...updatedDoc.data() };
+
+    res.set('ETag', campsiteETag(updated));
+    res.json(forViewer(updated, req.user));
+  } catch (error) {
+    // The campsite changed between reading it and writing the revert
+    if (isPreconditionFailure(error)) {
+      const currentDoc = await admin.firestore().collection('campsites').doc(req.params.id).get();
+      return sendPreconditionFailed(res, campsiteETag(currentDoc.data() || {}));
+    }
+    console.error('Revision revert error:', error);
+    res.status(500).json({ error: 'Failed to revert campsite', details: error.message });
+  }
+});
+
+module.exports = router;
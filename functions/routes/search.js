@@ -1,6 +1,298 @@
 const router = require('express').Router();
 const admin = require('firebase-admin');
-const geohash = require('geofire-common');
+const { optionalAuth } = require('../middleware/auth');
+const { EXPORT_FORMATS, sendExport } = require('../utils/geoFormats');
+const { formatPublicCampsite, ACCESS_LEVELS, SIGNAL_LEVELS, ATTRIBUTES } = require('../utils/campsiteSchema');
+const { favoritedBy } = require('../utils/favorites');
+const {
+  findPublicCampsitesNear,
+  parseBbox,
+  findPublicCampsitesInBbox,
+  geohashCellCount,
+  clusterPublicCampsitesInBbox
+} = require('../utils/geo');
+const { isClosed } = require('../utils/conditions');
+const { parseRoute, routeLength, findPublicCampsitesAlongRoute } = require('../utils/routeCorridor');
+
+// Boolean amenities that can be required with e.g. ?fireRing=true
+const AMENITY_FILTERS = ['fireRing', 'shade', 'waterNearby', 'petFriendly'];
+
+// Maximum number of search results included in a file export
+const MAX_EXPORT_RESULTS = 1000;
+
+// Maximum number of campsites fetched for a bbox search, and the page size
+// map clients can ask for to get them in one request
+const MAX_BBOX_RESULTS = parseInt(process.env.MAX_BBOX_RESULTS) || 500;
+
+// Corridor width for route searches, in miles
+const DEFAULT_CORRIDOR_MILES = 5;
+const MAX_CORRIDOR_MILES = 50;
+
+// From this zoom level on, the cluster endpoint returns individual campsites
+const CLUSTER_MAX_ZOOM = 14;
+
+// Most geohash cells aggregated for one cluster request
+const MAX_CLUSTER_CELLS = 128;
+
+/**
+ * Geohash precision to cluster a bounding box at for a map zoom level
+ * Uses the finest precision whose cells are at least half a map tile wide,
+ * coarser if the box would need more than MAX_CLUSTER_CELLS cells
+ */
+function clusterPrecision(bbox, zoom) {
+  // A geohash of precision p is 2^ceil(5p/2) cells around, a zoom z map 2^z tiles
+  let precision = Math.max(1, Math.floor(2 * (zoom + 1) / 5));
+  while (precision > 1 && geohashCellCount(bbox, precision) > MAX_CLUSTER_CELLS) {
+    precision--;
+  }
+  return precision;
+}
+
+/**
+ * Check the bbox and lat/lng/radius query parameters
+ * Returns an error message, or null if they are valid
+ */
+function geoQueryError(query) {
+  if (query.bbox === undefined) {
+    return null;
+  }
+  if (!parseBbox(query.bbox)) {
+    return 'bbox must be minLng,minLat,maxLng,maxLat';
+  }
+  if (query.lat || query.lng || query.radius) {
+    return 'Use either bbox or lat, lng and radius';
+  }
+  return null;
+}
+
+/**
+ * Find public campsites matching the search query parameters
+ * Returns the filtered and sorted results before pagination, and whether a
+ * bbox search hit MAX_BBOX_RESULTS before filtering
+ */
+async function searchCampsites(params) {
+  const db = admin.firestore();
+  const {
+    lat,
+    lng,
+    radius, // in miles
+    bbox, // minLng,minLat,maxLng,maxLat
+    sort = 'newest'
+  } = params;
+
+  let results = [];
+  let requiresClientFiltering = false;
+  let truncated = false;
+
+  // Viewport search over the geohash cells covering the box
+  if (bbox) {
+    const matches = await findPublicCampsitesInBbox(parseBbox(bbox), MAX_BBOX_RESULTS);
+
+    results = matches.campsites;
+    truncated = matches.truncated;
+    requiresClientFiltering = true;
+  } else if (lat && lng && radius) {
+    // Geographic search using geohashing
+    const center = [parseFloat(lat), parseFloat(lng)];
+    const radiusInM = parseFloat(radius) * 1609.34; // Convert miles to meters
+
+    const matchingDocs = await findPublicCampsitesNear(center, radiusInM);
+
+    results = matchingDocs.map(({ distanceMeters, ...campsite }) => ({
+      ...campsite,
+      distance: distanceMeters / 1609.34
+    }));
+    requiresClientFiltering = true;
+  } else {
+    // No geographic search - get all public campsites
+    const snapshot = await db.collection('campsites')
+      .where('visibility', '==', 'public')
+      .get();
+    results = snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+    requiresClientFiltering = true;
+  }
+
+  // Client-side filtering (Firestore limitations)
+  results = filterCampsites(results, params);
+
+  // Sorting
+  switch (sort) {
+    case 'rating':
+      results.sort((a, b) => (b.averageRating || 0) - (a.averageRating || 0));
+      break;
+    case 'reviewCount':
+      results.sort((a, b) => (b.reviewCount || 0) - (a.reviewCount || 0));
+      break;
+    case 'popularity':
+      results.sort((a, b) => (b.favoriteCount || 0) - (a.favoriteCount || 0));
+      break;
+    case 'distance':
+      if (lat && lng) {
+        results.sort((a, b) => (a.distance || Infinity) - (b.distance || Infinity));
+      }
+      break;
+    case 'newest':
+    default:
+      results.sort((a, b) => {
+        const aTime = a.createdAt ? a.createdAt.toMillis() : 0;
+        const bTime = b.createdAt ? b.createdAt.toMillis() : 0;
+        return bTime - aTime;
+      });
+      break;
+  }
+
+  return { results, truncated };
+}
+
+/**
+ * Check the attribute filters that take one of a fixed set of values
+ * Returns an error message, or null if they are valid
+ */
+function filterError(params) {
+  const { access, cellSignal, minSignal, siteType } = params;
+  const signalFields = ATTRIBUTES.cellSignal.fields;
+
+  if (access && !ATTRIBUTES.access.enum.includes(access)) {
+    return ATTRIBUTES.access.message;
+  }
+  if (cellSignal && !signalFields[cellSignal]) {
+    return `cellSignal must be one of: ${Object.keys(signalFields).join(', ')}`;
+  }
+  if (minSignal && !SIGNAL_LEVELS.includes(minSignal)) {
+    return `minSignal must be one of: ${SIGNAL_LEVELS.join(', ')}`;
+  }
+  if (siteType && !ATTRIBUTES.siteType.enum.includes(siteType)) {
+    return ATTRIBUTES.siteType.message;
+  }
+  return null;
+}
+
+/**
+ * Apply the search filters other than location to a list of campsites
+ * Firestore cannot combine them with geographic queries, so this runs in memory
+ */
+function filterCampsites(results, params) {
+  const {
+    q, // text search
+    minRating,
+    hasPhotos,
+    access, // vehicle capability: 2wd, high-clearance or 4x4
+    rigLength, // in feet
+    cellSignal, // carrier
+    minSignal = 'weak',
+    siteType,
+    minSites,
+    excludeClosed
+  } = params;
+
+  // Leave out campsites hidden by reports or by a moderator
+  results = results.filter(campsite => campsite.hidden !== true);
+
+  // Filter by minimum rating
+  if (minRating) {
+    const minRatingValue = parseFloat(minRating);
+    results = results.filter(campsite => 
+      campsite.averageRating && campsite.averageRating >= minRatingValue
+    );
+  }
+
+  // Filter by photo availability
+  if (hasPhotos === 'true' || hasPhotos === true) {
+    results = results.filter(campsite => campsite.hasPhotos === true);
+  }
+
+  // Attribute filters only match campsites that have the attribute set
+
+  // Filter by vehicle capability: a vehicle reaches sites at or below its access level
+  if (access) {
+    const vehicleLevel = ACCESS_LEVELS.indexOf(access);
+    results = results.filter(campsite => {
+      const siteLevel = ACCESS_LEVELS.indexOf(campsite.attributes?.access);
+      return siteLevel !== -1 && siteLevel <= vehicleLevel;
+    });
+  }
+
+  // Filter by rig length
+  if (rigLength) {
+    const rigLengthValue = parseFloat(rigLength);
+    results = results.filter(campsite => {
+      const maxRigLength = campsite.attributes?.maxRigLength;
+      return maxRigLength !== undefined && maxRigLength >= rigLengthValue;
+    });
+  }
+
+  // Filter by cell signal for a carrier
+  if (cellSignal) {
+    const minSignalLevel = SIGNAL_LEVELS.indexOf(minSignal);
+    results = results.filter(campsite => {
+      const signalLevel = SIGNAL_LEVELS.indexOf(campsite.attributes?.cellSignal?.[cellSignal]);
+      return signalLevel !== -1 && signalLevel >= minSignalLevel;
+    });
+  }
+
+  // Filter by required amenities
+  for (const amenity of AMENITY_FILTERS) {
+    if (params[amenity] === 'true' || params[amenity] === true) {
+      results = results.filter(campsite => campsite.attributes?.[amenity] === true);
+    }
+  }
+
+  // Filter by site type; sites for both tents and vehicles match either
+  if (siteType) {
+    results = results.filter(campsite => {
+      const type = campsite.attributes?.siteType;
+      return type === siteType || (type === 'both' && siteType !== 'both');
+    });
+  }
+
+  // Filter by minimum number of sites
+  if (minSites) {
+    const minSitesValue = parseInt(minSites);
+    results = results.filter(campsite =>
+      campsite.attributes?.numberOfSites && campsite.attributes.numberOfSites >= minSitesValue
+    );
+  }
+
+  // Filter out sites with an active closed or impassable condition report
+  if (excludeClosed === 'true' || excludeClosed === true) {
+    const now = Date.now();
+    results = results.filter(campsite => !isClosed(campsite, now));
+  }
+
+  // Text search (simple string matching)
+  if (q && q.trim()) {
+    const searchTerm = q.trim().toLowerCase();
+    results = results.filter(campsite => {
+      const title = (campsite.title || '').toLowerCase();
+      const description = (campsite.description || '').toLowerCase();
+      return title.includes(searchTerm) || description.includes(searchTerm);
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Describe the filters applied by filterCampsites, for search responses
+ */
+function appliedFilters(params) {
+  const isSet = value => value === 'true' || value === true;
+
+  return {
+    minRating: params.minRating ? parseFloat(params.minRating) : null,
+    hasPhotos: isSet(params.hasPhotos),
+    access: params.access || null,
+    rigLength: params.rigLength ? parseFloat(params.rigLength) : null,
+    cellSignal: params.cellSignal ? { carrier: params.cellSignal, minSignal: params.minSignal || 'weak' } : null,
+    amenities: AMENITY_FILTERS.filter(amenity => isSet(params[amenity])),
+    siteType: params.siteType || null,
+    minSites: params.minSites ? parseInt(params.minSites) : null,
+    excludeClosed: isSet(params.excludeClosed)
+  };
+}
 
 /**
  * GET /api/search/campsites
@@ -8,161 +300,136 @@ const geohash = require('geofire-common');
  * Query parameters:
  * - q: text search (searches title and description)
  * - lat, lng, radius: geographic search in miles
+ * - bbox: minLng,minLat,maxLng,maxLat - map viewport search, instead of lat/lng/radius;
+ *   at most MAX_BBOX_RESULTS campsites are considered, and truncated is true
+ *   when the viewport holds more
  * - minRating: minimum average rating (1-5)
  * - hasPhotos: boolean - only show sites with photos
- * - sort: rating, newest, distance, reviewCount
- * - page, limit: pagination controls
+ * - access: vehicle capability (2wd, high-clearance, 4x4) - only show sites it can reach
+ * - rigLength: rig length in feet - only show sites that fit it
+ * - cellSignal, minSignal: carrier and minimum signal (none, weak, moderate, strong; default weak)
+ * - fireRing, shade, waterNearby, petFriendly: boolean - only show sites with the amenity
+ * - siteType: tent or vehicle
+ * - minSites: minimum number of sites
+ * - excludeClosed: boolean - leave out sites with an active closed or impassable condition report
+ * - sort: rating, newest, distance, reviewCount, popularity (most favorited)
+ * - page, limit: pagination controls (limit up to 100, or MAX_BBOX_RESULTS with bbox)
+ * Authenticated requests also get a favoritedByMe flag on each result
  */
-router.get('/campsites', async (req, res) => {
+router.get('/campsites', optionalAuth, async (req, res) => {
   try {
-    const db = admin.firestore();
     const {
-      q, // text search
+      q,
       lat,
       lng,
-      radius, // in miles
-      minRating,
-      hasPhotos,
+      radius,
+      bbox,
       sort = 'newest',
       page = 1,
       limit = 20
     } = req.query;
 
+    const queryError = geoQueryError(req.query) || filterError(req.query);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+
     const parsedPage = parseInt(page) || 1;
-    const parsedLimit = Math.min(parseInt(limit) || 20, 100);
+    const parsedLimit = Math.min(parseInt(limit) || 20, bbox ? MAX_BBOX_RESULTS : 100);
     const offset = (parsedPage - 1) * parsedLimit;
 
-    // Start with base query - only public campsites
-    let query = db.collection('campsites')
-      .where('visibility', '==', 'public');
+    const { results, truncated } = await searchCampsites(req.query);
+
+    // Pagination
+    const total = results.length;
+    const paginatedResults = results.slice(offset, offset + parsedLimit);
+
+    const favorites = await favoritedBy(req.user, paginatedResults.map(campsite => campsite.id));
 
-    let results = [];
-    let requiresClientFiltering = false;
+    // Format response - remove sensitive data
+    const formattedResults = paginatedResults.map(campsite => ({
+      ...formatPublicCampsite(campsite),
+      distance: campsite.distance || null,
+      ...(req.user && { favoritedByMe: favorites.has(campsite.id) })
+    }));
 
-    // Geographic search using geohashing
-    if (lat && lng && radius) {
-      const center = [parseFloat(lat), parseFloat(lng)];
-      const radiusInM = parseFloat(radius) * 1609.34; // Convert miles to meters
-
-      // Calculate geohash query bounds
-      const bounds = geohash.geohashQueryBounds(center, radiusInM);
-      const promises = [];
-
-      // Query for each bound
-      for (const b of bounds) {
-        const q = query
-          .orderBy('geohash')
-          .startAt(b[0])
-          .endAt(b[1]);
-        promises.push(q.get());
+    res.json({
+      results: formattedResults,
+      pagination: {
+        page: parsedPage,
+        limit: parsedLimit,
+        total: total,
+        totalPages: Math.ceil(total / parsedLimit)
+      },
+      truncated,
+      filters: {
+        textSearch: q || null,
+        location: lat && lng ? { lat: parseFloat(lat), lng: parseFloat(lng), radius: parseFloat(radius) } : null,
+        bbox: bbox ? parseBbox(bbox) : null,
+        ...appliedFilters(req.query),
+        sort
       }
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ error: 'Search failed', details: error.message });
+  }
+});
 
-      // Collect all matching documents
-      const snapshots = await Promise.all(promises);
-      const matchingDocs = [];
-
-      for (const snap of snapshots) {
-        for (const doc of snap.docs) {
-          const data = doc.data();
-          
-          // Calculate actual distance and verify it's within radius
-          if (data.location && data.location.latitude && data.location.longitude) {
-            const distanceInKm = geohash.distanceBetween(
-              [data.location.latitude, data.location.longitude],
-              center
-            );
-            const distanceInMiles = distanceInKm * 0.621371;
-
-            if (distanceInMiles <= parseFloat(radius)) {
-              matchingDocs.push({
-                id: doc.id,
-                ...data,
-                distance: distanceInMiles
-              });
-            }
-          }
-        }
-      }
+/**
+ * POST /api/search/route
+ * Find public campsites along a planned drive
+ * Body:
+ * - route: GeoJSON LineString (or a Feature holding one), or
+ * - polyline: encoded polyline (precision 5, as returned by most routing APIs)
+ * - width: corridor width in miles either side of the route (default 5, up to 50)
+ * - q, minRating, hasPhotos and the attribute filters of GET /api/search/campsites
+ * - page, limit: pagination controls (limit up to 100)
+ * Routes can be up to 3000 miles long. Results are ordered by distance along
+ * the route; each has distanceAlongRoute and distanceFromRoute in miles.
+ * At most MAX_BBOX_RESULTS campsites are considered, and truncated is true
+ * when the corridor may hold more
+ * Authenticated requests also get a favoritedByMe flag on each result
+ */
+router.post('/route', optionalAuth, async (req, res) => {
+  const body = req.body || {};
 
-      results = matchingDocs;
-      requiresClientFiltering = true;
-    } else {
-      // No geographic search - get all public campsites
-      const snapshot = await query.get();
-      results = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      requiresClientFiltering = true;
-    }
+  let points;
+  try {
+    points = parseRoute(body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    // Client-side filtering (Firestore limitations)
-    
-    // Filter by minimum rating
-    if (minRating) {
-      const minRatingValue = parseFloat(minRating);
-      results = results.filter(campsite => 
-        campsite.averageRating && campsite.averageRating >= minRatingValue
-      );
-    }
+  const width = body.width === undefined ? DEFAULT_CORRIDOR_MILES : Number(body.width);
+  if (!Number.isFinite(width) || width <= 0 || width > MAX_CORRIDOR_MILES) {
+    return res.status(400).json({ error: `width must be more than 0 and at most ${MAX_CORRIDOR_MILES} miles` });
+  }
 
-    // Filter by photo availability
-    if (hasPhotos === 'true' || hasPhotos === true) {
-      results = results.filter(campsite => campsite.hasPhotos === true);
-    }
+  const queryError = filterError(body);
+  if (queryError) {
+    return res.status(400).json({ error: queryError });
+  }
 
-    // Text search (simple string matching)
-    if (q && q.trim()) {
-      const searchTerm = q.trim().toLowerCase();
-      results = results.filter(campsite => {
-        const title = (campsite.title || '').toLowerCase();
-        const description = (campsite.description || '').toLowerCase();
-        return title.includes(searchTerm) || description.includes(searchTerm);
-      });
-    }
+  try {
+    const parsedPage = parseInt(body.page) || 1;
+    const parsedLimit = Math.min(parseInt(body.limit) || 20, 100);
+    const offset = (parsedPage - 1) * parsedLimit;
 
-    // Sorting
-    switch (sort) {
-      case 'rating':
-        results.sort((a, b) => (b.averageRating || 0) - (a.averageRating || 0));
-        break;
-      case 'reviewCount':
-        results.sort((a, b) => (b.reviewCount || 0) - (a.reviewCount || 0));
-        break;
-      case 'distance':
-        if (lat && lng) {
-          results.sort((a, b) => (a.distance || Infinity) - (b.distance || Infinity));
-        }
-        break;
-      case 'newest':
-      default:
-        results.sort((a, b) => {
-          const aTime = a.createdAt ? a.createdAt.toMillis() : 0;
-          const bTime = b.createdAt ? b.createdAt.toMillis() : 0;
-          return bTime - aTime;
-        });
-        break;
-    }
+    // Already ordered by distance along the route
+    const { campsites, truncated } = await findPublicCampsitesAlongRoute(points, width * 1609.34, MAX_BBOX_RESULTS);
+    const results = filterCampsites(campsites, body);
 
-    // Pagination
     const total = results.length;
     const paginatedResults = results.slice(offset, offset + parsedLimit);
 
-    // Format response - remove sensitive data
+    const favorites = await favoritedBy(req.user, paginatedResults.map(campsite => campsite.id));
+
     const formattedResults = paginatedResults.map(campsite => ({
-      id: campsite.id,
-      title: campsite.title,
-      description: campsite.description,
-      location: {
-        latitude: campsite.location?.latitude,
-        longitude: campsite.location?.longitude
-      },
-      photos: campsite.photos || [],
-      hasPhotos: campsite.hasPhotos || false,
-      averageRating: campsite.averageRating || null,
-      reviewCount: campsite.reviewCount || 0,
-      createdAt: campsite.createdAt,
-      distance: campsite.distance || null
+      ...formatPublicCampsite(campsite),
+      distanceAlongRoute: campsite.alongRouteMeters / 1609.34,
+      distanceFromRoute: campsite.fromRouteMeters / 1609.34,
+      ...(req.user && { favoritedByMe: favorites.has(campsite.id) })
     }));
 
     res.json({
@@ -173,17 +440,103 @@ router.get('/campsites', async (req, res) => {
         total: total,
         totalPages: Math.ceil(total / parsedLimit)
       },
+      truncated,
+      route: {
+        points: points.length,
+        length: routeLength(points) / 1609.34,
+        width
+      },
       filters: {
-        textSearch: q || null,
-        location: lat && lng ? { lat: parseFloat(lat), lng: parseFloat(lng), radius: parseFloat(radius) } : null,
-        minRating: minRating ? parseFloat(minRating) : null,
-        hasPhotos: hasPhotos === 'true' || hasPhotos === true,
-        sort
+        textSearch: body.q || null,
+        ...appliedFilters(body)
       }
     });
   } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({ error: 'Search failed', details: error.message });
+    console.error('Route search error:', error);
+    res.status(500).json({ error: 'Route search failed', details: error.message });
+  }
+});
+
+/**
+ * GET /api/search/clusters
+ * Group public campsites in a map viewport by geohash prefix
+ * Query parameters:
+ * - bbox: minLng,minLat,maxLng,maxLat (required)
+ * - zoom: map zoom level, 0-22 (required)
+ * Below CLUSTER_MAX_ZOOM, returns clusters with a count, center (mean position)
+ * and mean averageRating of the campsites in each geohash cell; counts cover
+ * the whole cell and leave out hidden campsites. From CLUSTER_MAX_ZOOM on,
+ * returns the individual campsites in the box instead, with truncated set as
+ * for a bbox search
+ */
+router.get('/clusters', async (req, res) => {
+  const bbox = parseBbox(req.query.bbox);
+  if (!bbox) {
+    return res.status(400).json({ error: 'bbox must be minLng,minLat,maxLng,maxLat' });
+  }
+
+  const zoom = Number(req.query.zoom);
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > 22) {
+    return res.status(400).json({ error: 'zoom must be an integer from 0 to 22' });
+  }
+
+  try {
+    if (zoom >= CLUSTER_MAX_ZOOM) {
+      const { campsites, truncated } = await findPublicCampsitesInBbox(bbox, MAX_BBOX_RESULTS);
+
+      return res.json({
+        zoom,
+        precision: null,
+        clusters: [],
+        campsites: campsites
+          .filter(campsite => campsite.hidden !== true)
+          .map(formatPublicCampsite),
+        truncated
+      });
+    }
+
+    const precision = clusterPrecision(bbox, zoom);
+    const clusters = await clusterPublicCampsitesInBbox(bbox, precision);
+
+    res.json({
+      zoom,
+      precision,
+      clusters,
+      campsites: [],
+      truncated: false
+    });
+  } catch (error) {
+    console.error('Cluster error:', error);
+    res.status(500).json({ error: 'Failed to cluster campsites', details: error.message });
+  }
+});
+
+/**
+ * GET /api/search/campsites/export
+ * Export search results as a file
+ * Accepts the same filters as GET /api/search/campsites
+ * Query parameters:
+ * - format: gpx, kml or geojson (default geojson)
+ */
+router.get('/campsites/export', async (req, res) => {
+  const format = (req.query.format || 'geojson').toLowerCase();
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  const queryError = geoQueryError(req.query) || filterError(req.query);
+  if (queryError) {
+    return res.status(400).json({ error: queryError });
+  }
+
+  try {
+    const { results } = await searchCampsites(req.query);
+
+    sendExport(res, results.slice(0, MAX_EXPORT_RESULTS), format, 'search-results');
+  } catch (error) {
+    console.error('Search export error:', error);
+    res.status(500).json({ error: 'Search export failed', details: error.message });
   }
 });
 
@@ -0,0 +1,168 @@
+const router = require('express').Router();
+const admin = require('firebase-admin');
+const { verifyFirebaseToken } = require('../middleware/auth');
+const {
+  DEFAULT_EXPIRY_HOURS,
+  MAX_EXPIRY_HOURS,
+  MAX_VIEWS_LIMIT,
+  generateToken,
+  hashToken,
+  linkStatus
+} = require('../utils/shareLinks');
+
+/**
+ * Load a campsite and check the current user owns it
+ * Returns { campsite } or { status, error }
+ */
+async function loadOwnedCampsite(campsiteId, userId) {
+  const campsiteDoc = await admin.firestore().collection('campsites').doc(campsiteId).get();
+
+  if (!campsiteDoc.exists) {
+    return { status: 404, error: 'Campsite not found' };
+  }
+
+  const campsite = campsiteDoc.data();
+  if (campsite.userId !== userId) {
+    return { status: 403, error: 'Not authorized to manage share links for this campsite' };
+  }
+
+  return { campsite };
+}
+
+/**
+ * Format a share link for responses; the token itself is never stored
+ */
+function formatShareLink(id, link) {
+  return {
+    id,
+    status: linkStatus(link),
+    expiresAt: link.expiresAt.toDate().toISOString(),
+    maxViews: link.maxViews,
+    viewCount: link.viewCount || 0,
+    createdAt: link.createdAt,
+    revokedAt: link.revokedAt || null
+  };
+}
+
+/**
+ * POST /api/campsites/:id/share-links
+ * Create a link that grants read access to a private or unlisted campsite
+ * Body:
+ * - expiresInHours: link lifetime (default 7 days, max 90 days)
+ * - maxViews: optional limit on how many times the campsite can be viewed
+ * The token is only returned in this response
+ * Requires authentication and campsite ownership
+ */
+router.post('/:id/share-links', verifyFirebaseToken, async (req, res) => {
+  try {
+    const campsiteId = req.params.id;
+    const expiresInHours = req.body.expiresInHours === undefined ? DEFAULT_EXPIRY_HOURS : Number(req.body.expiresInHours);
+    const maxViews = req.body.maxViews === undefined || req.body.maxViews === null ? null : Number(req.body.maxViews);
+
+    if (!Number.isFinite(expiresInHours) || expiresInHours <= 0 || expiresInHours > MAX_EXPIRY_HOURS) {
+      return res.status(400).json({ error: `expiresInHours must be greater than 0 and at most ${MAX_EXPIRY_HOURS}` });
+    }
+
+    if (maxViews !== null && (!Number.isInteger(maxViews) || maxViews < 1 || maxViews > MAX_VIEWS_LIMIT)) {
+      return res.status(400).json({ error: `maxViews must be a whole number from 1-${MAX_VIEWS_LIMIT}` });
+    }
+
+    const { campsite, status, error } = await loadOwnedCampsite(campsiteId, req.user.uid);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (campsite.visibility === 'public') {
+      return res.status(400).json({ error: 'Public campsites do not need share links' });
+    }
+
+    const token = generateToken();
+    const linkId = hashToken(token);
+    const link = {
+      campsiteId,
+      createdBy: req.user.uid,
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + expiresInHours * 60 * 60 * 1000),
+      maxViews,
+      viewCount: 0,
+      revoked: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    const linkRef = admin.firestore().collection('shareLinks').doc(linkId);
+    await linkRef.set(link);
+    const createdDoc = await linkRef.get();
+
+    res.status(201).json({
+      ...formatShareLink(linkId, createdDoc.data()),
+      token
+    });
+  } catch (error) {
+    console.error('Share link creation error:', error);
+    res.status(500).json({ error: 'Failed to create share link', details: error.message });
+  }
+});
+
+/**
+ * GET /api/campsites/:id/share-links
+ * List a campsite's share links, newest first
+ * Requires authentication and campsite ownership
+ */
+router.get('/:id/share-links', verifyFirebaseToken, async (req, res) => {
+  try {
+    const campsiteId = req.params.id;
+
+    const { status, error } = await loadOwnedCampsite(campsiteId, req.user.uid);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const snapshot = await admin.firestore().collection('shareLinks')
+      .where('campsiteId', '==', campsiteId)
+      .orderBy('createdAt', 'desc')
+      .get();
+
+    res.json({
+      shareLinks: snapshot.docs.map(doc => formatShareLink(doc.id, doc.data()))
+    });
+  } catch (error) {
+    console.error('Share links fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch share links', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/campsites/:id/share-links/:linkId
+ * Revoke a share link; it stops working immediately
+ * Requires authentication and campsite ownership
+ */
+router.delete('/:id/share-links/:linkId', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { id: campsiteId, linkId } = req.params;
+
+    const { status, error } = await loadOwnedCampsite(campsiteId, req.user.uid);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const linkRef = admin.firestore().collection('shareLinks').doc(linkId);
+    const linkDoc = await linkRef.get();
+
+    if (!linkDoc.exists || linkDoc.data().campsiteId !== campsiteId) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    if (!linkDoc.data().revoked) {
+      await linkRef.update({
+        revoked: true,
+        revokedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    res.json({ message: 'Share link revoked' });
+  } catch (error) {
+    console.error('Share link revocation error:', error);
+    res.status(500).json({ error: 'Failed to revoke share link', details: error.message });
+  }
+});
+
+module.exports = router;
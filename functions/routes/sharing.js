@@ -0,0 +1,147 @@
+const router = require('express').Router();
+const admin = require('firebase-admin');
+const { verifyFirebaseToken } = require('../middleware/auth');
+const { SHARE_ROLES } = require('../utils/campsiteAccess');
+const { findUser } = require('../utils/users');
+
+/**
+ * GET /api/campsites/:id/shares
+ * List the users a campsite is shared with
+ * Requires authentication and campsite ownership
+ */
+router.get('/:id/shares', verifyFirebaseToken, async (req, res) => {
+  try {
+    const campsiteDoc = await admin.firestore().collection('campsites').doc(req.params.id).get();
+
+    if (!campsiteDoc.exists) {
+      return res.status(404).json({ error: 'Campsite not found' });
+    }
+
+    const campsite = campsiteDoc.data();
+    if (campsite.userId !== req.user.uid) {
+      return res.status(403).json({ error: 'Not authorized to view shares for this campsite' });
+    }
+
+    const shares = await Promise.all(Object.entries(campsite.sharedWith || {}).map(async ([uid, role]) => {
+      let userInfo = { email: null, displayName: null };
+
+      try {
+        const userRecord = await admin.auth().getUser(uid);
+        userInfo = {
+          email: userRecord.email || null,
+          displayName: userRecord.displayName || null
+        };
+      } catch (error) {
+        console.error('Error fetching user info:', error);
+      }
+
+      return { uid, role, ...userInfo };
+    }));
+
+    res.json({ shares });
+  } catch (error) {
+    console.error('Shares fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch shares', details: error.message });
+  }
+});
+
+/**
+ * POST /api/campsites/:id/shares
+ * Grant a user view or edit access to a campsite, or change their role
+ * Body: { uid or email, role: 'view' | 'edit' }
+ * Requires authentication and campsite ownership
+ */
+router.post('/:id/shares', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { uid, email, role } = req.body;
+
+    if (!uid && !email) {
+      return res.status(400).json({ error: 'uid or email is required' });
+    }
+
+    if (!SHARE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${SHARE_ROLES.join(', ')}` });
+    }
+
+    const campsiteRef = admin.firestore().collection('campsites').doc(req.params.id);
+    const campsiteDoc = await campsiteRef.get();
+
+    if (!campsiteDoc.exists) {
+      return res.status(404).json({ error: 'Campsite not found' });
+    }
+
+    const campsite = campsiteDoc.data();
+    if (campsite.userId !== req.user.uid) {
+      return res.status(403).json({ error: 'Not authorized to share this campsite' });
+    }
+
+    const userRecord = await findUser({ uid, email });
+    if (!userRecord) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (userRecord.uid === campsite.userId) {
+      return res.status(400).json({ error: 'Cannot share a campsite with its owner' });
+    }
+
+    const isUpdate = Boolean(campsite.sharedWith && campsite.sharedWith[userRecord.uid]);
+
+    await campsiteRef.update({
+      [`sharedWith.${userRecord.uid}`]: role,
+      sharedWithIds: admin.firestore.FieldValue.arrayUnion(userRecord.uid),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.status(isUpdate ? 200 : 201).json({
+      message: isUpdate ? 'Share updated successfully' : 'Campsite shared successfully',
+      share: {
+        uid: userRecord.uid,
+        role,
+        email: userRecord.email || null,
+        displayName: userRecord.displayName || null
+      }
+    });
+  } catch (error) {
+    console.error('Share creation error:', error);
+    res.status(500).json({ error: 'Failed to share campsite', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/campsites/:id/shares/:uid
+ * Revoke a user's access to a campsite
+ * Allowed for the campsite owner, or for the user leaving a shared campsite
+ */
+router.delete('/:id/shares/:uid', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { id: campsiteId, uid } = req.params;
+    const campsiteRef = admin.firestore().collection('campsites').doc(campsiteId);
+    const campsiteDoc = await campsiteRef.get();
+
+    if (!campsiteDoc.exists) {
+      return res.status(404).json({ error: 'Campsite not found' });
+    }
+
+    const campsite = campsiteDoc.data();
+    if (campsite.userId !== req.user.uid && uid !== req.user.uid) {
+      return res.status(403).json({ error: 'Not authorized to remove this share' });
+    }
+
+    if (!campsite.sharedWith || !campsite.sharedWith[uid]) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+
+    await campsiteRef.update({
+      [`sharedWith.${uid}`]: admin.firestore.FieldValue.delete(),
+      sharedWithIds: admin.firestore.FieldValue.arrayRemove(uid),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ message: 'Share removed successfully' });
+  } catch (error) {
+    console.error('Share removal error:', error);
+    res.status(500).json({ error: 'Failed to remove share', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,332 @@
+const router = require('express').Router();
+const admin = require('firebase-admin');
+const { optionalAuth } = require('../middleware/auth');
+const { canView, isListedFor } = require('../utils/campsiteAccess');
+const { formatPublicCampsite } = require('../utils/campsiteSchema');
+const { positionOf, parseBbox, inBbox, findCampsitesInBbox } = require('../utils/geo');
+const { TOMBSTONE_RETENTION_DAYS } = require('../utils/tombstones');
+
+// Maximum number of changed documents read from each collection per delta
+// sync, and of campsites of each kind (public, own, shared) in a full sync
+const MAX_SYNC_CHANGES = parseInt(process.env.MAX_SYNC_CHANGES) || 500;
+
+// Changes are read again from this long before the previous sync, so writes
+// that were still committing while it ran are not missed
+const SYNC_OVERLAP_MS = 60 * 1000;
+
+// Firestore 'in' queries take at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+// Collections read by a delta sync, with the timestamp field they change on
+const SYNC_SOURCES = {
+  campsites: 'updatedAt',
+  reviews: 'updatedAt',
+  tombstones: 'deletedAt'
+};
+
+/**
+ * Encode the position reached in each synced collection as an opaque token
+ * Each position is the timestamp and ID of the last document seen
+ */
+function encodeSyncToken(positions) {
+  const token = {};
+  for (const [name, { timestamp, id }] of Object.entries(positions)) {
+    token[name] = [timestamp.seconds, timestamp.nanoseconds, id];
+  }
+  return Buffer.from(JSON.stringify(token)).toString('base64url');
+}
+
+/**
+ * Decode a token produced by encodeSyncToken
+ * Returns null if the token is malformed
+ */
+function decodeSyncToken(token) {
+  try {
+    const decoded = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    const positions = {};
+
+    for (const name of Object.keys(SYNC_SOURCES)) {
+      const [s, n, id] = decoded[name] || [];
+      if (!Number.isInteger(s) || !Number.isInteger(n) || typeof id !== 'string') {
+        return null;
+      }
+      positions[name] = { timestamp: new admin.firestore.Timestamp(s, n), id };
+    }
+
+    return positions;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Format a campsite for sync responses; its photos are sent separately
+ */
+function formatSyncCampsite(campsite) {
+  const { photos, ...formatted } = formatPublicCampsite(campsite);
+
+  return {
+    ...formatted,
+    userId: campsite.userId,
+    visibility: campsite.visibility,
+    updatedAt: campsite.updatedAt || campsite.createdAt
+  };
+}
+
+/**
+ * Format a review for sync responses, without the reviewer's identity
+ */
+function formatSyncReview(id, review) {
+  return {
+    id,
+    campsiteId: review.campsiteId,
+    rating: review.rating,
+    comment: review.comment,
+    isAnonymous: !review.userId,
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt
+  };
+}
+
+/**
+ * Photo metadata of a campsite, tagged with the campsite ID
+ */
+function photosOf(campsite) {
+  return (campsite.photos || []).map(photo => ({ ...photo, campsiteId: campsite.id }));
+}
+
+/**
+ * Whether a campsite is, or was before it moved, inside the bounding box
+ */
+function touchesBbox(bbox, campsite) {
+  return inBbox(bbox, positionOf(campsite)) ||
+    (campsite.previousLocations || []).some(location => inBbox(bbox, [location.latitude, location.longitude]));
+}
+
+/**
+ * Split an array into chunks of at most size items
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Empty sync response sections
+ */
+function emptyChanges() {
+  return {
+    campsites: { updated: [], deleted: [] },
+    reviews: { updated: [], deleted: [] },
+    photos: { updated: [], deleted: [] }
+  };
+}
+
+/**
+ * Full sync: everything the user can see in the bounding box
+ * Returns null if the box holds more than MAX_SYNC_CHANGES public, own or
+ * shared campsites, as a partial full sync could not be continued by deltas
+ */
+async function fullSync(bbox, user) {
+  const db = admin.firestore();
+  const campsitesRef = db.collection('campsites');
+  const changes = emptyChanges();
+
+  const queries = [campsitesRef.where('visibility', '==', 'public')];
+  if (user) {
+    queries.push(campsitesRef.where('userId', '==', user.uid));
+    queries.push(campsitesRef.where('sharedWithIds', 'array-contains', user.uid));
+  }
+
+  const lists = await Promise.all(queries.map(query => findCampsitesInBbox(query, bbox, MAX_SYNC_CHANGES)));
+  if (lists.some(({ truncated }) => truncated)) {
+    return null;
+  }
+
+  // A site can appear in more than one list
+  const campsites = new Map();
+  for (const campsite of lists.flatMap(list => list.campsites)) {
+    if (canView(campsite, user) && isListedFor(campsite, user)) {
+      campsites.set(campsite.id, campsite);
+    }
+  }
+
+  for (const campsite of campsites.values()) {
+    changes.campsites.updated.push(formatSyncCampsite(campsite));
+    changes.photos.updated.push(...photosOf(campsite));
+  }
+
+  const reviewSnapshots = await Promise.all(chunk([...campsites.keys()], IN_QUERY_LIMIT).map(ids =>
+    db.collection('reviews').where('campsiteId', 'in', ids).get()
+  ));
+
+  for (const doc of reviewSnapshots.flatMap(snapshot => snapshot.docs)) {
+    if (doc.data().hidden !== true) {
+      changes.reviews.updated.push(formatSyncReview(doc.id, doc.data()));
+    }
+  }
+
+  return { changes, hasMore: false, positions: null };
+}
+
+/**
+ * Delta sync: what changed in the bounding box after the token's positions
+ * Returns the changes and the positions reached in each collection
+ */
+async function deltaSync(bbox, user, positions) {
+  const db = admin.firestore();
+  const changes = emptyChanges();
+
+  const snapshots = {};
+  await Promise.all(Object.entries(SYNC_SOURCES).map(async ([name, field]) => {
+    snapshots[name] = await db.collection(name)
+      .orderBy(field)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .startAfter(positions[name].timestamp, positions[name].id)
+      .limit(MAX_SYNC_CHANGES)
+      .get();
+  }));
+
+  // Campsites that changed: updated if the user can see them in the box,
+  // deleted if they left it, the user lost access or they were hidden
+  const campsites = new Map();
+  for (const doc of snapshots.campsites.docs) {
+    const campsite = { id: doc.id, ...doc.data() };
+    campsites.set(doc.id, campsite);
+
+    if (inBbox(bbox, positionOf(campsite)) && canView(campsite, user) && isListedFor(campsite, user)) {
+      changes.campsites.updated.push(formatSyncCampsite(campsite));
+      changes.photos.updated.push(...photosOf(campsite));
+    } else if (touchesBbox(bbox, campsite)) {
+      changes.campsites.deleted.push(doc.id);
+    }
+  }
+
+  // Reviews only matter for campsites the user has in the box
+  const missingIds = [...new Set(snapshots.reviews.docs.map(doc => doc.data().campsiteId))]
+    .filter(id => !campsites.has(id));
+  const missingDocs = await Promise.all(missingIds.map(id => db.collection('campsites').doc(id).get()));
+  for (const doc of missingDocs) {
+    campsites.set(doc.id, doc.exists ? { id: doc.id, ...doc.data() } : null);
+  }
+
+  for (const doc of snapshots.reviews.docs) {
+    const review = doc.data();
+    const campsite = campsites.get(review.campsiteId);
+
+    if (!campsite || !inBbox(bbox, positionOf(campsite)) || !canView(campsite, user) || !isListedFor(campsite, user)) {
+      continue;
+    }
+
+    if (review.hidden === true) {
+      changes.reviews.deleted.push(doc.id);
+    } else {
+      changes.reviews.updated.push(formatSyncReview(doc.id, review));
+    }
+  }
+
+  for (const doc of snapshots.tombstones.docs) {
+    const tombstone = doc.data();
+
+    if (tombstone.latitude !== null && !inBbox(bbox, [tombstone.latitude, tombstone.longitude])) {
+      continue;
+    }
+
+    if (tombstone.type === 'photo') {
+      changes.photos.deleted.push({ id: tombstone.id, campsiteId: tombstone.campsiteId });
+    } else if (tombstone.type === 'campsite') {
+      changes.campsites.deleted.push(tombstone.id);
+    } else if (tombstone.type === 'review') {
+      changes.reviews.deleted.push(tombstone.id);
+    }
+  }
+
+  // Collections that filled a page continue from their last document
+  const reached = {};
+  let hasMore = false;
+  for (const [name, field] of Object.entries(SYNC_SOURCES)) {
+    const docs = snapshots[name].docs;
+    if (docs.length === MAX_SYNC_CHANGES) {
+      const last = docs[docs.length - 1];
+      reached[name] = { timestamp: last.data()[field], id: last.id };
+      hasMore = true;
+    }
+  }
+
+  return { changes, hasMore, positions: reached };
+}
+
+/**
+ * GET /api/sync
+ * Fetch the campsites, reviews and photo metadata in a region for offline use
+ * Query parameters:
+ * - bbox: region as minLng,minLat,maxLng,maxLat (required)
+ * - token: syncToken from the previous response; without it, everything in
+ *   the region is returned
+ * With a token, only what changed since is returned. Deleted documents, and
+ * campsites that left the region, the user can no longer see or that were
+ * hidden by reports or a moderator, are listed under deleted; clients should ignore IDs they do not have. While hasMore is
+ * true, call again with the new token to get the rest
+ * A full sync of a region holding more than MAX_SYNC_CHANGES public, own or
+ * shared campsites gets a 400; split it into smaller regions
+ * Tokens expire after TOMBSTONE_RETENTION_DAYS; expired tokens get a 410 and
+ * the client should start over with a full sync
+ * Auth: Optional (private and shared campsites are included when authenticated)
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const bbox = parseBbox(req.query.bbox);
+    if (!bbox) {
+      return res.status(400).json({ error: 'bbox must be minLng,minLat,maxLng,maxLat' });
+    }
+
+    let positions = null;
+    if (req.query.token) {
+      positions = decodeSyncToken(req.query.token);
+      if (!positions) {
+        return res.status(400).json({ error: 'Invalid sync token' });
+      }
+
+      const oldest = Math.min(...Object.values(positions).map(({ timestamp }) => timestamp.toMillis()));
+      if (oldest < Date.now() - TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(410).json({ error: 'Sync token has expired; start a full sync' });
+      }
+    }
+
+    // Read before querying, so changes made while this sync runs are picked
+    // up by the next one
+    const syncedUntil = {
+      timestamp: admin.firestore.Timestamp.fromMillis(Date.now() - SYNC_OVERLAP_MS),
+      id: ''
+    };
+
+    const result = positions
+      ? await deltaSync(bbox, req.user, positions)
+      : await fullSync(bbox, req.user);
+
+    if (!result) {
+      return res.status(400).json({
+        error: `Region has more than ${MAX_SYNC_CHANGES} campsites; sync a smaller bbox`
+      });
+    }
+
+    const nextPositions = {};
+    for (const name of Object.keys(SYNC_SOURCES)) {
+      nextPositions[name] = (result.positions && result.positions[name]) || syncedUntil;
+    }
+
+    res.json({
+      ...result.changes,
+      hasMore: result.hasMore,
+      syncToken: encodeSyncToken(nextPositions)
+    });
+  } catch (error) {
+    console.error('Sync error:', error);
+    res.status(500).json({ error: 'Failed to sync', details: error.message });
+  }
+});
+
+module.exports = router;
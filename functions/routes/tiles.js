@@ -0,0 +1,42 @@
+const router = require('express').Router();
+const { findPublicCampsitesInBbox } = require('../utils/geo');
+const { isValidTile, tileBbox, encodeCampsiteTile } = require('../utils/vectorTiles');
+
+// Most campsites encoded in one tile
+const MAX_TILE_CAMPSITES = parseInt(process.env.MAX_TILE_CAMPSITES) || 1000;
+
+// How long clients and CDNs may cache a tile, in seconds
+const TILE_MAX_AGE = parseInt(process.env.TILE_MAX_AGE) || 300;
+const TILE_SHARED_MAX_AGE = parseInt(process.env.TILE_SHARED_MAX_AGE) || 3600;
+
+/**
+ * GET /api/tiles/campsites/:z/:x/:y.mvt
+ * Public campsites as a Mapbox Vector Tile
+ * The tile has one 'campsites' point layer; each feature has id, title,
+ * rating, reviewCount, hasPhotos, access and maxRigLength properties.
+ * At most MAX_TILE_CAMPSITES campsites are encoded; X-Tile-Truncated is true
+ * when the tile holds more, and the client should zoom in to see them all
+ * Auth: None (tiles are cached publicly)
+ */
+router.get('/campsites/:z/:x/:y.mvt', async (req, res) => {
+  const [z, x, y] = [req.params.z, req.params.x, req.params.y].map(Number);
+
+  if (!isValidTile(z, x, y)) {
+    return res.status(400).json({ error: 'Invalid tile coordinates' });
+  }
+
+  try {
+    const { campsites, truncated } = await findPublicCampsitesInBbox(tileBbox(z, x, y), MAX_TILE_CAMPSITES);
+    const tile = encodeCampsiteTile(campsites.filter(campsite => campsite.hidden !== true), z, x, y);
+
+    res.set('Content-Type', 'application/vnd.mapbox-vector-tile');
+    res.set('Cache-Control', `public, max-age=${TILE_MAX_AGE}, s-maxage=${TILE_SHARED_MAX_AGE}`);
+    res.set('X-Tile-Truncated', String(truncated));
+    res.send(tile);
+  } catch (error) {
+    console.error('Tile error:', error);
+    res.status(500).json({ error: 'Failed to build tile', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,290 @@
+const router = require('express').Router();
+const admin = require('firebase-admin');
+const { verifyFirebaseToken } = require('../middleware/auth');
+const { SHARE_ROLES, isOwner } = require('../utils/campsiteAccess');
+const { findUser } = require('../utils/users');
+
+// Transfer invites that are not accepted within this many days expire
+const TRANSFER_EXPIRY_DAYS = 14;
+
+/**
+ * Format a transfer invite for API responses
+ */
+function formatTransfer(id, transfer, campsiteTitle) {
+  return {
+    id,
+    campsiteId: transfer.campsiteId,
+    campsiteTitle,
+    fromUserId: transfer.fromUserId,
+    toUserId: transfer.toUserId,
+    toEmail: transfer.toEmail,
+    keepAccess: transfer.keepAccess,
+    status: transfer.status,
+    createdAt: transfer.createdAt,
+    expiresAt: transfer.expiresAt
+  };
+}
+
+/**
+ * Respond to a pending transfer invite addressed to the current user, moving
+ * it to newStatus
+ * The optional apply callback gets the transaction and transfer, and can add
+ * writes or return { status, error } to abort
+ */
+async function respondToTransfer(req, newStatus, apply) {
+  const db = admin.firestore();
+  const transferRef = db.collection('campsiteTransfers').doc(req.params.id);
+
+  return db.runTransaction(async (transaction) => {
+    const transferDoc = await transaction.get(transferRef);
+
+    if (!transferDoc.exists || transferDoc.data().toUserId !== req.user.uid) {
+      return { status: 404, error: 'Transfer not found' };
+    }
+
+    const transfer = transferDoc.data();
+    if (transfer.status !== 'pending') {
+      return { status: 409, error: `Transfer is already ${transfer.status}` };
+    }
+
+    if (transfer.expiresAt.toMillis() <= Date.now()) {
+      return { status: 410, error: 'Transfer invite has expired' };
+    }
+
+    const failure = apply && await apply(transaction, transfer);
+    if (failure) {
+      return failure;
+    }
+
+    transaction.update(transferRef, {
+      status: newStatus,
+      respondedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { status: 200, transfer };
+  });
+}
+
+/**
+ * GET /api/transfers
+ * List pending transfer invites sent to and by the current user
+ * Auth: Required
+ */
+router.get('/', verifyFirebaseToken, async (req, res) => {
+  try {
+    const db = admin.firestore();
+    const transfersRef = db.collection('campsiteTransfers');
+
+    const [incomingSnapshot, outgoingSnapshot] = await Promise.all([
+      transfersRef.where('toUserId', '==', req.user.uid).where('status', '==', 'pending')
+        .orderBy('createdAt', 'desc').get(),
+      transfersRef.where('fromUserId', '==', req.user.uid).where('status', '==', 'pending')
+        .orderBy('createdAt', 'desc').get()
+    ]);
+
+    const now = Date.now();
+    const format = snapshot => Promise.all(snapshot.docs
+      .filter(doc => doc.data().expiresAt.toMillis() > now)
+      .map(async (doc) => {
+        const transfer = doc.data();
+        const campsiteDoc = await db.collection('campsites').doc(transfer.campsiteId).get();
+        return formatTransfer(doc.id, transfer, campsiteDoc.exists ? campsiteDoc.data().title : null);
+      }));
+
+    res.json({
+      incoming: await format(incomingSnapshot),
+      outgoing: await format(outgoingSnapshot)
+    });
+  } catch (error) {
+    console.error('Transfers fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch transfers', details: error.message });
+  }
+});
+
+/**
+ * POST /api/transfers
+ * Invite another user to take over ownership of a campsite
+ * Body: { campsiteId, uid or email, keepAccess: 'view' | 'edit' (optional) }
+ * keepAccess shares the campsite back with the current owner once the
+ * transfer is accepted. A new invite replaces any pending one for the campsite
+ * Auth: Required (campsite owner)
+ */
+router.post('/', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { campsiteId, uid, email, keepAccess } = req.body;
+
+    if (!campsiteId || typeof campsiteId !== 'string') {
+      return res.status(400).json({ error: 'campsiteId is required' });
+    }
+
+    if (!uid && !email) {
+      return res.status(400).json({ error: 'uid or email is required' });
+    }
+
+    if (keepAccess !== undefined && keepAccess !== null && !SHARE_ROLES.includes(keepAccess)) {
+      return res.status(400).json({ error: `keepAccess must be one of: ${SHARE_ROLES.join(', ')}` });
+    }
+
+    const db = admin.firestore();
+    const campsiteDoc = await db.collection('campsites').doc(campsiteId).get();
+
+    if (!campsiteDoc.exists) {
+      return res.status(404).json({ error: 'Campsite not found' });
+    }
+
+    if (!isOwner(campsiteDoc.data(), req.user)) {
+      return res.status(403).json({ error: 'Only the owner can transfer this campsite' });
+    }
+
+    const userRecord = await findUser({ uid, email });
+    if (!userRecord) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (userRecord.uid === req.user.uid) {
+      return res.status(400).json({ error: 'Cannot transfer a campsite to its owner' });
+    }
+
+    const transfersRef = db.collection('campsiteTransfers');
+    const pendingSnapshot = await transfersRef
+      .where('campsiteId', '==', campsiteId)
+      .where('status', '==', 'pending')
+      .get();
+
+    const transferRef = transfersRef.doc();
+    const transfer = {
+      campsiteId,
+      fromUserId: req.user.uid,
+      toUserId: userRecord.uid,
+      toEmail: userRecord.email || null,
+      keepAccess: keepAccess || null,
+      status: 'pending',
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + TRANSFER_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+    };
+
+    const batch = db.batch();
+    pendingSnapshot.docs.forEach(doc => batch.update(doc.ref, {
+      status: 'cancelled',
+      respondedAt: admin.firestore.FieldValue.serverTimestamp()
+    }));
+    batch.set(transferRef, transfer);
+    await batch.commit();
+
+    res.status(201).json({
+      message: 'Transfer invite sent',
+      transfer: formatTransfer(transferRef.id, transfer, campsiteDoc.data().title)
+    });
+  } catch (error) {
+    console.error('Transfer creation error:', error);
+    res.status(500).json({ error: 'Failed to create transfer', details: error.message });
+  }
+});
+
+/**
+ * POST /api/transfers/:id/accept
+ * Accept a transfer invite and become the campsite's owner
+ * The new owner is removed from the campsite's shares; the previous owner
+ * keeps the access the invite asked for, if any
+ * Auth: Required (invited user)
+ */
+router.post('/:id/accept', verifyFirebaseToken, async (req, res) => {
+  try {
+    const db = admin.firestore();
+
+    const result = await respondToTransfer(req, 'accepted', async (transaction, transfer) => {
+      const campsiteRef = db.collection('campsites').doc(transfer.campsiteId);
+      const campsiteDoc = await transaction.get(campsiteRef);
+
+      if (!campsiteDoc.exists) {
+        return { status: 404, error: 'Campsite not found' };
+      }
+
+      const campsite = campsiteDoc.data();
+      if (campsite.userId !== transfer.fromUserId) {
+        return { status: 409, error: 'Campsite has changed owners since the invite was sent' };
+      }
+
+      const sharedWith = { ...(campsite.sharedWith || {}) };
+      delete sharedWith[transfer.toUserId];
+      if (transfer.keepAccess) {
+        sharedWith[transfer.fromUserId] = transfer.keepAccess;
+      }
+
+      transaction.update(campsiteRef, {
+        userId: transfer.toUserId,
+        sharedWith,
+        sharedWithIds: Object.keys(sharedWith),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return null;
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log(`Campsite ${result.transfer.campsiteId} transferred to ${req.user.uid}`);
+
+    res.json({
+      message: 'Transfer accepted',
+      campsiteId: result.transfer.campsiteId
+    });
+  } catch (error) {
+    console.error('Transfer accept error:', error);
+    res.status(500).json({ error: 'Failed to accept transfer', details: error.message });
+  }
+});
+
+/**
+ * POST /api/transfers/:id/decline
+ * Decline a transfer invite
+ * Auth: Required (invited user)
+ */
+router.post('/:id/decline', verifyFirebaseToken, async (req, res) => {
+  try {
+    const result = await respondToTransfer(req, 'declined');
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Transfer declined' });
+  } catch (error) {
+    console.error('Transfer decline error:', error);
+    res.status(500).json({ error: 'Failed to decline transfer', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/transfers/:id
+ * Cancel a pending transfer invite
+ * Auth: Required (user who sent the invite)
+ */
+router.delete('/:id', verifyFirebaseToken, async (req, res) => {
+  try {
+    const transferRef = admin.firestore().collection('campsiteTransfers').doc(req.params.id);
+    const transferDoc = await transferRef.get();
+
+    if (!transferDoc.exists || transferDoc.data().fromUserId !== req.user.uid) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    if (transferDoc.data().status !== 'pending') {
+      return res.status(409).json({ error: `Transfer is already ${transferDoc.data().status}` });
+    }
+
+    await transferRef.update({
+      status: 'cancelled',
+      respondedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    res.json({ message: 'Transfer cancelled' });
+  } catch (error) {
+    console.error('Transfer cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel transfer', details: error.message });
+  }
+});
+
+module.exports = router;
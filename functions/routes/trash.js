@@ -0,0 +1,133 @@
+const router = require('express').Router();
+const admin = require('firebase-admin');
+const { verifyFirebaseToken } = require('../middleware/auth');
+const { isOwner } = require('../utils/campsiteAccess');
+const { purgeTrashedCampsite } = require('../utils/campsiteCleanup');
+const { clearTombstone } = require('../utils/tombstones');
+
+/**
+ * Format a trashed campsite for API responses
+ */
+function formatTrashedCampsite(doc) {
+  const { purgeAfter, ...campsite } = doc.data();
+
+  return {
+    id: doc.id,
+    ...campsite,
+    purgeAfter: purgeAfter ? purgeAfter.toDate().toISOString() : null
+  };
+}
+
+/**
+ * GET /api/campsites/trash
+ * List the current user's trashed campsites, most recently trashed first
+ */
+router.get('/', verifyFirebaseToken, async (req, res) => {
+  try {
+    const db = admin.firestore();
+    const snapshot = await db.collection('trashedCampsites')
+      .where('userId', '==', req.user.uid)
+      .orderBy('trashedAt', 'desc')
+      .get();
+
+    res.json({
+      campsites: snapshot.docs.map(formatTrashedCampsite)
+    });
+  } catch (error) {
+    console.error('Trash fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch trash', details: error.message });
+  }
+});
+
+/**
+ * POST /api/campsites/trash/:id/restore
+ * Restore a trashed campsite with its reviews and photos
+ */
+router.post('/:id/restore', verifyFirebaseToken, async (req, res) => {
+  try {
+    const campsiteId = req.params.id;
+    const db = admin.firestore();
+    const trashRef = db.collection('trashedCampsites').doc(campsiteId);
+    const campsiteRef = db.collection('campsites').doc(campsiteId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const trashDoc = await transaction.get(trashRef);
+
+      if (!trashDoc.exists) {
+        return { status: 404, error: 'Campsite not found in trash' };
+      }
+
+      const { trashedAt, purgeAfter, ...campsite } = trashDoc.data();
+
+      // Verify ownership
+      if (!isOwner(campsite, req.user)) {
+        return { status: 403, error: 'Not authorized to restore this campsite' };
+      }
+
+      transaction.set(campsiteRef, {
+        ...campsite,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      transaction.delete(trashRef);
+      clearTombstone(transaction, 'campsite', campsiteId);
+
+      return { status: 200 };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log(`Campsite ${campsiteId} restored from trash`);
+
+    res.json({ message: 'Campsite restored successfully', id: campsiteId });
+  } catch (error) {
+    console.error('Trash restore error:', error);
+    res.status(500).json({ error: 'Failed to restore campsite', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/campsites/trash/:id
+ * Permanently delete a trashed campsite with everything that belongs to it
+ * (see deleteCampsiteData)
+ */
+router.delete('/:id', verifyFirebaseToken, async (req, res) => {
+  try {
+    const campsiteId = req.params.id;
+    const db = admin.firestore();
+
+    const trashDoc = await db.collection('trashedCampsites').doc(campsiteId).get();
+
+    if (!trashDoc.exists) {
+      return res.status(404).json({ error: 'Campsite not found in trash' });
+    }
+
+    // Verify ownership
+    if (!isOwner(trashDoc.data(), req.user)) {
+      return res.status(403).json({ error: 'Not authorized to delete this campsite' });
+    }
+
+    const { failedFiles, ...removed } = await purgeTrashedCampsite(campsiteId);
+
+    if (failedFiles.length > 0) {
+      return res.status(500).json({
+        error: 'Failed to delete some campsite photos, please try again',
+        removed,
+        failedFiles
+      });
+    }
+
+    console.log(`Campsite ${campsiteId} purged from trash`, removed);
+
+    res.json({
+      message: 'Campsite permanently deleted',
+      removed
+    });
+  } catch (error) {
+    console.error('Trash purge error:', error);
+    res.status(500).json({ error: 'Failed to delete campsite', details: error.message });
+  }
+});
+
+module.exports = router;
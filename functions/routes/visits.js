@@ -0,0 +1,263 @@
+const router = require('express').Router();
+const admin = require('firebase-admin');
+const { verifyFirebaseToken } = require('../middleware/auth');
+const { canView } = require('../utils/campsiteAccess');
+const { isMerging } = require('../utils/campsiteMerge');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(Date.parse(value));
+}
+
+/**
+ * Validate a visit from a request body
+ * Returns { error } or { data }
+ */
+function validateVisit(body) {
+  const { arrivalDate, departureDate, partySize, vehicle, notes } = body;
+
+  if (!isValidDate(arrivalDate) || !isValidDate(departureDate)) {
+    return { error: 'arrivalDate and departureDate must be dates in YYYY-MM-DD format' };
+  }
+
+  if (departureDate < arrivalDate) {
+    return { error: 'departureDate must not be before arrivalDate' };
+  }
+
+  if (arrivalDate > new Date().toISOString().slice(0, 10)) {
+    return { error: 'arrivalDate cannot be in the future' };
+  }
+
+  if (partySize !== undefined && (!Number.isInteger(partySize) || partySize < 1 || partySize > 100)) {
+    return { error: 'Party size must be a whole number from 1-100' };
+  }
+
+  if (vehicle !== undefined && (typeof vehicle !== 'string' || vehicle.length > 100)) {
+    return { error: 'Vehicle must be 100 characters or less' };
+  }
+
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > 2000)) {
+    return { error: 'Notes must be 2000 characters or less' };
+  }
+
+  return {
+    data: {
+      arrivalDate,
+      departureDate,
+      partySize: partySize || null,
+      vehicle: vehicle || null,
+      notes: notes || null
+    }
+  };
+}
+
+/**
+ * List the months of the year ('01'-'12') a stay covers
+ */
+function monthsOfStay(arrivalDate, departureDate) {
+  const months = new Set();
+  let [year, month] = arrivalDate.split('-').map(Number);
+  const [endYear, endMonth] = departureDate.split('-').map(Number);
+
+  while ((year < endYear || (year === endYear && month <= endMonth)) && months.size < 12) {
+    months.add(String(month).padStart(2, '0'));
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+
+  return [...months];
+}
+
+/**
+ * Build the campsite updates that add (1) or remove (-1) a stay from the
+ * anonymized visit counts
+ */
+function visitCountUpdates(visit, change) {
+  const updates = {
+    visitCount: admin.firestore.FieldValue.increment(change)
+  };
+
+  for (const month of monthsOfStay(visit.arrivalDate, visit.departureDate)) {
+    updates[`visitsByMonth.${month}`] = admin.firestore.FieldValue.increment(change);
+  }
+
+  return updates;
+}
+
+/**
+ * GET /api/visits
+ * List the current user's visits, most recent arrival first
+ * Query parameters:
+ * - campsiteId: only visits to this campsite
+ * - page, limit: pagination controls
+ * Auth: Required
+ */
+router.get('/', verifyFirebaseToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const db = admin.firestore();
+
+    let query = db.collection('visits')
+      .where('userId', '==', req.user.uid);
+
+    if (req.query.campsiteId) {
+      query = query.where('campsiteId', '==', req.query.campsiteId);
+    }
+
+    query = query.orderBy('arrivalDate', 'desc');
+
+    const totalSnapshot = await query.get();
+    const total = totalSnapshot.size;
+
+    const offset = (page - 1) * limit;
+    const visitsSnapshot = await query.limit(limit).offset(offset).get();
+
+    const visits = await Promise.all(visitsSnapshot.docs.map(async (doc) => {
+      const visit = doc.data();
+      const campsiteDoc = await db.collection('campsites').doc(visit.campsiteId).get();
+
+      return {
+        id: doc.id,
+        campsiteId: visit.campsiteId,
+        campsiteTitle: campsiteDoc.exists ? campsiteDoc.data().title : null,
+        arrivalDate: visit.arrivalDate,
+        departureDate: visit.departureDate,
+        partySize: visit.partySize,
+        vehicle: visit.vehicle,
+        notes: visit.notes,
+        createdAt: visit.createdAt
+      };
+    }));
+
+    res.json({
+      visits,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Visits fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch visits', details: error.message });
+  }
+});
+
+/**
+ * POST /api/visits
+ * Record a visit to a campsite
+ * Body: { campsiteId, arrivalDate, departureDate, partySize, vehicle, notes }
+ * Visits are private to the user; the campsite only gets anonymized counts
+ * per month of the year (visitsByMonth) and in total (visitCount)
+ * Auth: Required (the campsite must be visible to the user)
+ */
+router.post('/', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { campsiteId } = req.body;
+
+    if (!campsiteId || typeof campsiteId !== 'string') {
+      return res.status(400).json({ error: 'campsiteId is required' });
+    }
+
+    const { error, data } = validateVisit(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const db = admin.firestore();
+    const campsiteRef = db.collection('campsites').doc(campsiteId);
+    const visitRef = db.collection('visits').doc();
+
+    const result = await db.runTransaction(async (transaction) => {
+      const campsiteDoc = await transaction.get(campsiteRef);
+
+      if (!campsiteDoc.exists) {
+        return { status: 404, error: 'Campsite not found' };
+      }
+
+      if (!canView(campsiteDoc.data(), req.user)) {
+        return { status: 403, error: 'Access denied' };
+      }
+
+      if (isMerging(campsiteDoc.data())) {
+        return { status: 409, error: 'Campsite is being merged into another campsite' };
+      }
+
+      transaction.set(visitRef, {
+        userId: req.user.uid,
+        campsiteId,
+        ...data,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      transaction.update(campsiteRef, visitCountUpdates(data, 1));
+
+      return { status: 201 };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Visit recorded',
+      visitId: visitRef.id
+    });
+  } catch (error) {
+    console.error('Visit creation error:', error);
+    res.status(500).json({ error: 'Failed to record visit', details: error.message });
+  }
+});
+
+/**
+ * DELETE /api/visits/:visitId
+ * Delete one of the user's visits and remove it from the campsite's counts
+ * Auth: Required (must be the visitor)
+ */
+router.delete('/:visitId', verifyFirebaseToken, async (req, res) => {
+  try {
+    const db = admin.firestore();
+    const visitRef = db.collection('visits').doc(req.params.visitId);
+
+    const result = await db.runTransaction(async (transaction) => {
+      const visitDoc = await transaction.get(visitRef);
+
+      if (!visitDoc.exists) {
+        return { status: 404, error: 'Visit not found' };
+      }
+
+      const visit = visitDoc.data();
+      if (visit.userId !== req.user.uid) {
+        return { status: 403, error: 'Not authorized to delete this visit' };
+      }
+
+      const campsiteRef = db.collection('campsites').doc(visit.campsiteId);
+      const campsiteDoc = await transaction.get(campsiteRef);
+
+      transaction.delete(visitRef);
+
+      // The campsite may have been deleted since the visit
+      if (campsiteDoc.exists) {
+        transaction.update(campsiteRef, visitCountUpdates(visit, -1));
+      }
+
+      return { status: 200 };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: 'Visit deleted successfully' });
+  } catch (error) {
+    console.error('Visit deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete visit', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -6,7 +6,8 @@
 // Mock Firebase Admin Auth
 const mockAuth = {
   verifyIdToken: jest.fn(),
-  getUser: jest.fn()
+  getUser: jest.fn(),
+  getUserByEmail: jest.fn()
 };
 
 // Mock Firestore collection helper
@@ -44,27 +45,70 @@ const mockCollection = (collectionName) => ({
   }))
 });
 
+// Mock Firestore Timestamp
+class MockTimestamp {
+  constructor(seconds, nanoseconds) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  static fromMillis(millis) {
+    return new MockTimestamp(Math.floor(millis / 1000), (millis % 1000) * 1e6);
+  }
+
+  static now() {
+    return MockTimestamp.fromMillis(Date.now());
+  }
+}
+
 // Mock Firestore
 const mockFirestore = {
   collection: jest.fn(mockCollection),
   runTransaction: jest.fn((callback) => {
     const transaction = {
-      get: jest.fn().mockResolvedValue({ 
-        docs: [], 
+      get: jest.fn((ref) => (ref && ref.get ? ref.get() : Promise.resolve({
+        docs: [],
         empty: true,
         size: 0,
         forEach: jest.fn()
-      }),
+      }))),
       set: jest.fn(),
-      update: jest.fn()
+      update: jest.fn(),
+      delete: jest.fn()
     };
     return callback(transaction);
   }),
+  batch: jest.fn(() => ({
+    set: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+    commit: jest.fn().mockResolvedValue([])
+  })),
   FieldValue: {
     serverTimestamp: jest.fn(() => new Date()),
-    arrayUnion: jest.fn((val) => [val])
+    arrayUnion: jest.fn((val) => [val]),
+    arrayRemove: jest.fn((val) => ({ arrayRemove: val })),
+    increment: jest.fn((n) => ({ increment: n })),
+    delete: jest.fn(() => 'DELETE_FIELD')
   },
-  GeoPoint: jest.fn((lat, lng) => ({ latitude: lat, longitude: lng }))
+  GeoPoint: jest.fn((lat, lng) => ({ latitude: lat, longitude: lng })),
+  Timestamp: MockTimestamp,
+  FieldPath: {
+    documentId: jest.fn(() => '__name__')
+  },
+  AggregateField: {
+    count: jest.fn(() => ({ aggregate: 'count' })),
+    sum: jest.fn((field) => ({ aggregate: 'sum', field })),
+    average: jest.fn((field) => ({ aggregate: 'average', field }))
+  }
 };
 
 // Mock Storage
@@ -73,8 +117,10 @@ const mockStorage = {
     file: jest.fn(() => ({
       save: jest.fn().mockResolvedValue({}),
       makePublic: jest.fn().mockResolvedValue({}),
+      copy: jest.fn().mockResolvedValue([]),
       delete: jest.fn().mockResolvedValue({})
     })),
+    getFiles: jest.fn().mockResolvedValue([[]]),
     name: 'test-bucket'
   }))
 };
@@ -83,6 +129,9 @@ const mockStorage = {
 const mockFirestoreFunction = jest.fn(() => mockFirestore);
 mockFirestoreFunction.FieldValue = mockFirestore.FieldValue;
 mockFirestoreFunction.GeoPoint = mockFirestore.GeoPoint;
+mockFirestoreFunction.Timestamp = mockFirestore.Timestamp;
+mockFirestoreFunction.FieldPath = mockFirestore.FieldPath;
+mockFirestoreFunction.AggregateField = mockFirestore.AggregateField;
 
 jest.mock('firebase-admin', () => ({
   initializeApp: jest.fn(),
@@ -97,11 +146,12 @@ global.fetch = jest.fn();
 /**
  * Helper to create authenticated user mock
  */
-function mockAuthenticatedUser(uid = 'user123', email = 'test@example.com') {
+function mockAuthenticatedUser(uid = 'user123', email = 'test@example.com', claims = {}) {
   mockAuth.verifyIdToken.mockResolvedValue({
     uid,
     email,
-    email_verified: true
+    email_verified: true,
+    ...claims
   });
 }
 
@@ -119,6 +169,7 @@ function resetAllMocks() {
   jest.clearAllMocks();
   mockAuth.verifyIdToken.mockReset();
   mockAuth.getUser.mockReset();
+  mockAuth.getUserByEmail.mockReset();
   mockFirestore.collection.mockImplementation(mockCollection);
   global.fetch.mockReset();
 }
@@ -197,6 +248,94 @@ function mockCollectionWithDoc(docId, docData) {
   };
 }
 
+/**
+ * Helper to mock a reference to a document in an in-memory store of
+ * { [id]: data }; reads see the store as it is when they run, and updates
+ * are applied to it
+ */
+function mockStoreDocRef(store, id) {
+  return {
+    id,
+    path: id,
+    get: jest.fn(() => Promise.resolve({
+      exists: Boolean(store[id]),
+      id,
+      data: () => store[id]
+    })),
+    update: jest.fn((data) => {
+      store[id] = { ...store[id], ...data };
+      return Promise.resolve({});
+    })
+  };
+}
+
+/**
+ * Helper to mock a Firestore query over an in-memory store, supporting
+ * equality filters and ordering by one number or timestamp field
+ */
+function mockStoreQuery(store) {
+  const filters = [];
+  let order = null;
+
+  const sortValue = (data) => {
+    const value = data[order.field];
+    return value && value.toMillis ? value.toMillis() : value;
+  };
+
+  const query = {
+    where: jest.fn((field, op, value) => {
+      filters.push([field, value]);
+      return query;
+    }),
+    orderBy: jest.fn((field, direction = 'asc') => {
+      order = { field, direction };
+      return query;
+    }),
+    limit: jest.fn(() => query),
+    offset: jest.fn(() => query),
+    get: jest.fn(() => {
+      let entries = Object.entries(store)
+        .filter(([, data]) => filters.every(([field, value]) => data[field] === value));
+
+      if (order && entries.every(([, data]) => typeof sortValue(data) === 'number')) {
+        const sign = order.direction === 'desc' ? -1 : 1;
+        entries = entries.sort(([, a], [, b]) => sign * (sortValue(a) - sortValue(b)));
+      }
+
+      const docs = entries.map(([id, data]) => ({ id, ref: mockStoreDocRef(store, id), data: () => data }));
+      return Promise.resolve({ empty: docs.length === 0, size: docs.length, docs });
+    })
+  };
+
+  return query;
+}
+
+/**
+ * Helper to mock a Firestore collection backed by an in-memory store
+ * doc() without an id refers to newId
+ */
+function mockStoreCollection(store, newId = 'new-id') {
+  return {
+    doc: jest.fn((id) => mockStoreDocRef(store, id || newId)),
+    where: jest.fn((...args) => mockStoreQuery(store).where(...args))
+  };
+}
+
+/**
+ * Helper to run transactions against a single mock transaction, whose
+ * reads go through the references passed to it
+ */
+function mockTransaction() {
+  const transaction = {
+    get: jest.fn((ref) => ref.get()),
+    set: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn()
+  };
+  mockFirestore.runTransaction.mockImplementation((callback) => callback(transaction));
+  return transaction;
+}
+
 /**
  * Helper to setup successful external API responses
  */
@@ -219,6 +358,7 @@ function mockSuccessfulElevationAPI(elevationMeters = 1000) {
 }
 
 module.exports = {
+  MockTimestamp,
   mockAuth,
   mockFirestore,
   mockStorage,
@@ -229,6 +369,10 @@ module.exports = {
   mockCampsiteDoc,
   mockDocumentRef,
   mockCollectionWithDoc,
+  mockStoreDocRef,
+  mockStoreQuery,
+  mockStoreCollection,
+  mockTransaction,
   mockSuccessfulWeatherAPI,
   mockSuccessfulElevationAPI
 };
@@ -8,7 +8,7 @@ const {
 } = require('../helpers/mocks');
 
 describe('Auth Middleware', () => {
-  const { verifyFirebaseToken, optionalAuth } = require('../../middleware/auth');
+  const { verifyFirebaseToken, optionalAuth, requireModerator } = require('../../middleware/auth');
   let app;
 
   beforeEach(() => {
@@ -31,6 +31,21 @@ describe('Auth Middleware', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.user.uid).toBe('user123');
+      expect(response.body.user.moderator).toBe(false);
+    });
+
+    it('should set moderator from the custom claim', async () => {
+      mockAuthenticatedUser('mod1', 'mod@example.com', { moderator: true });
+
+      app.get('/test', verifyFirebaseToken, (req, res) => {
+        res.json({ user: req.user });
+      });
+
+      const response = await request(app)
+        .get('/test')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.body.user.moderator).toBe(true);
     });
 
     it('should reject requests without token', async () => {
@@ -102,4 +117,35 @@ describe('Auth Middleware', () => {
       expect(response.body.user).toBeNull();
     });
   });
+
+  describe('requireModerator', () => {
+    it('should let moderators through', async () => {
+      mockAuthenticatedUser('mod1', 'mod@example.com', { moderator: true });
+
+      app.get('/test', verifyFirebaseToken, requireModerator, (req, res) => {
+        res.json({ success: true });
+      });
+
+      const response = await request(app)
+        .get('/test')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject other users', async () => {
+      mockAuthenticatedUser('user123');
+
+      app.get('/test', verifyFirebaseToken, requireModerator, (req, res) => {
+        res.json({ success: true });
+      });
+
+      const response = await request(app)
+        .get('/test')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Moderator access required');
+    });
+  });
 });
@@ -0,0 +1,165 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  mockFirestore,
+  mockCollection,
+  resetAllMocks,
+  mockStoreCollection,
+  mockTransaction,
+  mockAuthenticatedUser
+} = require('../helpers/mocks');
+
+describe('Campsite Reports API', () => {
+  let app;
+  let campsites;
+  let reports;
+  let transaction;
+  const campsiteReportsRouter = require('../../routes/campsiteReports');
+
+  const report = (reason = 'spam') => request(app)
+    .post('/api/campsites/campsite1/report')
+    .set('Authorization', 'Bearer valid-token')
+    .send({ reason });
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/campsites', campsiteReportsRouter);
+    resetAllMocks();
+
+    campsites = {
+      campsite1: { title: 'Public Site', visibility: 'public', userId: 'owner1' },
+      private1: { title: 'Private Site', visibility: 'private', userId: 'owner1' }
+    };
+    reports = {};
+
+    transaction = mockTransaction();
+
+    mockFirestore.collection.mockImplementation((name) => {
+      if (name === 'campsites') {
+        return mockStoreCollection(campsites);
+      }
+      if (name === 'campsiteReports') {
+        return mockStoreCollection(reports);
+      }
+      return mockCollection(name);
+    });
+  });
+
+  describe('POST /api/campsites/:id/report', () => {
+    it('should record a report and queue the campsite for moderation', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/report')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ reason: 'private-land', details: 'Posted no trespassing signs' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.hidden).toBe(false);
+      expect(transaction.set).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'user456_campsite1' }),
+        expect.objectContaining({
+          campsiteId: 'campsite1',
+          userId: 'user456',
+          reason: 'private-land',
+          details: 'Posted no trespassing signs',
+          status: 'open'
+        })
+      );
+      expect(transaction.update).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'campsite1' }),
+        {
+          reportCount: 1,
+          'reportReasons.private-land': { increment: 1 },
+          moderationStatus: 'pending',
+          hidden: false
+        }
+      );
+    });
+
+    it('should hide the campsite once it reaches the report threshold', async () => {
+      mockAuthenticatedUser('user456');
+      campsites.campsite1.reportCount = 2;
+
+      const response = await report();
+
+      expect(response.body.hidden).toBe(true);
+      expect(transaction.update).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'campsite1' }),
+        expect.objectContaining({ reportCount: 3, hidden: true, updatedAt: expect.anything() })
+      );
+    });
+
+    it('should keep campsites hidden by a moderator hidden', async () => {
+      mockAuthenticatedUser('user456');
+      campsites.campsite1.moderationStatus = 'hidden';
+      campsites.campsite1.hidden = true;
+
+      await report();
+
+      expect(transaction.update).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'campsite1' }),
+        expect.objectContaining({ reportCount: 1, moderationStatus: 'hidden', hidden: true })
+      );
+      expect(transaction.update.mock.calls[0][1].updatedAt).toBeUndefined();
+    });
+
+    it('should only accept one report per user', async () => {
+      mockAuthenticatedUser('user456');
+      reports.user456_campsite1 = { campsiteId: 'campsite1', userId: 'user456', reason: 'spam' };
+
+      const response = await report();
+
+      expect(response.status).toBe(409);
+      expect(transaction.update).not.toHaveBeenCalled();
+    });
+
+    it('should not let owners report their own campsite', async () => {
+      mockAuthenticatedUser('owner1');
+
+      const response = await report();
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should validate the reason', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await report('boring');
+
+      expect(response.status).toBe(400);
+      expect(mockFirestore.runTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should only allow duplicateOf on duplicate reports', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/report')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ reason: 'spam', duplicateOf: 'campsite2' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not reveal campsites the user cannot view', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .post('/api/campsites/private1/report')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ reason: 'spam' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/campsites/campsite1/report')
+        .send({ reason: 'spam' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -1,17 +1,21 @@
 const request = require('supertest');
 const express = require('express');
 const {
+  MockTimestamp,
   mockFirestore,
   mockCollection,
   mockAuth,
   resetAllMocks,
   mockAuthenticatedUser,
-  mockCampsiteDoc
+  mockCampsiteDoc,
+  mockDocumentRef
 } = require('../helpers/mocks');
+const { campsiteETag } = require('../../utils/etag');
 
 describe('Campsite CRUD Operations', () => {
   let app;
   let campsitesRouter;
+  let campsitesCollection;
 
   beforeAll(() => {
     // Setup default mocks before requiring the router
@@ -21,13 +25,18 @@ describe('Campsite CRUD Operations', () => {
       userId: 'user123',
       latitude: 40.0,
       longitude: -105.0,
-      description: 'Test description'
+      description: 'Test description',
+      createdAt: new MockTimestamp(1700000000, 0),
+      updatedAt: new MockTimestamp(1700000500, 0)
     };
 
     mockFirestore.collection.mockImplementation((name) => {
       if (name === 'campsites') {
-        return {
+        campsitesCollection = {
           where: jest.fn().mockReturnThis(),
+          orderBy: jest.fn().mockReturnThis(),
+          startAfter: jest.fn().mockReturnThis(),
+          limit: jest.fn().mockReturnThis(),
           get: jest.fn().mockResolvedValue({
             docs: [
               {
@@ -68,6 +77,7 @@ describe('Campsite CRUD Operations', () => {
             })
           })
         };
+        return campsitesCollection;
       }
       return mockCollection(name);
     });
@@ -76,6 +86,28 @@ describe('Campsite CRUD Operations', () => {
     campsitesRouter = require('../../routes/campsites');
   });
 
+  // Serve a campsite with the given data for the next campsites.doc() call
+  const mockNextCampsite = (data) => {
+    campsitesCollection.doc.mockImplementationOnce((id) => ({
+      get: jest.fn().mockResolvedValue({
+        exists: true,
+        id,
+        data: () => data
+      })
+    }));
+  };
+
+  const sharedCampsite = {
+    title: 'Crew Scouting Spot',
+    visibility: 'private',
+    userId: 'user123',
+    latitude: 40.0,
+    longitude: -105.0,
+    sharedWith: { viewer1: 'view', editor1: 'edit' },
+    sharedWithIds: ['viewer1', 'editor1'],
+    createdAt: new MockTimestamp(1700000000, 0)
+  };
+
   beforeEach(() => {
     resetAllMocks();
     app = express();
@@ -90,6 +122,17 @@ describe('Campsite CRUD Operations', () => {
 
       expect(response.status).toBe(200);
       expect(Array.isArray(response.body)).toBe(true);
+      expect(campsitesCollection.limit).not.toHaveBeenCalled();
+    });
+
+    it('should return a page when a limit is given', async () => {
+      const response = await request(app)
+        .get('/api/campsites')
+        .query({ limit: 50 });
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.body.campsites)).toBe(true);
+      expect(response.body.pagination).toEqual({ limit: 50, nextCursor: null });
     });
 
     it('should return public and user campsites for authenticated users', async () => {
@@ -103,6 +146,115 @@ describe('Campsite CRUD Operations', () => {
       expect(Array.isArray(response.body)).toBe(true);
     });
 
+    it('should include campsites shared with the user', async () => {
+      mockAuthenticatedUser('viewer1');
+
+      await request(app)
+        .get('/api/campsites')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(campsitesCollection.where).toHaveBeenCalledWith('sharedWithIds', 'array-contains', 'viewer1');
+    });
+
+    it('should hide sharing and moderation fields from users other than the owner', async () => {
+      mockAuthenticatedUser('viewer1');
+      const snapshot = {
+        docs: [{ id: 'campsite2', data: () => ({ ...sharedCampsite, reportCount: 2, hidden: false }) }]
+      };
+      campsitesCollection.get
+        .mockResolvedValueOnce(snapshot)
+        .mockResolvedValueOnce(snapshot)
+        .mockResolvedValueOnce(snapshot);
+
+      const response = await request(app)
+        .get('/api/campsites')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body[0].title).toBe('Crew Scouting Spot');
+      expect(response.body[0].sharedWith).toBeUndefined();
+      expect(response.body[0].sharedWithIds).toBeUndefined();
+      expect(response.body[0].reportCount).toBeUndefined();
+      expect(response.body[0].hidden).toBeUndefined();
+    });
+
+    it('should only list hidden campsites for their owner', async () => {
+      const hiddenSnapshot = {
+        docs: [{ id: 'hidden1', data: () => ({ ...sharedCampsite, title: 'Reported', hidden: true }) }]
+      };
+
+      mockAuthenticatedUser('viewer1');
+      campsitesCollection.get.mockResolvedValueOnce(hiddenSnapshot);
+      const viewer = await request(app)
+        .get('/api/campsites')
+        .set('Authorization', 'Bearer valid-token');
+
+      mockAuthenticatedUser('user123');
+      campsitesCollection.get.mockResolvedValueOnce(hiddenSnapshot);
+      const owner = await request(app)
+        .get('/api/campsites')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(viewer.body.map(campsite => campsite.id)).not.toContain('hidden1');
+      expect(owner.body.map(campsite => campsite.id)).toContain('hidden1');
+    });
+
+    it('should not duplicate the user\'s public campsites', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .get('/api/campsites')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].id).toBe('campsite1');
+    });
+
+    it('should page through results with nextCursor', async () => {
+      const pageDocs = ['b', 'a'].map((id, index) => ({
+        id,
+        data: () => ({ title: id, visibility: 'public', createdAt: new MockTimestamp(1700000000 - index, 0) })
+      }));
+      campsitesCollection.get.mockResolvedValueOnce({ docs: pageDocs });
+
+      const firstPage = await request(app)
+        .get('/api/campsites')
+        .query({ limit: 1 });
+
+      expect(firstPage.body.campsites.map(campsite => campsite.id)).toEqual(['b']);
+      expect(firstPage.body.pagination.nextCursor).toBeTruthy();
+
+      await request(app)
+        .get('/api/campsites')
+        .query({ limit: 1, cursor: firstPage.body.pagination.nextCursor });
+
+      expect(campsitesCollection.startAfter).toHaveBeenCalledWith(
+        expect.objectContaining({ seconds: 1700000000, nanoseconds: 0 }),
+        'b'
+      );
+    });
+
+    it('should reject malformed cursors', async () => {
+      const response = await request(app)
+        .get('/api/campsites')
+        .query({ cursor: 'not-a-cursor' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should project requested fields', async () => {
+      const response = await request(app)
+        .get('/api/campsites')
+        .query({ fields: 'title,latitude' });
+
+      expect(response.status).toBe(200);
+      expect(response.body[0]).toEqual({
+        id: 'campsite1',
+        title: 'Test Campsite',
+        latitude: 40.0
+      });
+    });
+
     it('should handle Firestore errors', async () => {
       // This test can't easily mock Firestore errors with cached collection reference
       // Skipping for now as error handling is tested in other scenarios
@@ -110,6 +262,52 @@ describe('Campsite CRUD Operations', () => {
     });
   });
 
+  describe('GET /api/campsites/export', () => {
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .get('/api/campsites/export');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should export the user\'s campsites as GPX', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .get('/api/campsites/export')
+        .query({ format: 'gpx' })
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/gpx+xml');
+      expect(response.headers['content-disposition']).toContain('campsites.gpx');
+      expect(response.text).toContain('<name>Test Campsite</name>');
+    });
+
+    it('should default to GeoJSON', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .get('/api/campsites/export')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/geo+json');
+      expect(JSON.parse(response.text).type).toBe('FeatureCollection');
+    });
+
+    it('should reject unsupported formats', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .get('/api/campsites/export')
+        .query({ format: 'shp' })
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe('GET /api/campsites/:id', () => {
     it('should return a public campsite', async () => {
       const response = await request(app)
@@ -119,6 +317,130 @@ describe('Campsite CRUD Operations', () => {
       expect(response.body.title).toBe('Test Campsite');
     });
 
+    it('should flag campsites the user has favorited', async () => {
+      mockAuthenticatedUser('user123');
+      mockFirestore.collection.mockImplementation((name) => (
+        name === 'favorites'
+          ? { doc: jest.fn((id) => ({ get: jest.fn().mockResolvedValue({ exists: id === 'user123_campsite1' }) })) }
+          : mockCollection(name)
+      ));
+
+      const response = await request(app)
+        .get('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.body.favoritedByMe).toBe(true);
+    });
+
+    it('should not add the favorite flag for anonymous requests', async () => {
+      const response = await request(app)
+        .get('/api/campsites/campsite1');
+
+      expect(response.body.favoritedByMe).toBeUndefined();
+    });
+
+    it('should return an ETag derived from updatedAt', async () => {
+      const response = await request(app)
+        .get('/api/campsites/campsite1');
+
+      expect(response.headers.etag).toBe('"1700000500.0"');
+    });
+
+    it('should return a private campsite to users it is shared with', async () => {
+      mockAuthenticatedUser('viewer1');
+      mockNextCampsite(sharedCampsite);
+
+      const response = await request(app)
+        .get('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.title).toBe('Crew Scouting Spot');
+      expect(response.body.sharedWith).toBeUndefined();
+      expect(response.body.sharedWithIds).toBeUndefined();
+    });
+
+    it('should return sharing and moderation fields to the owner', async () => {
+      mockAuthenticatedUser('user123');
+      mockNextCampsite({ ...sharedCampsite, reportCount: 1, reportReasons: { spam: 1 } });
+
+      const response = await request(app)
+        .get('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.sharedWith).toEqual(sharedCampsite.sharedWith);
+      expect(response.body.reportCount).toBe(1);
+      expect(response.body.reportReasons).toEqual({ spam: 1 });
+    });
+
+    it('should hide a private campsite from users it is not shared with', async () => {
+      mockAuthenticatedUser('stranger');
+      mockNextCampsite(sharedCampsite);
+
+      const response = await request(app)
+        .get('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+      expect(response.headers.etag).not.toBe(campsiteETag(sharedCampsite));
+    });
+
+    it('should not return unlisted campsites by id alone', async () => {
+      mockNextCampsite({ ...sharedCampsite, visibility: 'unlisted' });
+
+      const response = await request(app)
+        .get('/api/campsites/campsite1');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return unlisted campsites with a valid share link and count the view', async () => {
+      mockNextCampsite({ ...sharedCampsite, visibility: 'unlisted' });
+      const linkRef = mockDocumentRef({
+        campsiteId: 'campsite1',
+        expiresAt: MockTimestamp.fromMillis(Date.now() + 60 * 60 * 1000),
+        maxViews: 3,
+        viewCount: 0,
+        revoked: false
+      }, 'link-hash');
+      mockFirestore.collection.mockImplementation((name) => (
+        name === 'shareLinks' ? { doc: jest.fn(() => linkRef) } : mockCollection(name)
+      ));
+      let transaction;
+      mockFirestore.runTransaction.mockImplementationOnce((callback) => {
+        transaction = { get: jest.fn((ref) => ref.get()), update: jest.fn() };
+        return callback(transaction);
+      });
+
+      const response = await request(app)
+        .get('/api/campsites/campsite1')
+        .query({ shareToken: 'secret-token' });
+
+      expect(response.status).toBe(200);
+      expect(transaction.update).toHaveBeenCalledWith(linkRef, expect.objectContaining({ viewCount: 1 }));
+    });
+
+    it('should reject revoked share links', async () => {
+      mockNextCampsite({ ...sharedCampsite, visibility: 'unlisted' });
+      const linkRef = mockDocumentRef({
+        campsiteId: 'campsite1',
+        expiresAt: MockTimestamp.fromMillis(Date.now() + 60 * 60 * 1000),
+        maxViews: null,
+        viewCount: 0,
+        revoked: true
+      }, 'link-hash');
+      mockFirestore.collection.mockImplementation((name) => (
+        name === 'shareLinks' ? { doc: jest.fn(() => linkRef) } : mockCollection(name)
+      ));
+
+      const response = await request(app)
+        .get('/api/campsites/campsite1')
+        .set('X-Share-Token', 'secret-token');
+
+      expect(response.status).toBe(403);
+    });
+
     it('should return 404 for non-existent campsite', async () => {
       mockFirestore.collection.mockReturnValue({
         doc: jest.fn(() => ({
@@ -134,6 +456,21 @@ describe('Campsite CRUD Operations', () => {
       expect(response.status).toBe(404);
     });
 
+    it('should redirect merged campsites to the surviving campsite', async () => {
+      mockFirestore.collection.mockImplementation((name) => (
+        name === 'campsiteRedirects'
+          ? { doc: jest.fn(() => mockDocumentRef({ targetId: 'campsite1' }, 'merged1')) }
+          : mockCollection(name)
+      ));
+
+      const response = await request(app)
+        .get('/api/campsites/merged1');
+
+      expect(response.status).toBe(301);
+      expect(response.headers.location).toBe('/api/campsites/campsite1');
+      expect(response.body.id).toBe('campsite1');
+    });
+
     // Note: The following tests for unlisted/private visibility are challenging to implement
     // with the current mock structure since the router caches the collection reference.
     // The default mock already tests basic GET functionality.
@@ -158,6 +495,106 @@ describe('Campsite CRUD Operations', () => {
       expect(response.status).toBe(201);
     });
 
+    it('should record a create revision', async () => {
+      mockAuthenticatedUser('user123');
+
+      await request(app)
+        .post('/api/campsites')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          latitude: 40.0,
+          longitude: -105.0,
+          title: 'New Campsite',
+          visibility: 'public'
+        });
+
+      const batch = mockFirestore.batch.mock.results[0].value;
+      expect(mockFirestore.collection).toHaveBeenCalledWith('campsiteRevisions');
+      expect(batch.set).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'create',
+        userId: 'user123',
+        snapshot: expect.objectContaining({ title: 'New Campsite' })
+      }));
+    });
+
+    it('should return nearby public campsites as likely duplicates', async () => {
+      mockAuthenticatedUser('user123');
+      const nearbyQuery = {
+        where: jest.fn().mockReturnThis(),
+        orderBy: jest.fn().mockReturnThis(),
+        startAt: jest.fn().mockReturnThis(),
+        endAt: jest.fn().mockReturnThis(),
+        get: jest.fn()
+          .mockResolvedValueOnce({
+            docs: [{
+              id: 'existing1',
+              data: () => ({
+                title: 'Pullout by the creek',
+                visibility: 'public',
+                userId: 'user456',
+                location: { latitude: 40.0002, longitude: -105.0 }
+              })
+            }]
+          })
+          .mockResolvedValue({ docs: [] })
+      };
+      mockFirestore.collection.mockImplementationOnce(() => nearbyQuery);
+
+      const response = await request(app)
+        .post('/api/campsites')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          latitude: 40.0,
+          longitude: -105.0,
+          title: 'New Campsite',
+          visibility: 'public'
+        });
+
+      expect(response.status).toBe(409);
+      expect(response.body.duplicates).toEqual([
+        expect.objectContaining({ id: 'existing1', title: 'Pullout by the creek', distanceMeters: 22 })
+      ]);
+      expect(response.body.duplicates[0].userId).toBeUndefined();
+      expect(mockFirestore.batch).not.toHaveBeenCalled();
+    });
+
+    it('should create a likely duplicate when forced', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .post('/api/campsites')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          latitude: 40.0,
+          longitude: -105.0,
+          title: 'New Campsite',
+          visibility: 'public',
+          force: true
+        });
+
+      expect(response.status).toBe(201);
+      expect(mockFirestore.collection).not.toHaveBeenCalledWith('campsites');
+      expect(response.body.force).toBeUndefined();
+    });
+
+    it('should reject invalid attributes', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .post('/api/campsites')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          latitude: 40.0,
+          longitude: -105.0,
+          title: 'New Campsite',
+          visibility: 'public',
+          attributes: { access: 'hovercraft' }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].path).toBe('attributes.access');
+    });
+
     it('should reject creation without authentication', async () => {
       const response = await request(app)
         .post('/api/campsites')
@@ -235,6 +672,24 @@ describe('Campsite CRUD Operations', () => {
       expect(response.status).toBe(400);
     });
 
+    it('should reject server-managed fields on create', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .post('/api/campsites')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          latitude: 40.0,
+          longitude: -105.0,
+          title: 'Test',
+          visibility: 'public',
+          hasPhotos: true
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].path).toBe('hasPhotos');
+    });
+
     it('should handle very long description validation', async () => {
       mockAuthenticatedUser('user123');
 
@@ -253,6 +708,110 @@ describe('Campsite CRUD Operations', () => {
     });
   });
 
+  describe('POST /api/campsites/import', () => {
+    const geojson = JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [-109.5, 38.5] },
+          properties: { name: 'Moab Pullout' }
+        },
+        {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [-109.5, 38.5] },
+          properties: { name: 'Moab Pullout Again' }
+        },
+        {
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [-250, 38.5] },
+          properties: { name: 'Off the map' }
+        }
+      ]
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/campsites/import')
+        .attach('file', Buffer.from(geojson), 'sites.geojson');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should require a file', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .post('/api/campsites/import')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should report created, skipped and invalid rows', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .post('/api/campsites/import')
+        .set('Authorization', 'Bearer valid-token')
+        .attach('file', Buffer.from(geojson), 'sites.geojson');
+
+      expect(response.status).toBe(201);
+      expect(response.body.format).toBe('geojson');
+      expect(response.body.summary).toEqual({
+        total: 3,
+        created: 1,
+        valid: 1,
+        skipped: 1,
+        invalid: 1
+      });
+      expect(response.body.rows.map(row => row.status)).toEqual(['created', 'skipped', 'invalid']);
+      expect(mockFirestore.batch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not write anything in dry-run mode', async () => {
+      mockAuthenticatedUser('user123');
+
+      const csv = 'name,lat,lng\nDry Creek,39.1,-106.2\n';
+      const response = await request(app)
+        .post('/api/campsites/import')
+        .set('Authorization', 'Bearer valid-token')
+        .field('dryRun', 'true')
+        .attach('file', Buffer.from(csv), 'sites.csv');
+
+      expect(response.status).toBe(200);
+      expect(response.body.dryRun).toBe(true);
+      expect(response.body.summary.created).toBe(0);
+      expect(response.body.summary.valid).toBe(1);
+      expect(response.body.rows[0].status).toBe('valid');
+      expect(mockFirestore.batch).not.toHaveBeenCalled();
+    });
+
+    it('should reject files over the size limit', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .post('/api/campsites/import')
+        .set('Authorization', 'Bearer valid-token')
+        .attach('file', Buffer.alloc(5 * 1024 * 1024 + 1, ' '), 'sites.geojson');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('File size exceeds 5MB limit');
+      expect(mockFirestore.batch).not.toHaveBeenCalled();
+    });
+
+    it('should reject files that cannot be parsed', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .post('/api/campsites/import')
+        .set('Authorization', 'Bearer valid-token')
+        .attach('file', Buffer.from('{ not json'), 'sites.geojson');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe('PUT /api/campsites/:id', () => {
     it('should update campsite by owner', async () => {
       mockAuthenticatedUser('user123');
@@ -267,6 +826,136 @@ describe('Campsite CRUD Operations', () => {
       expect(response.status).toBe(200);
     });
 
+    it('should record an update revision with before and after values', async () => {
+      mockAuthenticatedUser('user123');
+
+      await request(app)
+        .put('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          title: 'Updated Title'
+        });
+
+      const batch = mockFirestore.batch.mock.results[0].value;
+      expect(batch.set).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'update',
+        changes: [{ field: 'title', before: 'Test Campsite', after: 'Updated Title' }]
+      }));
+    });
+
+    it('should merge attribute changes into existing attributes', async () => {
+      mockAuthenticatedUser('user123');
+
+      await request(app)
+        .put('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          attributes: { access: '4x4', cellSignal: { verizon: 'weak' } }
+        });
+
+      const batch = mockFirestore.batch.mock.results[0].value;
+      const updates = batch.update.mock.calls[0][1];
+      expect(updates.attributes).toEqual({
+        access: '4x4',
+        cellSignal: { verizon: 'weak' }
+      });
+    });
+
+    it('should accept an update with a matching If-Match', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token')
+        .set('If-Match', '"1700000500.0"')
+        .send({
+          title: 'Updated Title'
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toBeDefined();
+    });
+
+    it('should reject an update with a stale If-Match', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token')
+        .set('If-Match', '"1600000000.0"')
+        .send({
+          title: 'Updated Title'
+        });
+
+      expect(response.status).toBe(412);
+      expect(response.body.etag).toBe('"1700000500.0"');
+      expect(response.headers.etag).toBe('"1700000500.0"');
+      expect(mockFirestore.batch).not.toHaveBeenCalled();
+    });
+
+    it('should return 412 when the campsite changes before the write', async () => {
+      mockAuthenticatedUser('user123');
+      const preconditionError = Object.assign(new Error('Precondition failed'), { code: 9 });
+      mockFirestore.batch.mockImplementationOnce(() => ({
+        set: jest.fn(),
+        update: jest.fn(),
+        delete: jest.fn(),
+        commit: jest.fn().mockRejectedValue(preconditionError)
+      }));
+
+      const response = await request(app)
+        .put('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token')
+        .set('If-Match', '"1700000500.0"')
+        .send({
+          title: 'Updated Title'
+        });
+
+      expect(response.status).toBe(412);
+    });
+
+    it('should allow users with edit access to update', async () => {
+      mockAuthenticatedUser('editor1');
+      mockNextCampsite(sharedCampsite);
+
+      const response = await request(app)
+        .put('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          title: 'Renamed by the crew'
+        });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should not let users with edit access change visibility', async () => {
+      mockAuthenticatedUser('editor1');
+      mockNextCampsite(sharedCampsite);
+
+      const response = await request(app)
+        .put('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          visibility: 'public'
+        });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should not let users with view access update', async () => {
+      mockAuthenticatedUser('viewer1');
+      mockNextCampsite(sharedCampsite);
+
+      const response = await request(app)
+        .put('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          title: 'Renamed'
+        });
+
+      expect(response.status).toBe(403);
+    });
+
     it('should reject update by non-owner', async () => {
       mockAuthenticatedUser('different-user');
 
@@ -280,6 +969,116 @@ describe('Campsite CRUD Operations', () => {
       expect(response.status).toBe(403);
     });
 
+    it('should move the pin and recompute derived fields', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          latitude: 40.01,
+          longitude: -105.0
+        });
+
+      expect(response.status).toBe(200);
+
+      const batch = mockFirestore.batch.mock.results[0].value;
+      const updates = batch.update.mock.calls[0][1];
+      expect(updates.latitude).toBe(40.01);
+      expect(updates.location).toEqual({ latitude: 40.01, longitude: -105.0 });
+      expect(updates.geohash).toMatch(/^9x/);
+      expect(updates.previousLocations).toEqual([
+        expect.objectContaining({ latitude: 40.0, longitude: -105.0, movedBy: 'user123' })
+      ]);
+    });
+
+    it('should notify reviewers when the pin moves past the threshold', async () => {
+      mockAuthenticatedUser('user123');
+
+      mockFirestore.collection.mockImplementation((name) => {
+        if (name === 'reviews') {
+          return {
+            where: jest.fn(() => ({
+              get: jest.fn().mockResolvedValue({
+                docs: [
+                  { data: () => ({ userId: 'reviewer1' }) },
+                  { data: () => ({ userId: 'reviewer1' }) },
+                  { data: () => ({ userId: null }) },
+                  { data: () => ({ userId: 'user123' }) }
+                ]
+              })
+            }))
+          };
+        }
+        return mockCollection(name);
+      });
+
+      const response = await request(app)
+        .put('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          latitude: 40.1,
+          longitude: -105.0,
+          notifyReviewers: true
+        });
+
+      expect(response.status).toBe(200);
+
+      const batch = mockFirestore.batch.mock.results[0].value;
+      const notifications = batch.set.mock.calls
+        .map(call => call[1])
+        .filter(data => data.type === 'campsite-moved');
+      expect(notifications).toEqual([expect.objectContaining({
+        userId: 'reviewer1',
+        campsiteId: 'campsite1'
+      })]);
+      expect(batch.update.mock.calls[0][1].notifyReviewers).toBeUndefined();
+    });
+
+    it('should require latitude and longitude together', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          latitude: 40.1
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject server-managed fields', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          title: 'Updated Title',
+          averageRating: 5,
+          reviewCount: 100
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map(error => error.path)).toEqual(['averageRating', 'reviewCount']);
+      expect(mockFirestore.batch).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown fields', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token')
+        .send({
+          isFeatured: true
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].msg).toBe('Unknown field: isFeatured');
+    });
+
     it('should handle validation errors on PUT', async () => {
       mockAuthenticatedUser('user123');
 
@@ -295,14 +1094,56 @@ describe('Campsite CRUD Operations', () => {
   });
 
   describe('DELETE /api/campsites/:id', () => {
-    it('should delete campsite by owner', async () => {
+    it('should move campsite to trash for owner', async () => {
       mockAuthenticatedUser('user123');
 
+      let transaction;
+      mockFirestore.runTransaction.mockImplementationOnce((callback) => {
+        transaction = {
+          get: jest.fn((ref) => ref.get()),
+          set: jest.fn(),
+          delete: jest.fn()
+        };
+        return callback(transaction);
+      });
+
       const response = await request(app)
         .delete('/api/campsites/campsite1')
         .set('Authorization', 'Bearer valid-token');
 
       expect(response.status).toBe(204);
+      expect(transaction.set).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ title: 'Test Campsite', purgeAfter: expect.anything() })
+      );
+      expect(transaction.delete).toHaveBeenCalled();
+      expect(mockFirestore.collection).toHaveBeenCalledWith('trashedCampsites');
+      expect(transaction.set).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ type: 'campsite', id: 'campsite1', campsiteId: 'campsite1' })
+      );
+    });
+
+    it('should reject deletion with a stale If-Match', async () => {
+      mockAuthenticatedUser('user123');
+
+      let transaction;
+      mockFirestore.runTransaction.mockImplementationOnce((callback) => {
+        transaction = {
+          get: jest.fn((ref) => ref.get()),
+          set: jest.fn(),
+          delete: jest.fn()
+        };
+        return callback(transaction);
+      });
+
+      const response = await request(app)
+        .delete('/api/campsites/campsite1')
+        .set('Authorization', 'Bearer valid-token')
+        .set('If-Match', '"1600000000.0"');
+
+      expect(response.status).toBe(412);
+      expect(transaction.delete).not.toHaveBeenCalled();
     });
 
     it('should reject deletion by non-owner', async () => {
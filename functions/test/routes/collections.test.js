@@ -0,0 +1,318 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  mockFirestore,
+  mockCollection,
+  resetAllMocks,
+  mockAuthenticatedUser
+} = require('../helpers/mocks');
+
+describe('Collections API', () => {
+  let app;
+  let collectionData;
+  let campsites;
+  let transaction;
+  const collectionsRouter = require('../../routes/collections');
+
+  const collectionRef = () => ({
+    get: jest.fn(() => Promise.resolve({
+      exists: collectionData !== null,
+      id: 'collection1',
+      data: () => collectionData
+    })),
+    delete: jest.fn().mockResolvedValue({})
+  });
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/collections', collectionsRouter);
+    resetAllMocks();
+
+    collectionData = {
+      userId: 'user123',
+      name: 'Moab, May trip',
+      description: '',
+      visibility: 'private',
+      items: [
+        { campsiteId: 'public1', note: 'Arrive late', startDate: '2025-05-01', endDate: '2025-05-03' },
+        { campsiteId: 'private1', note: null, startDate: null, endDate: null },
+        { campsiteId: 'gone1', note: null, startDate: null, endDate: null }
+      ]
+    };
+
+    campsites = {
+      public1: { title: 'Public Site', visibility: 'public', userId: 'other', location: { latitude: 38.5, longitude: -109.5 } },
+      private1: { title: 'Private Site', visibility: 'private', userId: 'other' }
+    };
+
+    mockFirestore.runTransaction.mockImplementation((callback) => {
+      transaction = {
+        get: jest.fn((ref) => ref.get()),
+        update: jest.fn()
+      };
+      return callback(transaction);
+    });
+
+    mockFirestore.collection.mockImplementation((name) => {
+      if (name === 'collections') {
+        return {
+          doc: jest.fn(() => collectionRef()),
+          add: jest.fn((data) => {
+            collectionData = data;
+            return Promise.resolve(collectionRef());
+          }),
+          where: jest.fn(function() { return this; }),
+          orderBy: jest.fn(() => ({
+            get: jest.fn().mockResolvedValue({ docs: [{ id: 'collection1', data: () => collectionData }] })
+          }))
+        };
+      }
+      if (name === 'campsites') {
+        return {
+          doc: jest.fn((id) => ({
+            get: jest.fn().mockResolvedValue({
+              exists: Boolean(campsites[id]),
+              id,
+              data: () => campsites[id]
+            })
+          }))
+        };
+      }
+      return mockCollection(name);
+    });
+  });
+
+  describe('GET /api/collections', () => {
+    it('should list the user\'s collections', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .get('/api/collections')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.collections).toEqual([
+        expect.objectContaining({ id: 'collection1', name: 'Moab, May trip', itemCount: 3 })
+      ]);
+    });
+  });
+
+  describe('POST /api/collections', () => {
+    it('should create a collection', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .post('/api/collections')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ name: 'Utah 2025', visibility: 'public' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(expect.objectContaining({ name: 'Utah 2025', visibility: 'public', itemCount: 0 }));
+    });
+
+    it('should validate name and visibility', async () => {
+      mockAuthenticatedUser('user123');
+
+      const noName = await request(app)
+        .post('/api/collections')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ name: ' ', visibility: 'public' });
+      const badVisibility = await request(app)
+        .post('/api/collections')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ name: 'Trip', visibility: 'friends' });
+
+      expect(noName.status).toBe(400);
+      expect(badVisibility.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/collections/:id', () => {
+    it('should resolve campsites and respect their visibility', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .get('/api/collections/collection1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.items).toEqual([
+        expect.objectContaining({
+          campsiteId: 'public1',
+          note: 'Arrive late',
+          campsite: expect.objectContaining({ id: 'public1', title: 'Public Site' })
+        }),
+        expect.objectContaining({ campsiteId: 'private1', campsite: null, unavailable: 'private' }),
+        expect.objectContaining({ campsiteId: 'gone1', campsite: null, unavailable: 'deleted' })
+      ]);
+    });
+
+    it('should hide private collections from other users', async () => {
+      mockAuthenticatedUser('someone-else');
+
+      const response = await request(app)
+        .get('/api/collections/collection1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should show public collections without authentication', async () => {
+      collectionData.visibility = 'public';
+
+      const response = await request(app)
+        .get('/api/collections/collection1');
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('PUT /api/collections/:id', () => {
+    it('should update the collection for its owner', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/collections/collection1')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ name: 'Moab, June trip' });
+
+      expect(response.status).toBe(200);
+      expect(transaction.update).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ name: 'Moab, June trip' }));
+    });
+
+    it('should reject updates by other users', async () => {
+      mockAuthenticatedUser('someone-else');
+
+      const response = await request(app)
+        .put('/api/collections/collection1')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ name: 'Mine now' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/collections/:id/items', () => {
+    it('should add a campsite at the requested position', async () => {
+      mockAuthenticatedUser('user123');
+      campsites.public2 = { title: 'Another Site', visibility: 'public', userId: 'other' };
+
+      const response = await request(app)
+        .post('/api/collections/collection1/items')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ campsiteId: 'public2', position: 0, startDate: '2025-05-04', endDate: '2025-05-06' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.items.map(item => item.campsiteId)).toEqual(['public2', 'public1', 'private1', 'gone1']);
+      expect(response.body.items[0]).toEqual(expect.objectContaining({ startDate: '2025-05-04', endDate: '2025-05-06' }));
+    });
+
+    it('should reject campsites already in the collection', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .post('/api/collections/collection1/items')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ campsiteId: 'public1' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should reject campsites the user cannot view', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .post('/api/collections/collection1/items')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ campsiteId: 'private1' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject end dates before start dates', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .post('/api/collections/collection1/items')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ campsiteId: 'public1', startDate: '2025-05-04', endDate: '2025-05-01' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PUT /api/collections/:id/items/:campsiteId', () => {
+    it('should update an item\'s note', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/collections/collection1/items/public1')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ note: 'Get water in town first' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.items[0]).toEqual(expect.objectContaining({ note: 'Get water in town first', startDate: '2025-05-01' }));
+    });
+  });
+
+  describe('DELETE /api/collections/:id/items/:campsiteId', () => {
+    it('should remove a campsite from the collection', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .delete('/api/collections/collection1/items/gone1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(transaction.update.mock.calls[0][1].items).toHaveLength(2);
+    });
+
+    it('should return 404 for campsites not in the collection', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .delete('/api/collections/collection1/items/unknown')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PUT /api/collections/:id/order', () => {
+    it('should reorder the campsites', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/collections/collection1/order')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ campsiteIds: ['gone1', 'public1', 'private1'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.items.map(item => item.campsiteId)).toEqual(['gone1', 'public1', 'private1']);
+    });
+
+    it('should require every campsite exactly once', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/collections/collection1/order')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ campsiteIds: ['public1', 'public1', 'private1'] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/collections/:id', () => {
+    it('should reject deletion by other users', async () => {
+      mockAuthenticatedUser('someone-else');
+
+      const response = await request(app)
+        .delete('/api/collections/collection1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
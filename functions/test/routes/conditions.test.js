@@ -0,0 +1,209 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  MockTimestamp,
+  mockFirestore,
+  mockCollection,
+  resetAllMocks,
+  mockStoreCollection,
+  mockTransaction,
+  mockAuthenticatedUser
+} = require('../helpers/mocks');
+
+describe('Condition Reports API', () => {
+  let app;
+  let campsites;
+  let reports;
+  let transaction;
+  const conditionsRouter = require('../../routes/conditions');
+
+  const HOUR = 60 * 60 * 1000;
+
+  const report = (userId, type, value, createdHoursAgo, expiresInHours) => ({
+    campsiteId: 'campsite1',
+    userId,
+    type,
+    value,
+    note: null,
+    createdAt: MockTimestamp.fromMillis(Date.now() - createdHoursAgo * HOUR),
+    expiresAt: MockTimestamp.fromMillis(Date.now() + expiresInHours * HOUR)
+  });
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/campsites', conditionsRouter);
+    resetAllMocks();
+
+    reports = {
+      report1: report('user456', 'closure', 'closed', 2, 100),
+      report2: report('user789', 'closure', 'open', 48, 10),
+      report3: report('user456', 'crowding', 'full', 30, -18)
+    };
+    campsites = {
+      campsite1: {
+        title: 'Public Site',
+        visibility: 'public',
+        userId: 'owner1',
+        conditions: {
+          closure: {
+            reportId: 'report1',
+            value: 'closed',
+            note: null,
+            reportedAt: reports.report1.createdAt,
+            expiresAt: reports.report1.expiresAt
+          }
+        }
+      },
+      private1: { title: 'Private Site', visibility: 'private', userId: 'owner1' }
+    };
+
+    transaction = mockTransaction();
+
+    mockFirestore.collection.mockImplementation((name) => {
+      if (name === 'campsites') {
+        return mockStoreCollection(campsites);
+      }
+      if (name === 'conditionReports') {
+        return mockStoreCollection(reports, 'newReport');
+      }
+      return mockCollection(name);
+    });
+  });
+
+  describe('POST /api/campsites/:id/conditions', () => {
+    it('should record a report and update the campsite summary', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/conditions')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ type: 'mud', value: 'impassable', note: 'Deep ruts at the creek crossing' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.reportId).toBe('newReport');
+      expect(transaction.set).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'newReport' }),
+        expect.objectContaining({ campsiteId: 'campsite1', userId: 'user456', type: 'mud', value: 'impassable' })
+      );
+
+      const [, updates] = transaction.update.mock.calls[0];
+      expect(updates['conditions.mud']).toEqual(expect.objectContaining({ reportId: 'newReport', value: 'impassable' }));
+      // The closure report lasts longer than the mud report
+      expect(updates.closedUntil).toBe(reports.report1.expiresAt);
+    });
+
+    it('should clear closedUntil when a site is reported open again', async () => {
+      mockAuthenticatedUser('user456');
+
+      await request(app)
+        .post('/api/campsites/campsite1/conditions')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ type: 'closure', value: 'open' });
+
+      const [, updates] = transaction.update.mock.calls[0];
+      expect(updates.closedUntil).toBeNull();
+    });
+
+    it('should reject invalid conditions', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/conditions')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ type: 'snow', value: 'sideways' });
+
+      expect(response.status).toBe(400);
+      expect(mockFirestore.runTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should reject campsites the user cannot view', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .post('/api/campsites/private1/conditions')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ type: 'closure', value: 'closed' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/campsites/:id/conditions', () => {
+    it('should list reports newest first with their status', async () => {
+      const response = await request(app)
+        .get('/api/campsites/campsite1/conditions');
+
+      expect(response.status).toBe(200);
+      expect(response.body.reports.map(r => [r.id, r.active])).toEqual([
+        ['report1', true],
+        ['report3', false],
+        ['report2', true]
+      ]);
+      expect(response.body.reports[0].userId).toBeUndefined();
+    });
+
+    it('should only list active reports when asked', async () => {
+      const response = await request(app)
+        .get('/api/campsites/campsite1/conditions?active=true');
+
+      expect(response.body.reports.map(r => r.id)).toEqual(['report1', 'report2']);
+    });
+
+    it('should hide reports for campsites the user cannot view', async () => {
+      const response = await request(app)
+        .get('/api/campsites/private1/conditions');
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('DELETE /api/campsites/:id/conditions/:reportId', () => {
+    it('should fall back to the newest remaining active report of the type', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .delete('/api/campsites/campsite1/conditions/report1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(transaction.delete).toHaveBeenCalled();
+
+      const [, updates] = transaction.update.mock.calls[0];
+      expect(updates['conditions.closure']).toEqual(expect.objectContaining({ reportId: 'report2', value: 'open' }));
+      expect(updates.closedUntil).toBeNull();
+    });
+
+    it('should let the campsite owner delete reports', async () => {
+      mockAuthenticatedUser('owner1');
+
+      const response = await request(app)
+        .delete('/api/campsites/campsite1/conditions/report3')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(transaction.update).not.toHaveBeenCalled();
+    });
+
+    it('should not let other users delete reports', async () => {
+      mockAuthenticatedUser('user789');
+
+      const response = await request(app)
+        .delete('/api/campsites/campsite1/conditions/report1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+      expect(transaction.delete).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for reports on other campsites', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .delete('/api/campsites/private1/conditions/report1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
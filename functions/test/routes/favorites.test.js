@@ -0,0 +1,178 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  mockFirestore,
+  mockCollection,
+  resetAllMocks,
+  mockStoreCollection,
+  mockTransaction,
+  mockAuthenticatedUser
+} = require('../helpers/mocks');
+
+describe('Favorites API', () => {
+  let app;
+  let campsites;
+  let favorites;
+  let trashedCampsites;
+  let transaction;
+  const favoritesRouter = require('../../routes/favorites');
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/favorites', favoritesRouter);
+    resetAllMocks();
+
+    campsites = {
+      campsite1: { title: 'Public Site', visibility: 'public', userId: 'owner1', favoriteCount: 2 },
+      private1: { title: 'Private Site', visibility: 'private', userId: 'owner1' }
+    };
+    favorites = {
+      user123_campsite1: { userId: 'user123', campsiteId: 'campsite1', createdAt: 'yesterday' }
+    };
+
+    trashedCampsites = {};
+
+    transaction = mockTransaction();
+
+    mockFirestore.collection.mockImplementation((name) => {
+      if (name === 'campsites') {
+        return mockStoreCollection(campsites);
+      }
+      if (name === 'favorites') {
+        return mockStoreCollection(favorites);
+      }
+      if (name === 'trashedCampsites') {
+        return mockStoreCollection(trashedCampsites);
+      }
+      return mockCollection(name);
+    });
+  });
+
+  describe('GET /api/favorites', () => {
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .get('/api/favorites');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list favorites with current campsite data', async () => {
+      mockAuthenticatedUser('user123');
+      favorites.user123_gone1 = { userId: 'user123', campsiteId: 'gone1', createdAt: 'last week' };
+
+      const response = await request(app)
+        .get('/api/favorites')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.favorites).toEqual([
+        expect.objectContaining({
+          campsiteId: 'campsite1',
+          campsite: expect.objectContaining({ title: 'Public Site', favoriteCount: 2 })
+        }),
+        expect.objectContaining({ campsiteId: 'gone1', campsite: null })
+      ]);
+      expect(response.body.pagination.total).toBe(2);
+    });
+  });
+
+  describe('PUT /api/favorites/:campsiteId', () => {
+    it('should favorite a campsite and increment its count', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .put('/api/favorites/campsite1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(201);
+      expect(transaction.set).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'user456_campsite1' }),
+        expect.objectContaining({ userId: 'user456', campsiteId: 'campsite1' })
+      );
+      expect(transaction.update).toHaveBeenCalledWith(expect.anything(), { favoriteCount: { increment: 1 } });
+    });
+
+    it('should not count a campsite twice', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/favorites/campsite1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(transaction.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject campsites the user cannot view', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/favorites/private1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject campsites that are being merged', async () => {
+      mockAuthenticatedUser('user456');
+      campsites.campsite1.mergingInto = 'main1';
+
+      const response = await request(app)
+        .put('/api/favorites/campsite1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(409);
+      expect(transaction.set).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for non-existent campsites', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/favorites/missing')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/favorites/:campsiteId', () => {
+    it('should unfavorite a campsite and decrement its count', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .delete('/api/favorites/campsite1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(transaction.delete).toHaveBeenCalled();
+      expect(transaction.update).toHaveBeenCalledWith(expect.anything(), { favoriteCount: { increment: -1 } });
+    });
+
+    it('should decrement the count of a trashed campsite', async () => {
+      mockAuthenticatedUser('user123');
+      trashedCampsites.campsite1 = campsites.campsite1;
+      delete campsites.campsite1;
+
+      const response = await request(app)
+        .delete('/api/favorites/campsite1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      const [countRef, update] = transaction.update.mock.calls[0];
+      expect(update).toEqual({ favoriteCount: { increment: -1 } });
+      expect((await countRef.get()).data()).toBe(trashedCampsites.campsite1);
+    });
+
+    it('should return 404 when the campsite is not a favorite', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .delete('/api/favorites/campsite1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
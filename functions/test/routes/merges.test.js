@@ -0,0 +1,185 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  mockFirestore,
+  mockCollection,
+  resetAllMocks,
+  mockTransaction,
+  mockAuthenticatedUser
+} = require('../helpers/mocks');
+
+describe('Campsite Merge API', () => {
+  let app;
+  let campsites;
+  let transaction;
+  let campsiteUpdates;
+  const mergesRouter = require('../../routes/merges');
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/campsites', mergesRouter);
+    resetAllMocks();
+
+    campsites = {
+      dup1: { title: 'Creek pullout', visibility: 'public', userId: 'owner1', photos: [] },
+      main1: { title: 'Creek Pullout', visibility: 'public', userId: 'owner1', photos: [] },
+      other1: { title: 'Someone else\'s', visibility: 'public', userId: 'owner2', photos: [] },
+      private1: { title: 'Someone else\'s secret', visibility: 'private', userId: 'owner2', photos: [] }
+    };
+
+    transaction = mockTransaction();
+    campsiteUpdates = jest.fn().mockResolvedValue({});
+
+    mockFirestore.collection.mockImplementation((name) => {
+      if (name === 'campsites') {
+        return {
+          doc: jest.fn((id) => ({
+            path: `campsites/${id}`,
+            get: jest.fn(() => Promise.resolve({
+              exists: Boolean(campsites[id]),
+              id,
+              data: () => campsites[id]
+            })),
+            update: jest.fn((data) => campsiteUpdates(id, data))
+          }))
+        };
+      }
+      return mockCollection(name);
+    });
+  });
+
+  describe('POST /api/campsites/:id/merge', () => {
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/campsites/dup1/merge')
+        .send({ targetId: 'main1' });
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should let the owner of both campsites merge them', async () => {
+      mockAuthenticatedUser('owner1');
+
+      const response = await request(app)
+        .post('/api/campsites/dup1/merge')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ targetId: 'main1' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(expect.objectContaining({ sourceId: 'dup1', targetId: 'main1' }));
+      expect(transaction.update).toHaveBeenCalledWith(
+        expect.objectContaining({ path: 'campsites/dup1' }),
+        { mergingInto: 'main1' }
+      );
+
+      const finalBatch = mockFirestore.batch.mock.results[0].value;
+      expect(finalBatch.delete).toHaveBeenCalledWith(expect.objectContaining({ path: 'campsites/dup1' }));
+      expect(finalBatch.commit).toHaveBeenCalled();
+    });
+
+    it('should let moderators merge any campsites', async () => {
+      mockAuthenticatedUser('mod1', 'mod@example.com', { moderator: true });
+
+      const response = await request(app)
+        .post('/api/campsites/other1/merge')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ targetId: 'main1' });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should not let moderators merge into a campsite that is not public', async () => {
+      mockAuthenticatedUser('mod1', 'mod@example.com', { moderator: true });
+
+      const response = await request(app)
+        .post('/api/campsites/other1/merge')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ targetId: 'private1' });
+
+      expect(response.status).toBe(403);
+      expect(mockFirestore.batch).not.toHaveBeenCalled();
+    });
+
+    it('should let moderators who own both campsites merge into a private one', async () => {
+      mockAuthenticatedUser('owner2', 'owner2@example.com', { moderator: true });
+
+      const response = await request(app)
+        .post('/api/campsites/other1/merge')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ targetId: 'private1' });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject users who do not own both campsites', async () => {
+      mockAuthenticatedUser('owner1');
+
+      const response = await request(app)
+        .post('/api/campsites/dup1/merge')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ targetId: 'other1' });
+
+      expect(response.status).toBe(403);
+      expect(mockFirestore.batch).not.toHaveBeenCalled();
+    });
+
+    it('should reject merges of campsites that are already being merged', async () => {
+      mockAuthenticatedUser('owner1');
+      campsites.dup1.mergingInto = 'other1';
+
+      const response = await request(app)
+        .post('/api/campsites/dup1/merge')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ targetId: 'main1' });
+
+      expect(response.status).toBe(409);
+      expect(transaction.update).not.toHaveBeenCalled();
+      expect(mockFirestore.batch).not.toHaveBeenCalled();
+    });
+
+    it('should clear the merging mark when the merge fails', async () => {
+      mockAuthenticatedUser('owner1');
+      const collection = mockFirestore.collection.getMockImplementation();
+      mockFirestore.collection.mockImplementation((name) => (name === 'reviews'
+        ? { where: jest.fn(() => ({ get: jest.fn().mockRejectedValue(new Error('unavailable')) })) }
+        : collection(name)));
+
+      const response = await request(app)
+        .post('/api/campsites/dup1/merge')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ targetId: 'main1' });
+
+      expect(response.status).toBe(500);
+      expect(campsiteUpdates).toHaveBeenCalledWith('dup1', { mergingInto: 'DELETE_FIELD' });
+    });
+
+    it('should require a different target campsite', async () => {
+      mockAuthenticatedUser('owner1');
+
+      const missing = await request(app)
+        .post('/api/campsites/dup1/merge')
+        .set('Authorization', 'Bearer valid-token')
+        .send({});
+      const itself = await request(app)
+        .post('/api/campsites/dup1/merge')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ targetId: 'dup1' });
+
+      expect(missing.status).toBe(400);
+      expect(itself.status).toBe(400);
+    });
+
+    it('should return 404 for non-existent campsites', async () => {
+      mockAuthenticatedUser('owner1');
+
+      const response = await request(app)
+        .post('/api/campsites/dup1/merge')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ targetId: 'missing' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Target campsite not found');
+    });
+  });
+});
@@ -0,0 +1,203 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  MockTimestamp,
+  mockFirestore,
+  mockCollection,
+  resetAllMocks,
+  mockStoreDocRef,
+  mockStoreCollection,
+  mockAuthenticatedUser
+} = require('../helpers/mocks');
+
+describe('Moderation API', () => {
+  let app;
+  let campsites;
+  let reports;
+  let campsiteRefs;
+  const moderationRouter = require('../../routes/moderation');
+
+  const moderator = () => mockAuthenticatedUser('mod1', 'mod@example.com', { moderator: true });
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/moderation', moderationRouter);
+    resetAllMocks();
+
+    campsites = {
+      campsite1: {
+        title: 'Reported Site',
+        visibility: 'public',
+        userId: 'owner1',
+        reportCount: 3,
+        reportReasons: { spam: 2, closed: 1 },
+        moderationStatus: 'pending',
+        hidden: true
+      },
+      campsite2: {
+        title: 'Another Site',
+        visibility: 'public',
+        userId: 'owner1',
+        reportCount: 5,
+        reportReasons: { 'private-land': 5 },
+        moderationStatus: 'pending',
+        hidden: true
+      },
+      campsite3: {
+        title: 'Cleared Site',
+        visibility: 'public',
+        userId: 'owner1',
+        reportCount: 0,
+        moderationStatus: 'dismissed',
+        hidden: false
+      }
+    };
+    reports = {
+      user1_campsite1: { campsiteId: 'campsite1', userId: 'user1', reason: 'spam', status: 'open', createdAt: MockTimestamp.fromMillis(1000) },
+      user2_campsite1: { campsiteId: 'campsite1', userId: 'user2', reason: 'closed', status: 'open', createdAt: MockTimestamp.fromMillis(2000) },
+      user3_campsite1: { campsiteId: 'campsite1', userId: 'user3', reason: 'spam', status: 'dismissed', createdAt: MockTimestamp.fromMillis(500) }
+    };
+    campsiteRefs = {};
+
+    mockFirestore.collection.mockImplementation((name) => {
+      if (name === 'campsites') {
+        return {
+          ...mockStoreCollection(campsites),
+          doc: jest.fn((id) => {
+            campsiteRefs[id] = campsiteRefs[id] || mockStoreDocRef(campsites, id);
+            return campsiteRefs[id];
+          })
+        };
+      }
+      if (name === 'campsiteReports') {
+        return mockStoreCollection(reports);
+      }
+      return mockCollection(name);
+    });
+  });
+
+  it('should only be available to moderators', async () => {
+    mockAuthenticatedUser('user456');
+
+    const response = await request(app)
+      .get('/api/moderation/campsites')
+      .set('Authorization', 'Bearer valid-token');
+
+    expect(response.status).toBe(403);
+  });
+
+  describe('GET /api/moderation/campsites', () => {
+    it('should list pending campsites, most reported first', async () => {
+      moderator();
+
+      const response = await request(app)
+        .get('/api/moderation/campsites')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.campsites.map(c => c.id)).toEqual(['campsite2', 'campsite1']);
+      expect(response.body.campsites[1]).toEqual(expect.objectContaining({
+        reportCount: 3,
+        reportReasons: { spam: 2, closed: 1 },
+        hidden: true
+      }));
+    });
+
+    it('should validate the status filter', async () => {
+      moderator();
+
+      const response = await request(app)
+        .get('/api/moderation/campsites?status=open')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/moderation/campsites/:id/reports', () => {
+    it('should list the reports for a campsite', async () => {
+      moderator();
+
+      const response = await request(app)
+        .get('/api/moderation/campsites/campsite1/reports')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.reports.map(r => r.id)).toEqual(['user2_campsite1', 'user1_campsite1', 'user3_campsite1']);
+    });
+  });
+
+  describe('POST /api/moderation/campsites/:id/resolve', () => {
+    it('should dismiss reports and show the campsite again', async () => {
+      moderator();
+
+      const response = await request(app)
+        .post('/api/moderation/campsites/campsite1/resolve')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ action: 'dismiss' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.reportsResolved).toBe(2);
+      expect(campsiteRefs.campsite1.update).toHaveBeenCalledWith(expect.objectContaining({
+        moderationStatus: 'dismissed',
+        hidden: false,
+        reportCount: 0,
+        reportReasons: {},
+        moderatedBy: 'mod1',
+        updatedAt: expect.anything()
+      }));
+
+      const batch = mockFirestore.batch.mock.results[0].value;
+      expect(batch.update).toHaveBeenCalledTimes(2);
+      expect(batch.update).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'user1_campsite1' }),
+        expect.objectContaining({ status: 'dismissed', resolvedBy: 'mod1' })
+      );
+    });
+
+    it('should hide the campsite and uphold the reports', async () => {
+      moderator();
+
+      const response = await request(app)
+        .post('/api/moderation/campsites/campsite1/resolve')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ action: 'hide' });
+
+      expect(response.status).toBe(200);
+      expect(campsiteRefs.campsite1.update).toHaveBeenCalledWith(expect.objectContaining({
+        moderationStatus: 'hidden',
+        hidden: true,
+        updatedAt: expect.anything()
+      }));
+
+      const batch = mockFirestore.batch.mock.results[0].value;
+      expect(batch.update).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'user2_campsite1' }),
+        expect.objectContaining({ status: 'upheld' })
+      );
+    });
+
+    it('should validate the action', async () => {
+      moderator();
+
+      const response = await request(app)
+        .post('/api/moderation/campsites/campsite1/resolve')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ action: 'delete' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for missing campsites', async () => {
+      moderator();
+
+      const response = await request(app)
+        .post('/api/moderation/campsites/missing/resolve')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ action: 'dismiss' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
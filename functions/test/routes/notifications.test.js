@@ -0,0 +1,109 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  mockFirestore,
+  mockCollection,
+  resetAllMocks,
+  mockStoreCollection,
+  mockAuthenticatedUser
+} = require('../helpers/mocks');
+
+describe('Notifications API', () => {
+  let app;
+  let notifications;
+  const notificationsRouter = require('../../routes/notifications');
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/notifications', notificationsRouter);
+    resetAllMocks();
+
+    notifications = {
+      moved1: { userId: 'user123', type: 'campsite-moved', campsiteId: 'campsite1', read: false, createdAt: 'today' },
+      moved2: { userId: 'user123', type: 'campsite-moved', campsiteId: 'campsite2', read: true, createdAt: 'yesterday' },
+      other1: { userId: 'user456', type: 'campsite-moved', campsiteId: 'campsite1', read: false, createdAt: 'today' }
+    };
+
+    mockFirestore.collection.mockImplementation((name) => (
+      name === 'notifications' ? mockStoreCollection(notifications) : mockCollection(name)
+    ));
+  });
+
+  describe('GET /api/notifications', () => {
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/notifications');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list the user\'s notifications', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.notifications.map(n => n.id)).toEqual(['moved1', 'moved2']);
+      expect(response.body.notifications[0].userId).toBeUndefined();
+      expect(response.body.pagination.total).toBe(2);
+    });
+
+    it('should list only unread notifications', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .get('/api/notifications')
+        .query({ unread: 'true' })
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.body.notifications.map(n => n.id)).toEqual(['moved1']);
+    });
+  });
+
+  describe('PUT /api/notifications/:id/read', () => {
+    it('should mark a notification as read', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/notifications/moved1/read')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(notifications.moved1).toEqual(expect.objectContaining({ read: true, readAt: expect.anything() }));
+    });
+
+    it('should not update notifications that are already read', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/notifications/moved2/read')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(notifications.moved2.readAt).toBeUndefined();
+    });
+
+    it('should not let users mark other users\' notifications', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/notifications/other1/read')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+      expect(notifications.other1.read).toBe(false);
+    });
+
+    it('should return 404 for unknown notifications', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .put('/api/notifications/missing/read')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -127,6 +127,13 @@ describe('Photos API', () => {
         .set('Authorization', 'Bearer valid-token');
 
       expect(response.status).toBe(200);
+
+      const batch = mockFirestore.batch.mock.results[0].value;
+      expect(batch.update).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ photos: [], hasPhotos: false }));
+      expect(batch.set).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ type: 'photo', id: 'photo1', campsiteId: 'test-id' })
+      );
     });
 
     it('should reject photo deletion by non-owner', async () => {
@@ -151,6 +158,34 @@ describe('Photos API', () => {
       expect(response.status).toBe(403);
     });
 
+    it('should allow photo deletion by users with edit access', async () => {
+      mockAuthenticatedUser('editor1');
+
+      mockFirestore.collection.mockImplementation(() => ({
+        doc: jest.fn(() => ({
+          get: jest.fn().mockResolvedValue({
+            exists: true,
+            data: () => ({
+              userId: 'user123',
+              sharedWith: { editor1: 'edit' },
+              photos: [{
+                id: 'photo1',
+                url: 'https://storage.googleapis.com/test-bucket/path/photo.jpg',
+                thumbnailUrl: 'https://storage.googleapis.com/test-bucket/path/thumb.jpg'
+              }]
+            })
+          }),
+          update: jest.fn().mockResolvedValue({})
+        }))
+      }));
+
+      const response = await request(app)
+        .delete('/api/campsites/test-id/photos/photo1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+    });
+
     it('should return 404 for non-existent photo', async () => {
       mockAuthenticatedUser('user123');
 
@@ -1,6 +1,7 @@
 const request = require('supertest');
 const express = require('express');
 const {
+  MockTimestamp,
   mockFirestore,
   mockAuth,
   mockCollection,
@@ -40,7 +41,7 @@ describe('Reviews API', () => {
           doc: jest.fn(() => ({
             get: jest.fn().mockResolvedValue({
               exists: true,
-              data: () => ({ title: 'Test Campsite', userId: 'owner123' })
+              data: () => ({ title: 'Test Campsite', userId: 'owner123', visibility: 'public' })
             }),
             update: jest.fn().mockResolvedValue({})
           }))
@@ -210,7 +211,7 @@ describe('Reviews API', () => {
             doc: jest.fn(() => ({
               get: jest.fn().mockResolvedValue({
                 exists: true,
-                data: () => ({ title: 'Test Campsite' })
+                data: () => ({ title: 'Test Campsite', visibility: 'public' })
               })
             }))
           };
@@ -249,6 +250,92 @@ describe('Reviews API', () => {
       expect(Array.isArray(response.body.reviews)).toBe(true);
     });
 
+    it('should hide reviews of private campsites from users without access', async () => {
+      mockAuthenticatedUser('stranger');
+      mockFirestore.collection.mockImplementation((name) => {
+        if (name === 'campsites') {
+          return {
+            doc: jest.fn(() => ({
+              get: jest.fn().mockResolvedValue({
+                exists: true,
+                data: () => ({ title: 'Test Campsite', visibility: 'private', userId: 'owner123' })
+              })
+            }))
+          };
+        }
+        return mockCollection(name);
+      });
+
+      const response = await request(app)
+        .get('/api/campsites/campsite1/reviews')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+    });
+
+    const mockUnlistedCampsiteWithLink = (viewCount) => {
+      mockFirestore.collection.mockImplementation((name) => {
+        if (name === 'campsites') {
+          return {
+            doc: jest.fn(() => ({
+              get: jest.fn().mockResolvedValue({
+                exists: true,
+                data: () => ({ title: 'Test Campsite', visibility: 'unlisted', userId: 'owner123' })
+              })
+            }))
+          };
+        }
+        if (name === 'shareLinks') {
+          return {
+            doc: jest.fn(() => ({
+              get: jest.fn().mockResolvedValue({
+                exists: true,
+                data: () => ({
+                  campsiteId: 'campsite1',
+                  expiresAt: MockTimestamp.fromMillis(Date.now() + 60 * 60 * 1000),
+                  maxViews: 1,
+                  viewCount,
+                  revoked: false
+                })
+              })
+            }))
+          };
+        }
+        if (name === 'reviews') {
+          return {
+            where: jest.fn(() => ({
+              where: jest.fn(function() { return this; }),
+              orderBy: jest.fn(function() { return this; }),
+              limit: jest.fn(function() { return this; }),
+              offset: jest.fn(function() { return this; }),
+              get: jest.fn().mockResolvedValue({ size: 0, docs: [] })
+            }))
+          };
+        }
+        return mockCollection(name);
+      });
+    };
+
+    it('should show reviews of unlisted campsites through a share link', async () => {
+      mockUnlistedCampsiteWithLink(0);
+
+      const response = await request(app)
+        .get('/api/campsites/campsite1/reviews')
+        .query({ shareToken: 'secret-token' });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should not show reviews through a share link that has used up its views', async () => {
+      mockUnlistedCampsiteWithLink(1);
+
+      const response = await request(app)
+        .get('/api/campsites/campsite1/reviews')
+        .query({ shareToken: 'secret-token' });
+
+      expect(response.status).toBe(403);
+    });
+
     it('should sort reviews by highest rating', async () => {
       mockFirestore.collection.mockImplementation((name) => {
         if (name === 'campsites') {
@@ -256,7 +343,7 @@ describe('Reviews API', () => {
             doc: jest.fn(() => ({
               get: jest.fn().mockResolvedValue({
                 exists: true,
-                data: () => ({ title: 'Test' })
+                data: () => ({ title: 'Test', visibility: 'public' })
               })
             }))
           };
@@ -292,7 +379,7 @@ describe('Reviews API', () => {
             doc: jest.fn(() => ({
               get: jest.fn().mockResolvedValue({
                 exists: true,
-                data: () => ({ title: 'Test' })
+                data: () => ({ title: 'Test', visibility: 'public' })
               })
             }))
           };
@@ -341,4 +428,63 @@ describe('Reviews API', () => {
       expect(response.status).toBe(404);
     });
   });
+
+  describe('DELETE /api/campsites/:id/reviews/:reviewId', () => {
+    let transaction;
+
+    beforeEach(() => {
+      const reviewsCollection = mockFirestore.collection('reviews');
+      reviewsCollection.doc.mockImplementation(() => ({
+        id: 'review1',
+        get: jest.fn().mockResolvedValue({
+          exists: true,
+          data: () => ({ campsiteId: 'campsite1', userId: 'user123', rating: 4 })
+        })
+      }));
+      mockFirestore.collection.mockImplementation((name) => (
+        name === 'reviews' ? reviewsCollection : mockCollection(name)
+      ));
+
+      mockFirestore.runTransaction.mockImplementation(async (callback) => {
+        transaction = {
+          get: jest.fn()
+            .mockResolvedValueOnce({
+              exists: true,
+              data: () => ({ title: 'Test Campsite', location: { latitude: 40, longitude: -105 } })
+            })
+            .mockResolvedValueOnce({ size: 0, docs: [], forEach: jest.fn() }),
+          set: jest.fn(),
+          update: jest.fn(),
+          delete: jest.fn()
+        };
+        await callback(transaction);
+      });
+    });
+
+    it('should delete the review and leave a tombstone', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .delete('/api/campsites/campsite1/reviews/review1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(transaction.delete).toHaveBeenCalledWith(expect.objectContaining({ id: 'review1' }));
+      expect(transaction.set).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ type: 'review', id: 'review1', campsiteId: 'campsite1', latitude: 40, longitude: -105 })
+      );
+    });
+
+    it('should not let other users delete the review', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .delete('/api/campsites/campsite1/reviews/review1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+      expect(mockFirestore.runTransaction).not.toHaveBeenCalled();
+    });
+  });
 });
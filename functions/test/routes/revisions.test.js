@@ -0,0 +1,220 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  mockFirestore,
+  mockCollection,
+  resetAllMocks,
+  mockAuthenticatedUser,
+  mockDocumentRef
+} = require('../helpers/mocks');
+
+describe('Revisions API', () => {
+  let app;
+  let campsiteData;
+  let revisionData;
+  const revisionsRouter = require('../../routes/revisions');
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/campsites', revisionsRouter);
+    resetAllMocks();
+
+    campsiteData = {
+      title: 'Current Title',
+      description: 'Current description',
+      visibility: 'public',
+      userId: 'user123',
+      sharedWith: { editor1: 'edit', viewer1: 'view' },
+      latitude: 40.0,
+      longitude: -105.0,
+      updatedAt: { seconds: 1700000500, nanoseconds: 0 }
+    };
+
+    revisionData = {
+      campsiteId: 'campsite1',
+      action: 'create',
+      userId: 'user123',
+      changes: [{ field: 'title', before: null, after: 'Original Title' }],
+      snapshot: {
+        title: 'Original Title',
+        description: 'Current description',
+        visibility: 'public',
+        latitude: 40.5,
+        longitude: -105.0
+      }
+    };
+
+    mockFirestore.collection.mockImplementation((name) => {
+      if (name === 'campsites') {
+        return { doc: jest.fn(() => mockDocumentRef(campsiteData, 'campsite1')) };
+      }
+      if (name === 'campsiteRevisions') {
+        const query = {
+          orderBy: jest.fn(function() { return this; }),
+          limit: jest.fn(function() { return this; }),
+          offset: jest.fn(function() { return this; }),
+          count: jest.fn(() => ({
+            get: jest.fn().mockResolvedValue({ data: () => ({ count: 1 }) })
+          })),
+          get: jest.fn().mockResolvedValue({
+            size: 1,
+            docs: [{ id: 'revision1', data: () => revisionData }]
+          })
+        };
+        return {
+          where: jest.fn(() => query),
+          doc: jest.fn((id) => (id ? mockDocumentRef(id === 'revision1' ? revisionData : null, id) : { id: 'new-revision' }))
+        };
+      }
+      return mockCollection(name);
+    });
+  });
+
+  describe('GET /api/campsites/:id/history', () => {
+    it('should list revisions to users who can edit the campsite', async () => {
+      mockAuthenticatedUser('editor1');
+
+      const response = await request(app)
+        .get('/api/campsites/campsite1/history')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.revisions).toEqual([
+        expect.objectContaining({ id: 'revision1', action: 'create', changes: revisionData.changes })
+      ]);
+      expect(response.body.pagination.total).toBe(1);
+    });
+
+    it('should hide history from users who can only view the campsite', async () => {
+      mockAuthenticatedUser('viewer1');
+
+      const anonymous = await request(app)
+        .get('/api/campsites/campsite1/history');
+      const viewer = await request(app)
+        .get('/api/campsites/campsite1/history')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(anonymous.status).toBe(401);
+      expect(viewer.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/campsites/:id/revisions/:revisionId/revert', () => {
+    it('should revert tracked fields and record a revert revision', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/revisions/revision1/revert')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+
+      const batch = mockFirestore.batch.mock.results[0].value;
+      const updates = batch.update.mock.calls[0][1];
+      expect(updates.title).toBe('Original Title');
+      expect(updates.latitude).toBe(40.5);
+      expect(updates.geohash).toBeDefined();
+      expect(batch.set).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'revert',
+        revertedFrom: 'revision1'
+      }));
+    });
+
+    it('should remove fields the revision snapshot does not have', async () => {
+      mockAuthenticatedUser('user123');
+      campsiteData.attributes = { fireRing: true };
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/revisions/revision1/revert')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+
+      const batch = mockFirestore.batch.mock.results[0].value;
+      const updates = batch.update.mock.calls[0][1];
+      expect(updates.attributes).toBe('DELETE_FIELD');
+      expect(Object.values(updates)).not.toContain(undefined);
+
+      const revision = batch.set.mock.calls[0][1];
+      expect(revision.snapshot.attributes).toBeNull();
+      expect(revision.changes).toContainEqual({ field: 'attributes', before: { fireRing: true }, after: null });
+    });
+
+    it('should let editors revert', async () => {
+      mockAuthenticatedUser('editor1');
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/revisions/revision1/revert')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.sharedWith).toBeUndefined();
+    });
+
+    it('should only let the owner revert a change of visibility', async () => {
+      mockAuthenticatedUser('editor1');
+      revisionData.snapshot.visibility = 'private';
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/revisions/revision1/revert')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject reverts with a stale If-Match', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/revisions/revision1/revert')
+        .set('Authorization', 'Bearer valid-token')
+        .set('If-Match', '"1700000000.0"');
+
+      expect(response.status).toBe(412);
+      expect(response.body.etag).toBe('"1700000500.0"');
+      expect(mockFirestore.batch).not.toHaveBeenCalled();
+    });
+
+    it('should reject revert by users without edit access', async () => {
+      mockAuthenticatedUser('viewer1');
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/revisions/revision1/revert')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject revert by non-owner', async () => {
+      mockAuthenticatedUser('different-user');
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/revisions/revision1/revert')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject revisions from another campsite', async () => {
+      mockAuthenticatedUser('user123');
+      revisionData.campsiteId = 'other-campsite';
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/revisions/revision1/revert')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for unknown revisions', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/revisions/missing/revert')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -1,6 +1,8 @@
 const request = require('supertest');
 const express = require('express');
+const geohash = require('geofire-common');
 const {
+  MockTimestamp,
   mockFirestore,
   mockCollection,
   resetAllMocks,
@@ -14,6 +16,7 @@ describe('Search API', () => {
 
   beforeEach(() => {
     app = express();
+    app.use(express.json());
     app.use('/api/search', searchRouter);
     resetAllMocks();
 
@@ -35,6 +38,13 @@ describe('Search API', () => {
                     reviewCount: 10,
                     hasPhotos: true,
                     geohash: 'test-hash',
+                    attributes: {
+                      access: 'high-clearance',
+                      maxRigLength: 25,
+                      cellSignal: { verizon: 'moderate' },
+                      fireRing: true,
+                      siteType: 'both'
+                    },
                     createdAt: { toMillis: () => Date.now() }
                   })
                 }
@@ -95,6 +105,126 @@ describe('Search API', () => {
       expect(Array.isArray(response.body.results)).toBe(true);
     });
 
+    it('should filter by vehicle access', async () => {
+      const reachable = await request(app)
+        .get('/api/search/campsites')
+        .query({ access: '4x4' });
+      const unreachable = await request(app)
+        .get('/api/search/campsites')
+        .query({ access: '2wd' });
+
+      expect(reachable.body.results.map(result => result.id)).toEqual(['campsite1']);
+      expect(unreachable.body.results).toEqual([]);
+    });
+
+    it('should filter by rig length', async () => {
+      const fits = await request(app)
+        .get('/api/search/campsites')
+        .query({ rigLength: 25 });
+      const tooLong = await request(app)
+        .get('/api/search/campsites')
+        .query({ rigLength: 30 });
+
+      expect(fits.body.results).toHaveLength(1);
+      expect(tooLong.body.results).toEqual([]);
+    });
+
+    it('should filter by cell signal for a carrier', async () => {
+      const moderate = await request(app)
+        .get('/api/search/campsites')
+        .query({ cellSignal: 'verizon' });
+      const strong = await request(app)
+        .get('/api/search/campsites')
+        .query({ cellSignal: 'verizon', minSignal: 'strong' });
+      const otherCarrier = await request(app)
+        .get('/api/search/campsites')
+        .query({ cellSignal: 'att' });
+
+      expect(moderate.body.results).toHaveLength(1);
+      expect(strong.body.results).toEqual([]);
+      expect(otherCarrier.body.results).toEqual([]);
+    });
+
+    it('should reject unknown attribute filter values', async () => {
+      const badAccess = await request(app)
+        .get('/api/search/campsites')
+        .query({ access: 'tank' });
+      const badCarrier = await request(app)
+        .get('/api/search/campsites')
+        .query({ cellSignal: 'sprint' });
+      const badSignal = await request(app)
+        .get('/api/search/campsites')
+        .query({ cellSignal: 'verizon', minSignal: 'great' });
+      const badSiteType = await request(app)
+        .get('/api/search/campsites')
+        .query({ siteType: 'hammock' });
+      const badExport = await request(app)
+        .get('/api/search/campsites/export')
+        .query({ access: 'tank' });
+
+      expect(badAccess.status).toBe(400);
+      expect(badAccess.body.error).toMatch(/Access must be one of/);
+      expect(badCarrier.status).toBe(400);
+      expect(badSignal.status).toBe(400);
+      expect(badSiteType.status).toBe(400);
+      expect(badExport.status).toBe(400);
+    });
+
+    it('should filter by amenities and site type', async () => {
+      const withFireRing = await request(app)
+        .get('/api/search/campsites')
+        .query({ fireRing: 'true', siteType: 'tent' });
+      const withWater = await request(app)
+        .get('/api/search/campsites')
+        .query({ waterNearby: 'true' });
+
+      expect(withFireRing.body.results).toHaveLength(1);
+      expect(withFireRing.body.results[0].attributes.fireRing).toBe(true);
+      expect(withFireRing.body.filters.amenities).toEqual(['fireRing']);
+      expect(withWater.body.results).toEqual([]);
+    });
+
+    it('should exclude sites with an active closed or impassable report', async () => {
+      mockFirestore.collection.mockImplementation(() => ({
+        where: jest.fn(() => ({
+          get: jest.fn().mockResolvedValue({
+            docs: [
+              mockCampsiteDoc({ id: 'closed1', closedUntil: MockTimestamp.fromMillis(Date.now() + 60000) }),
+              mockCampsiteDoc({ id: 'reopened1', closedUntil: MockTimestamp.fromMillis(Date.now() - 60000) }),
+              mockCampsiteDoc({ id: 'open1' })
+            ]
+          })
+        }))
+      }));
+
+      const response = await request(app)
+        .get('/api/search/campsites')
+        .query({ excludeClosed: 'true' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.results.map(campsite => campsite.id).sort()).toEqual(['open1', 'reopened1']);
+      expect(response.body.filters.excludeClosed).toBe(true);
+    });
+
+    it('should leave out campsites hidden by reports', async () => {
+      mockFirestore.collection.mockImplementation(() => ({
+        where: jest.fn(() => ({
+          get: jest.fn().mockResolvedValue({
+            docs: [
+              mockCampsiteDoc({ id: 'hidden1', hidden: true, moderationStatus: 'pending' }),
+              mockCampsiteDoc({ id: 'dismissed1', hidden: false, moderationStatus: 'dismissed' }),
+              mockCampsiteDoc({ id: 'visible1' })
+            ]
+          })
+        }))
+      }));
+
+      const response = await request(app).get('/api/search/campsites');
+
+      expect(response.status).toBe(200);
+      expect(response.body.results.map(campsite => campsite.id).sort()).toEqual(['dismissed1', 'visible1']);
+    });
+
     it('should support pagination', async () => {
       const response = await request(app)
         .get('/api/search/campsites')
@@ -138,6 +268,32 @@ describe('Search API', () => {
       expect(response.body.results).toBeDefined();
     });
 
+    it('should sort by popularity', async () => {
+      const response = await request(app)
+        .get('/api/search/campsites')
+        .query({ sort: 'popularity' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.filters.sort).toBe('popularity');
+      expect(response.body.results[0].favoriteCount).toBe(0);
+    });
+
+    it('should flag favorited results for authenticated users', async () => {
+      mockAuthenticatedUser('user123');
+      const campsitesCollection = mockFirestore.collection.getMockImplementation();
+      mockFirestore.collection.mockImplementation((name) => (
+        name === 'favorites'
+          ? { doc: jest.fn(() => ({ get: jest.fn().mockResolvedValue({ exists: true }) })) }
+          : campsitesCollection(name)
+      ));
+
+      const response = await request(app)
+        .get('/api/search/campsites')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.body.results[0].favoritedByMe).toBe(true);
+    });
+
     it('should handle Firestore errors', async () => {
       mockFirestore.collection.mockImplementation(() => ({
         where: jest.fn(() => ({
@@ -151,4 +307,381 @@ describe('Search API', () => {
       expect(response.status).toBe(500);
     });
   });
+
+  describe('GET /api/search/campsites with bbox', () => {
+    let campsites;
+    let cellQueries;
+
+    const site = (id, latitude, longitude, data = {}) => ({
+      id,
+      title: id,
+      visibility: 'public',
+      location: { latitude, longitude },
+      geohash: geohash.geohashForLocation([latitude, longitude]),
+      createdAt: MockTimestamp.fromMillis(Date.now()),
+      ...data
+    });
+
+    beforeEach(() => {
+      campsites = [
+        site('inside1', 40.0, -105.0, { averageRating: 4.5 }),
+        site('inside2', 40.5, -104.5, { averageRating: 3 }),
+        site('outside1', 42.0, -105.0),
+        site('outside2', 40.0, -107.0)
+      ];
+      cellQueries = [];
+
+      // Each cell query returns the campsites whose geohash starts with the cell
+      mockFirestore.collection.mockImplementation(() => ({
+        where: jest.fn(() => ({
+          orderBy: jest.fn(() => {
+            const cellQuery = { limit: Infinity };
+            cellQueries.push(cellQuery);
+            const chain = {
+              startAt: jest.fn((cell) => { cellQuery.cell = cell; return chain; }),
+              endAt: jest.fn(() => chain),
+              limit: jest.fn((limit) => { cellQuery.limit = limit; return chain; }),
+              get: jest.fn(() => {
+                const docs = campsites
+                  .filter(campsite => campsite.geohash.startsWith(cellQuery.cell))
+                  .slice(0, cellQuery.limit)
+                  .map(campsite => ({ id: campsite.id, data: () => campsite }));
+                return Promise.resolve({ docs });
+              })
+            };
+            return chain;
+          })
+        }))
+      }));
+    });
+
+    it('should return the public campsites inside the box', async () => {
+      const response = await request(app)
+        .get('/api/search/campsites')
+        .query({ bbox: '-106,39,-104,41', minRating: 4 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.results.map(campsite => campsite.id)).toEqual(['inside1']);
+      expect(response.body.truncated).toBe(false);
+      expect(response.body.filters.bbox).toEqual({ minLng: -106, minLat: 39, maxLng: -104, maxLat: 41 });
+      expect(cellQueries.length).toBeGreaterThan(0);
+      expect(cellQueries.length).toBeLessThanOrEqual(16);
+    });
+
+    it('should flag truncated results past the cap', async () => {
+      for (let i = 0; i < 500; i++) {
+        campsites.push(site(`bulk${i}`, 40.0 + i / 10000, -105.0));
+      }
+
+      const response = await request(app)
+        .get('/api/search/campsites')
+        .query({ bbox: '-106,39,-104,41', limit: 1000 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.truncated).toBe(true);
+      expect(response.body.pagination.total).toBe(500);
+      expect(response.body.pagination.limit).toBe(500);
+    });
+
+    it('should reject malformed boxes', async () => {
+      const response = await request(app)
+        .get('/api/search/campsites')
+        .query({ bbox: '-104,39,-106' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not combine bbox with a radius search', async () => {
+      const response = await request(app)
+        .get('/api/search/campsites')
+        .query({ bbox: '-106,39,-104,41', lat: 40, lng: -105, radius: 10 });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/search/route', () => {
+    let campsites;
+    let cellQueries;
+
+    const site = (id, latitude, longitude, data = {}) => ({
+      id,
+      title: id,
+      visibility: 'public',
+      location: { latitude, longitude },
+      geohash: geohash.geohashForLocation([latitude, longitude]),
+      createdAt: MockTimestamp.fromMillis(Date.now()),
+      ...data
+    });
+
+    // Denver to Grand Junction along I-70, roughly
+    const route = {
+      type: 'LineString',
+      coordinates: [[-105.0, 39.74], [-106.0, 39.64], [-107.3, 39.55], [-108.55, 39.06]]
+    };
+
+    beforeEach(() => {
+      campsites = [
+        site('glenwood', 39.56, -107.3, { averageRating: 4, hasPhotos: true }),
+        site('vail', 39.66, -106.1, { averageRating: 5 }),
+        site('fruita', 39.1, -108.6, { averageRating: 3, hasPhotos: true }),
+        site('hidden', 39.64, -106.0, { hidden: true }),
+        site('aspen', 39.19, -106.82, { averageRating: 5, hasPhotos: true }),
+        site('moab', 38.57, -109.55, { averageRating: 5, hasPhotos: true })
+      ];
+      cellQueries = [];
+
+      // Each cell query returns the campsites whose geohash starts with the cell
+      mockFirestore.collection.mockImplementation(() => ({
+        where: jest.fn(() => ({
+          orderBy: jest.fn(() => {
+            let cell;
+            let limit;
+            const chain = {
+              startAt: jest.fn((start) => { cell = start; cellQueries.push(start); return chain; }),
+              endAt: jest.fn(() => chain),
+              limit: jest.fn((value) => { limit = value; return chain; }),
+              get: jest.fn(() => Promise.resolve({
+                docs: campsites
+                  .filter(campsite => campsite.geohash.startsWith(cell))
+                  .slice(0, limit)
+                  .map(campsite => ({ id: campsite.id, data: () => campsite }))
+              }))
+            };
+            return chain;
+          })
+        }))
+      }));
+    });
+
+    it('should return campsites in the corridor ordered along the route', async () => {
+      const response = await request(app)
+        .post('/api/search/route')
+        .send({ route, width: 10 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.results.map(campsite => campsite.id)).toEqual(['vail', 'glenwood', 'fruita']);
+      expect(response.body.results[0].distanceAlongRoute).toBeGreaterThan(50);
+      expect(response.body.results[0].distanceFromRoute).toBeLessThan(10);
+      expect(response.body.route.points).toBe(4);
+      expect(response.body.route.width).toBe(10);
+      expect(response.body.pagination.total).toBe(3);
+      expect(response.body.truncated).toBe(false);
+      expect(cellQueries.length).toBeLessThanOrEqual(100);
+      expect(new Set(cellQueries).size).toBe(cellQueries.length);
+    });
+
+    it('should cap the campsites read and flag truncated results', async () => {
+      for (let i = 0; i < 500; i++) {
+        campsites.push(site(`vail${i}`, 39.66, -106.1));
+      }
+
+      const response = await request(app)
+        .post('/api/search/route')
+        .send({ route, width: 10 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.truncated).toBe(true);
+      expect(response.body.pagination.total).toBeLessThanOrEqual(500);
+    });
+
+    it('should widen the corridor', async () => {
+      const response = await request(app)
+        .post('/api/search/route')
+        .send({ route, width: 30 });
+
+      expect(response.body.results.map(campsite => campsite.id)).toEqual(['vail', 'aspen', 'glenwood', 'fruita']);
+    });
+
+    it('should apply the search filters', async () => {
+      const response = await request(app)
+        .post('/api/search/route')
+        .send({ route, width: 10, minRating: 4, hasPhotos: true });
+
+      expect(response.body.results.map(campsite => campsite.id)).toEqual(['glenwood']);
+      expect(response.body.filters.minRating).toBe(4);
+      expect(response.body.filters.hasPhotos).toBe(true);
+    });
+
+    it('should accept an encoded polyline', async () => {
+      // Denver (39.74, -105.0) to Vail (39.64, -106.37)
+      const response = await request(app)
+        .post('/api/search/route')
+        .send({ polyline: '_vpqF~xz_S~oRnqjG' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.route.points).toBe(2);
+      expect(response.body.route.width).toBe(5);
+      expect(response.body.results.map(campsite => campsite.id)).toEqual(['vail']);
+    });
+
+    it('should reject invalid routes and widths', async () => {
+      const missing = await request(app).post('/api/search/route').send({ width: 5 });
+      const point = await request(app).post('/api/search/route').send({ route: { type: 'Point', coordinates: [-105, 40] } });
+      const wide = await request(app).post('/api/search/route').send({ route, width: 500 });
+      const negative = await request(app).post('/api/search/route').send({ route, width: -1 });
+      const badFilter = await request(app).post('/api/search/route').send({ route, siteType: 'hammock' });
+
+      expect(missing.status).toBe(400);
+      expect(point.status).toBe(400);
+      expect(wide.status).toBe(400);
+      expect(negative.status).toBe(400);
+      expect(badFilter.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/search/clusters', () => {
+    let campsites;
+    let aggregateCells;
+
+    const site = (id, latitude, longitude, data = {}) => ({
+      id,
+      title: id,
+      visibility: 'public',
+      location: { latitude, longitude },
+      latitude,
+      longitude,
+      geohash: geohash.geohashForLocation([latitude, longitude]),
+      createdAt: MockTimestamp.fromMillis(Date.now()),
+      ...data
+    });
+
+    const sum = values => values.reduce((total, value) => total + value, 0);
+
+    beforeEach(() => {
+      campsites = [
+        site('denver1', 39.7, -105.0, { averageRating: 4 }),
+        site('denver2', 39.8, -105.1, { averageRating: 2 }),
+        site('denver3', 39.75, -104.9),
+        site('moab1', 38.6, -109.5, { averageRating: 5 })
+      ];
+      aggregateCells = [];
+
+      // Cell queries return matching campsites, and aggregations over them
+      const cellQuery = (filters) => ({
+        where: jest.fn((field, op, value) => cellQuery([...filters, [field, value]])),
+        orderBy: jest.fn(() => {
+          let cell;
+          const inCell = () => campsites.filter(campsite => campsite.geohash.startsWith(cell) &&
+            filters.every(([field, value]) => campsite[field] === value));
+          const chain = {
+            startAt: jest.fn((start) => { cell = start; return chain; }),
+            endAt: jest.fn(() => chain),
+            limit: jest.fn(() => chain),
+            get: jest.fn(() => Promise.resolve({
+              docs: inCell().map(campsite => ({ id: campsite.id, data: () => campsite }))
+            })),
+            aggregate: jest.fn(() => ({
+              get: jest.fn(() => {
+                if (filters.length === 1) {
+                  aggregateCells.push(cell);
+                }
+                const matches = inCell();
+                const ratings = matches.map(c => c.averageRating).filter(r => r !== undefined);
+                return Promise.resolve({
+                  data: () => ({
+                    count: matches.length,
+                    latitude: sum(matches.map(c => c.latitude)),
+                    longitude: sum(matches.map(c => c.longitude)),
+                    ratingSum: sum(ratings),
+                    ratingAverage: ratings.length ? sum(ratings) / ratings.length : null
+                  })
+                });
+              })
+            }))
+          };
+          return chain;
+        })
+      });
+
+      mockFirestore.collection.mockImplementation(() => cellQuery([]));
+    });
+
+    it('should return geohash clusters at low zoom', async () => {
+      const response = await request(app)
+        .get('/api/search/clusters')
+        .query({ bbox: '-111,37,-103,41', zoom: 7 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.precision).toBe(3);
+      expect(response.body.campsites).toEqual([]);
+
+      const denver = response.body.clusters.find(cluster => cluster.count === 3);
+      expect(denver.geohash).toBe(geohash.geohashForLocation([39.7, -105.0], 3));
+      expect(denver.center.latitude).toBeCloseTo(39.75);
+      expect(denver.center.longitude).toBeCloseTo(-105.0);
+      expect(denver.averageRating).toBe(3);
+      expect(response.body.clusters).toHaveLength(2);
+      expect(aggregateCells.length).toBeLessThanOrEqual(128);
+    });
+
+    it('should leave hidden campsites out of clusters', async () => {
+      campsites.push(site('hidden1', 39.71, -105.01, { averageRating: 1, hidden: true }));
+      campsites.push(site('hidden2', 39.72, -105.02, { hidden: true }));
+
+      const response = await request(app)
+        .get('/api/search/clusters')
+        .query({ bbox: '-111,37,-103,41', zoom: 7 });
+
+      const denver = response.body.clusters.find(cluster => cluster.geohash === geohash.geohashForLocation([39.7, -105.0], 3));
+      expect(denver.count).toBe(3);
+      expect(denver.center.latitude).toBeCloseTo(39.75);
+      expect(denver.averageRating).toBe(3);
+    });
+
+    it('should use coarser cells for large boxes', async () => {
+      const response = await request(app)
+        .get('/api/search/clusters')
+        .query({ bbox: '-125,25,-65,50', zoom: 7 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.precision).toBeLessThan(3);
+      expect(aggregateCells.length).toBeLessThanOrEqual(128);
+      expect(response.body.clusters.reduce((sum, cluster) => sum + cluster.count, 0)).toBe(4);
+    });
+
+    it('should return individual campsites at high zoom', async () => {
+      campsites.push(site('hidden1', 39.71, -105.01, { hidden: true }));
+
+      const response = await request(app)
+        .get('/api/search/clusters')
+        .query({ bbox: '-105.2,39.6,-104.8,39.9', zoom: 14 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.clusters).toEqual([]);
+      expect(response.body.campsites.map(campsite => campsite.id).sort()).toEqual(['denver1', 'denver2', 'denver3']);
+      expect(response.body.truncated).toBe(false);
+      expect(aggregateCells).toEqual([]);
+    });
+
+    it('should require a bbox and zoom', async () => {
+      const noBbox = await request(app).get('/api/search/clusters').query({ zoom: 5 });
+      const noZoom = await request(app).get('/api/search/clusters').query({ bbox: '-111,37,-103,41' });
+      const badZoom = await request(app).get('/api/search/clusters').query({ bbox: '-111,37,-103,41', zoom: 2.5 });
+
+      expect(noBbox.status).toBe(400);
+      expect(noZoom.status).toBe(400);
+      expect(badZoom.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/search/campsites/export', () => {
+    it('should export search results as KML', async () => {
+      const response = await request(app)
+        .get('/api/search/campsites/export')
+        .query({ q: 'mountain', format: 'kml' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/vnd.google-earth.kml+xml');
+      expect(response.text).toContain('<name>Mountain Campsite</name>');
+    });
+
+    it('should reject unsupported formats', async () => {
+      const response = await request(app)
+        .get('/api/search/campsites/export')
+        .query({ format: 'csv' });
+
+      expect(response.status).toBe(400);
+    });
+  });
 });
@@ -0,0 +1,165 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  mockFirestore,
+  mockCollection,
+  MockTimestamp,
+  resetAllMocks,
+  mockAuthenticatedUser
+} = require('../helpers/mocks');
+
+describe('Share Links API', () => {
+  let app;
+  let campsiteData;
+  let linkData;
+  let linkRef;
+  const shareLinksRouter = require('../../routes/shareLinks');
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/campsites', shareLinksRouter);
+    resetAllMocks();
+
+    campsiteData = {
+      title: 'Hidden Spot',
+      visibility: 'unlisted',
+      userId: 'owner1'
+    };
+
+    linkData = {
+      campsiteId: 'campsite1',
+      createdBy: 'owner1',
+      expiresAt: MockTimestamp.fromMillis(Date.now() + 60 * 60 * 1000),
+      maxViews: 5,
+      viewCount: 1,
+      revoked: false,
+      createdAt: new MockTimestamp(1700000000, 0)
+    };
+
+    linkRef = {
+      set: jest.fn((data) => {
+        linkData = data;
+        return Promise.resolve();
+      }),
+      get: jest.fn(() => Promise.resolve({ exists: true, id: 'link1', data: () => linkData })),
+      update: jest.fn().mockResolvedValue({})
+    };
+
+    mockFirestore.collection.mockImplementation((name) => {
+      if (name === 'campsites') {
+        return {
+          doc: jest.fn(() => ({
+            get: jest.fn().mockResolvedValue({ exists: true, id: 'campsite1', data: () => campsiteData })
+          }))
+        };
+      }
+      if (name === 'shareLinks') {
+        return {
+          doc: jest.fn(() => linkRef),
+          where: jest.fn(() => ({
+            orderBy: jest.fn(() => ({
+              get: jest.fn().mockResolvedValue({ docs: [{ id: 'link1', data: () => linkData }] })
+            }))
+          }))
+        };
+      }
+      return mockCollection(name);
+    });
+  });
+
+  describe('POST /api/campsites/:id/share-links', () => {
+    it('should create a link and return its token once', async () => {
+      mockAuthenticatedUser('owner1');
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/share-links')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ expiresInHours: 48, maxViews: 10 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.token).toBeDefined();
+      expect(response.body).toEqual(expect.objectContaining({ status: 'active', maxViews: 10, viewCount: 0 }));
+      expect(linkRef.set).toHaveBeenCalledWith(expect.not.objectContaining({ token: expect.anything() }));
+    });
+
+    it('should reject links for public campsites', async () => {
+      mockAuthenticatedUser('owner1');
+      campsiteData.visibility = 'public';
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/share-links')
+        .set('Authorization', 'Bearer valid-token')
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should validate expiry and view limits', async () => {
+      mockAuthenticatedUser('owner1');
+
+      const tooLong = await request(app)
+        .post('/api/campsites/campsite1/share-links')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ expiresInHours: 24 * 365 });
+      const badViews = await request(app)
+        .post('/api/campsites/campsite1/share-links')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ maxViews: 0 });
+
+      expect(tooLong.status).toBe(400);
+      expect(badViews.status).toBe(400);
+    });
+
+    it('should reject non-owners', async () => {
+      mockAuthenticatedUser('someone-else');
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/share-links')
+        .set('Authorization', 'Bearer valid-token')
+        .send({});
+
+      expect(response.status).toBe(403);
+      expect(linkRef.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/campsites/:id/share-links', () => {
+    it('should list links with their status', async () => {
+      mockAuthenticatedUser('owner1');
+
+      const response = await request(app)
+        .get('/api/campsites/campsite1/share-links')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.shareLinks).toEqual([
+        expect.objectContaining({ id: 'link1', status: 'active', viewCount: 1, maxViews: 5 })
+      ]);
+    });
+  });
+
+  describe('DELETE /api/campsites/:id/share-links/:linkId', () => {
+    it('should revoke a link', async () => {
+      mockAuthenticatedUser('owner1');
+
+      const response = await request(app)
+        .delete('/api/campsites/campsite1/share-links/link1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(linkRef.update).toHaveBeenCalledWith(expect.objectContaining({ revoked: true }));
+    });
+
+    it('should not revoke links of another campsite', async () => {
+      mockAuthenticatedUser('owner1');
+      linkData.campsiteId = 'other-campsite';
+
+      const response = await request(app)
+        .delete('/api/campsites/campsite1/share-links/link1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  mockFirestore,
+  mockAuth,
+  mockCollection,
+  resetAllMocks,
+  mockAuthenticatedUser
+} = require('../helpers/mocks');
+
+describe('Sharing API', () => {
+  let app;
+  let campsiteData;
+  let campsiteUpdate;
+  const sharingRouter = require('../../routes/sharing');
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/campsites', sharingRouter);
+    resetAllMocks();
+
+    campsiteData = {
+      title: 'Scouting Spot',
+      visibility: 'private',
+      userId: 'owner1',
+      sharedWith: { viewer1: 'view' },
+      sharedWithIds: ['viewer1']
+    };
+    campsiteUpdate = jest.fn().mockResolvedValue({});
+
+    mockFirestore.collection.mockImplementation((name) => {
+      if (name === 'campsites') {
+        return {
+          doc: jest.fn(() => ({
+            get: jest.fn().mockResolvedValue({
+              exists: true,
+              id: 'campsite1',
+              data: () => campsiteData
+            }),
+            update: campsiteUpdate
+          }))
+        };
+      }
+      return mockCollection(name);
+    });
+  });
+
+  describe('GET /api/campsites/:id/shares', () => {
+    it('should list shares for the owner', async () => {
+      mockAuthenticatedUser('owner1');
+      mockAuth.getUser.mockResolvedValue({ uid: 'viewer1', email: 'viewer@example.com', displayName: 'Viewer' });
+
+      const response = await request(app)
+        .get('/api/campsites/campsite1/shares')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.shares).toEqual([
+        { uid: 'viewer1', role: 'view', email: 'viewer@example.com', displayName: 'Viewer' }
+      ]);
+    });
+
+    it('should reject non-owners', async () => {
+      mockAuthenticatedUser('viewer1');
+
+      const response = await request(app)
+        .get('/api/campsites/campsite1/shares')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/campsites/:id/shares', () => {
+    it('should share a campsite by email', async () => {
+      mockAuthenticatedUser('owner1');
+      mockAuth.getUserByEmail.mockResolvedValue({ uid: 'editor1', email: 'editor@example.com' });
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/shares')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ email: 'editor@example.com', role: 'edit' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.share).toEqual(expect.objectContaining({ uid: 'editor1', role: 'edit' }));
+      expect(campsiteUpdate).toHaveBeenCalledWith(expect.objectContaining({
+        'sharedWith.editor1': 'edit',
+        sharedWithIds: ['editor1']
+      }));
+    });
+
+    it('should change the role of an existing share', async () => {
+      mockAuthenticatedUser('owner1');
+      mockAuth.getUser.mockResolvedValue({ uid: 'viewer1' });
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/shares')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ uid: 'viewer1', role: 'edit' });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should return 404 for unknown users', async () => {
+      mockAuthenticatedUser('owner1');
+      mockAuth.getUserByEmail.mockRejectedValue(Object.assign(new Error('No user'), { code: 'auth/user-not-found' }));
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/shares')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ email: 'nobody@example.com', role: 'view' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should reject invalid roles', async () => {
+      mockAuthenticatedUser('owner1');
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/shares')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ uid: 'viewer1', role: 'admin' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject sharing by non-owners', async () => {
+      mockAuthenticatedUser('viewer1');
+
+      const response = await request(app)
+        .post('/api/campsites/campsite1/shares')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ uid: 'someone', role: 'view' });
+
+      expect(response.status).toBe(403);
+      expect(campsiteUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/campsites/:id/shares/:uid', () => {
+    it('should let the owner revoke a share', async () => {
+      mockAuthenticatedUser('owner1');
+
+      const response = await request(app)
+        .delete('/api/campsites/campsite1/shares/viewer1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(campsiteUpdate).toHaveBeenCalledWith(expect.objectContaining({
+        sharedWithIds: { arrayRemove: 'viewer1' }
+      }));
+    });
+
+    it('should let a user leave a campsite shared with them', async () => {
+      mockAuthenticatedUser('viewer1');
+
+      const response = await request(app)
+        .delete('/api/campsites/campsite1/shares/viewer1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should not let users revoke other users\' shares', async () => {
+      mockAuthenticatedUser('stranger');
+
+      const response = await request(app)
+        .delete('/api/campsites/campsite1/shares/viewer1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
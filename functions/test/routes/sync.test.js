@@ -0,0 +1,262 @@
+const request = require('supertest');
+const express = require('express');
+const geohash = require('geofire-common');
+const {
+  MockTimestamp,
+  mockFirestore,
+  mockCollection,
+  resetAllMocks,
+  mockAuthenticatedUser
+} = require('../helpers/mocks');
+
+describe('Sync API', () => {
+  let app;
+  let stores;
+  const syncRouter = require('../../routes/sync');
+
+  const MINUTE = 60 * 1000;
+  const BBOX = '-106,39,-104,41';
+
+  const at = minutesAgo => MockTimestamp.fromMillis(Date.now() - minutesAgo * MINUTE);
+
+  const campsite = (latitude, longitude, overrides = {}) => ({
+    title: 'Campsite',
+    visibility: 'public',
+    userId: 'owner1',
+    location: { latitude, longitude },
+    geohash: geohash.geohashForLocation([latitude, longitude]),
+    updatedAt: at(30),
+    ...overrides
+  });
+
+  const timeOf = value => (value && value.toMillis ? value.toMillis() : value);
+
+  // In-memory Firestore query supporting the filters, orderings and cursors
+  // the sync endpoint uses
+  const queryOver = (store, state = { filters: [], orders: [] }) => {
+    const next = changes => queryOver(store, { ...state, ...changes });
+    return {
+      where: jest.fn((field, op, value) => next({ filters: [...state.filters, { field, op, value }] })),
+      orderBy: jest.fn(field => next({ orders: [...state.orders, field] })),
+      startAt: jest.fn(value => next({ startAt: value })),
+      endAt: jest.fn(value => next({ endAt: value })),
+      startAfter: jest.fn((value, id) => next({ startAfter: { value, id } })),
+      limit: jest.fn(limit => next({ limit })),
+      get: jest.fn(() => {
+        const [field] = state.orders;
+        let entries = Object.entries(store)
+          .filter(([, data]) => state.filters.every(({ field: f, op, value }) => {
+            if (op === 'in') return value.includes(data[f]);
+            if (op === 'array-contains') return (data[f] || []).includes(value);
+            return data[f] === value;
+          }));
+
+        if (field === 'geohash') {
+          entries = entries.filter(([, data]) => data.geohash >= state.startAt && data.geohash <= state.endAt);
+        } else if (field) {
+          entries = entries
+            .filter(([, data]) => data[field])
+            .sort(([aId, a], [bId, b]) => (timeOf(a[field]) - timeOf(b[field])) || aId.localeCompare(bId));
+          if (state.startAfter) {
+            const after = timeOf(state.startAfter.value);
+            entries = entries.filter(([id, data]) =>
+              timeOf(data[field]) > after || (timeOf(data[field]) === after && id > state.startAfter.id));
+          }
+        }
+
+        if (state.limit) {
+          entries = entries.slice(0, state.limit);
+        }
+
+        const docs = entries.map(([id, data]) => ({ id, exists: true, data: () => data }));
+        return Promise.resolve({ docs, size: docs.length, empty: docs.length === 0 });
+      })
+    };
+  };
+
+  const sync = (query) => request(app).get('/api/sync').query({ bbox: BBOX, ...query });
+
+  // A token whose positions are all minutesAgo in the past
+  const tokenFrom = (minutesAgo) => {
+    const { seconds, nanoseconds } = at(minutesAgo);
+    const position = [seconds, nanoseconds, ''];
+    return Buffer.from(JSON.stringify({
+      campsites: position,
+      reviews: position,
+      tombstones: position
+    })).toString('base64url');
+  };
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/sync', syncRouter);
+    resetAllMocks();
+
+    stores = {
+      campsites: {
+        inside1: campsite(40, -105, { photos: [{ id: 'photo1', url: 'https://example.com/p1.jpg' }] }),
+        outside1: campsite(45, -110),
+        private1: campsite(40.5, -105.5, { visibility: 'private' }),
+        shared1: campsite(40.2, -105.2, { visibility: 'private', sharedWithIds: ['user456'], sharedWith: { user456: 'view' } }),
+        stale1: campsite(39.5, -104.5, { updatedAt: at(600) })
+      },
+      reviews: {
+        review1: { campsiteId: 'inside1', userId: 'user789', rating: 5, comment: 'Great', hidden: false, updatedAt: at(20) },
+        review2: { campsiteId: 'inside1', userId: 'user790', rating: 1, comment: 'Spam', hidden: true, updatedAt: at(15) },
+        review3: { campsiteId: 'outside1', userId: 'user789', rating: 4, hidden: false, updatedAt: at(20) },
+        review4: { campsiteId: 'stale1', userId: null, rating: 3, comment: null, hidden: false, updatedAt: at(10) }
+      },
+      tombstones: {
+        campsite_gone1: { type: 'campsite', id: 'gone1', campsiteId: 'gone1', latitude: 40.1, longitude: -105.1, deletedAt: at(5) },
+        campsite_gone2: { type: 'campsite', id: 'gone2', campsiteId: 'gone2', latitude: 45, longitude: -110, deletedAt: at(5) },
+        review_review9: { type: 'review', id: 'review9', campsiteId: 'inside1', latitude: 40, longitude: -105, deletedAt: at(5) },
+        photo_photo2: { type: 'photo', id: 'photo2', campsiteId: 'inside1', latitude: 40, longitude: -105, deletedAt: at(5) },
+        photo_old: { type: 'photo', id: 'old', campsiteId: 'inside1', latitude: 40, longitude: -105, deletedAt: at(600) }
+      }
+    };
+
+    mockFirestore.collection.mockImplementation((name) => {
+      const store = stores[name];
+      if (!store) {
+        return mockCollection(name);
+      }
+
+      const query = queryOver(store);
+      return {
+        ...query,
+        doc: jest.fn((id) => ({
+          id,
+          get: jest.fn(() => Promise.resolve({
+            id,
+            exists: Boolean(store[id]),
+            data: () => store[id]
+          }))
+        }))
+      };
+    });
+  });
+
+  it('should require a valid bounding box', async () => {
+    const missing = await request(app).get('/api/sync');
+    const inverted = await sync({ bbox: '-104,39,-106,41' });
+
+    expect(missing.status).toBe(400);
+    expect(inverted.status).toBe(400);
+  });
+
+  describe('full sync', () => {
+    it('should return public campsites in the region with their reviews and photos', async () => {
+      const response = await sync();
+
+      expect(response.status).toBe(200);
+      expect(response.body.campsites.updated.map(c => c.id).sort()).toEqual(['inside1', 'stale1']);
+      expect(response.body.campsites.updated[0].photos).toBeUndefined();
+      expect(response.body.photos.updated).toEqual([
+        { id: 'photo1', url: 'https://example.com/p1.jpg', campsiteId: 'inside1' }
+      ]);
+      expect(response.body.reviews.updated.map(r => r.id).sort()).toEqual(['review1', 'review4']);
+      expect(response.body.reviews.updated[0].userId).toBeUndefined();
+      expect(response.body.campsites.deleted).toEqual([]);
+      expect(response.body.hasMore).toBe(false);
+      expect(response.body.syncToken).toEqual(expect.any(String));
+    });
+
+    it('should reject regions with too many campsites to sync at once', async () => {
+      for (let i = 0; i < 501; i++) {
+        stores.campsites[`bulk${String(i).padStart(3, '0')}`] = campsite(40, -105);
+      }
+
+      const response = await sync();
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/smaller bbox/);
+    });
+
+    it('should include the user\'s own private campsites in the region', async () => {
+      mockAuthenticatedUser('owner1');
+
+      const response = await sync().set('Authorization', 'Bearer valid-token');
+
+      expect(response.body.campsites.updated.map(c => c.id).sort()).toEqual(['inside1', 'private1', 'shared1', 'stale1']);
+    });
+
+    it('should only include hidden campsites for their owner', async () => {
+      stores.campsites.inside1.hidden = true;
+
+      const anonymous = await sync();
+      mockAuthenticatedUser('owner1');
+      const owner = await sync().set('Authorization', 'Bearer valid-token');
+
+      expect(anonymous.body.campsites.updated.map(c => c.id)).toEqual(['stale1']);
+      expect(anonymous.body.reviews.updated.map(r => r.id)).toEqual(['review4']);
+      expect(owner.body.campsites.updated.map(c => c.id)).toContain('inside1');
+    });
+
+    it('should include campsites shared with the user', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await sync().set('Authorization', 'Bearer valid-token');
+
+      expect(response.body.campsites.updated.map(c => c.id).sort()).toEqual(['inside1', 'shared1', 'stale1']);
+    });
+  });
+
+  describe('delta sync', () => {
+    it('should return changes and tombstones in the region since the token', async () => {
+      const response = await sync({ token: tokenFrom(60) });
+
+      expect(response.status).toBe(200);
+      expect(response.body.campsites.updated.map(c => c.id)).toEqual(['inside1']);
+      expect(response.body.campsites.deleted.sort()).toEqual(['gone1', 'private1', 'shared1']);
+      expect(response.body.reviews.updated.map(r => r.id)).toEqual(['review1', 'review4']);
+      expect(response.body.reviews.deleted.sort()).toEqual(['review2', 'review9']);
+      expect(response.body.photos.deleted).toEqual([{ id: 'photo2', campsiteId: 'inside1' }]);
+    });
+
+    it('should report campsites that moved out of the region as deleted', async () => {
+      stores.campsites.outside1.previousLocations = [{ latitude: 40, longitude: -105 }];
+
+      const response = await sync({ token: tokenFrom(60) });
+
+      expect(response.body.campsites.deleted).toContain('outside1');
+    });
+
+    it('should report campsites that were hidden as deleted', async () => {
+      stores.campsites.inside1.hidden = true;
+
+      const response = await sync({ token: tokenFrom(60) });
+
+      expect(response.body.campsites.updated).toEqual([]);
+      expect(response.body.campsites.deleted).toContain('inside1');
+      expect(response.body.reviews.updated.map(r => r.id)).toEqual(['review4']);
+    });
+
+    it('should page through changes with hasMore', async () => {
+      // Only the limit matters here, so fill the campsites collection past it
+      for (let i = 0; i < 500; i++) {
+        stores.campsites[`bulk${String(i).padStart(3, '0')}`] = campsite(40, -105, { updatedAt: at(50) });
+      }
+
+      const first = await sync({ token: tokenFrom(60) });
+      expect(first.body.hasMore).toBe(true);
+      expect(first.body.campsites.updated).toHaveLength(500);
+
+      const second = await sync({ token: first.body.syncToken });
+      expect(second.body.hasMore).toBe(false);
+      expect(second.body.campsites.updated.map(c => c.id)).toEqual(['inside1']);
+    });
+
+    it('should reject malformed tokens', async () => {
+      const response = await sync({ token: 'not-a-token' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should ask for a full sync when the token is older than the tombstones', async () => {
+      const response = await sync({ token: tokenFrom(91 * 24 * 60) });
+
+      expect(response.status).toBe(410);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const request = require('supertest');
+const express = require('express');
+const geohash = require('geofire-common');
+const { VectorTile } = require('@mapbox/vector-tile');
+const Pbf = require('pbf');
+const { mockFirestore, resetAllMocks } = require('../helpers/mocks');
+
+describe('Tiles API', () => {
+  let app;
+  let campsites;
+  const tilesRouter = require('../../routes/tiles');
+
+  const site = (id, latitude, longitude, data = {}) => ({
+    id,
+    title: id,
+    visibility: 'public',
+    location: { latitude, longitude },
+    geohash: geohash.geohashForLocation([latitude, longitude]),
+    ...data
+  });
+
+  // Collect the binary response body
+  const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  const getTile = (path) => request(app).get(`/api/tiles/campsites/${path}`).buffer(true).parse(binary);
+
+  beforeEach(() => {
+    app = express();
+    app.use('/api/tiles', tilesRouter);
+    resetAllMocks();
+
+    campsites = [
+      site('denver1', 39.7, -105.0, { averageRating: 4.5, hasPhotos: true, attributes: { access: '2wd' } }),
+      site('hidden1', 39.71, -105.01, { hidden: true }),
+      site('moab1', 38.6, -109.5)
+    ];
+
+    // Each cell query returns the campsites whose geohash starts with the cell
+    mockFirestore.collection.mockImplementation(() => ({
+      where: jest.fn(() => ({
+        orderBy: jest.fn(() => {
+          let cell;
+          let limit = Infinity;
+          const chain = {
+            startAt: jest.fn((start) => { cell = start; return chain; }),
+            endAt: jest.fn(() => chain),
+            limit: jest.fn((n) => { limit = n; return chain; }),
+            get: jest.fn(() => Promise.resolve({
+              docs: campsites
+                .filter(campsite => campsite.geohash.startsWith(cell))
+                .slice(0, limit)
+                .map(campsite => ({ id: campsite.id, data: () => campsite }))
+            }))
+          };
+          return chain;
+        })
+      }))
+    }));
+  });
+
+  it('should encode the public campsites in the tile', async () => {
+    // Tile 8/53/97 covers Denver but not Moab
+    const response = await getTile('8/53/97.mvt');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/vnd.mapbox-vector-tile');
+    expect(response.headers['cache-control']).toBe('public, max-age=300, s-maxage=3600');
+    expect(response.headers['x-tile-truncated']).toBe('false');
+
+    const layer = new VectorTile(new Pbf(response.body)).layers.campsites;
+    expect(layer.length).toBe(1);
+    expect(layer.feature(0).properties).toEqual(expect.objectContaining({
+      id: 'denver1',
+      rating: 4.5,
+      hasPhotos: true,
+      access: '2wd'
+    }));
+  });
+
+  it('should return an empty layer for tiles without campsites', async () => {
+    const response = await getTile('8/0/0.mvt');
+
+    expect(response.status).toBe(200);
+    const tile = new VectorTile(new Pbf(response.body));
+    expect(tile.layers.campsites ? tile.layers.campsites.length : 0).toBe(0);
+  });
+
+  it('should flag truncated tiles', async () => {
+    for (let i = 0; i < 1000; i++) {
+      campsites.push(site(`bulk${i}`, 39.7 + i / 100000, -105.0));
+    }
+
+    const response = await getTile('8/53/97.mvt');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['x-tile-truncated']).toBe('true');
+  });
+
+  it('should reject tiles off the grid', async () => {
+    const outside = await request(app).get('/api/tiles/campsites/2/4/0.mvt');
+    const malformed = await request(app).get('/api/tiles/campsites/two/1/1.mvt');
+
+    expect(outside.status).toBe(400);
+    expect(malformed.status).toBe(400);
+  });
+});
@@ -0,0 +1,284 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  MockTimestamp,
+  mockAuth,
+  mockFirestore,
+  mockCollection,
+  resetAllMocks,
+  mockStoreCollection,
+  mockTransaction,
+  mockAuthenticatedUser
+} = require('../helpers/mocks');
+
+describe('Campsite Transfers API', () => {
+  let app;
+  let campsites;
+  let transfers;
+  let transaction;
+  const transfersRouter = require('../../routes/transfers');
+
+  const DAY = 24 * 60 * 60 * 1000;
+
+  const transfer = (overrides = {}) => ({
+    campsiteId: 'campsite1',
+    fromUserId: 'owner1',
+    toUserId: 'user456',
+    toEmail: 'new@example.com',
+    keepAccess: null,
+    status: 'pending',
+    createdAt: MockTimestamp.fromMillis(Date.now() - DAY),
+    expiresAt: MockTimestamp.fromMillis(Date.now() + DAY),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/transfers', transfersRouter);
+    resetAllMocks();
+
+    campsites = {
+      campsite1: {
+        title: 'Scouted Site',
+        visibility: 'private',
+        userId: 'owner1',
+        sharedWith: { user456: 'edit', user789: 'view' },
+        sharedWithIds: ['user456', 'user789']
+      }
+    };
+    transfers = {
+      transfer1: transfer(),
+      expired1: transfer({ expiresAt: MockTimestamp.fromMillis(Date.now() - DAY) })
+    };
+
+    transaction = mockTransaction();
+
+    mockFirestore.collection.mockImplementation((name) => {
+      if (name === 'campsites') {
+        return mockStoreCollection(campsites);
+      }
+      if (name === 'campsiteTransfers') {
+        return mockStoreCollection(transfers, 'newTransfer');
+      }
+      return mockCollection(name);
+    });
+  });
+
+  describe('POST /api/transfers', () => {
+    it('should invite a user by email and replace pending invites', async () => {
+      mockAuthenticatedUser('owner1');
+      mockAuth.getUserByEmail.mockResolvedValue({ uid: 'user789', email: 'other@example.com' });
+
+      const response = await request(app)
+        .post('/api/transfers')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ campsiteId: 'campsite1', email: 'other@example.com', keepAccess: 'edit' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.transfer).toEqual(expect.objectContaining({
+        id: 'newTransfer',
+        toUserId: 'user789',
+        keepAccess: 'edit',
+        status: 'pending'
+      }));
+
+      const batch = mockFirestore.batch.mock.results[0].value;
+      expect(batch.update).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'transfer1' }),
+        expect.objectContaining({ status: 'cancelled' })
+      );
+      expect(batch.set).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'newTransfer' }),
+        expect.objectContaining({ campsiteId: 'campsite1', fromUserId: 'owner1', toUserId: 'user789' })
+      );
+    });
+
+    it('should only let the owner transfer a campsite', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .post('/api/transfers')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ campsiteId: 'campsite1', uid: 'user789' });
+
+      expect(response.status).toBe(403);
+      expect(mockFirestore.batch).not.toHaveBeenCalled();
+    });
+
+    it('should reject transfers to the owner', async () => {
+      mockAuthenticatedUser('owner1');
+      mockAuth.getUser.mockResolvedValue({ uid: 'owner1' });
+
+      const response = await request(app)
+        .post('/api/transfers')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ campsiteId: 'campsite1', uid: 'owner1' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for unknown users', async () => {
+      mockAuthenticatedUser('owner1');
+      mockAuth.getUserByEmail.mockRejectedValue({ code: 'auth/user-not-found' });
+
+      const response = await request(app)
+        .post('/api/transfers')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ campsiteId: 'campsite1', email: 'nobody@example.com' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should validate keepAccess', async () => {
+      mockAuthenticatedUser('owner1');
+
+      const response = await request(app)
+        .post('/api/transfers')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ campsiteId: 'campsite1', uid: 'user789', keepAccess: 'owner' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/transfers', () => {
+    it('should list unexpired pending invites', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .get('/api/transfers')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.incoming).toEqual([
+        expect.objectContaining({ id: 'transfer1', campsiteTitle: 'Scouted Site' })
+      ]);
+      expect(response.body.outgoing).toEqual([]);
+    });
+  });
+
+  describe('POST /api/transfers/:id/accept', () => {
+    it('should make the invited user the owner', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .post('/api/transfers/transfer1/accept')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(transaction.update).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'campsite1' }),
+        expect.objectContaining({
+          userId: 'user456',
+          sharedWith: { user789: 'view' },
+          sharedWithIds: ['user789']
+        })
+      );
+      expect(transaction.update).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'transfer1' }),
+        expect.objectContaining({ status: 'accepted' })
+      );
+    });
+
+    it('should share the campsite back with the previous owner when asked', async () => {
+      mockAuthenticatedUser('user456');
+      transfers.transfer1.keepAccess = 'view';
+
+      await request(app)
+        .post('/api/transfers/transfer1/accept')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(transaction.update).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'campsite1' }),
+        expect.objectContaining({
+          sharedWith: { user789: 'view', owner1: 'view' },
+          sharedWithIds: ['user789', 'owner1']
+        })
+      );
+    });
+
+    it('should reject expired invites', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .post('/api/transfers/expired1/accept')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(410);
+      expect(transaction.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject invites if the campsite changed owners', async () => {
+      mockAuthenticatedUser('user456');
+      campsites.campsite1.userId = 'someoneElse';
+
+      const response = await request(app)
+        .post('/api/transfers/transfer1/accept')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(409);
+      expect(transaction.update).not.toHaveBeenCalled();
+    });
+
+    it('should hide invites addressed to other users', async () => {
+      mockAuthenticatedUser('user789');
+
+      const response = await request(app)
+        .post('/api/transfers/transfer1/accept')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/transfers/:id/decline', () => {
+    it('should decline an invite', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .post('/api/transfers/transfer1/decline')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(transaction.update).toHaveBeenCalledTimes(1);
+      expect(transaction.update).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'transfer1' }),
+        expect.objectContaining({ status: 'declined' })
+      );
+    });
+
+    it('should not answer an invite twice', async () => {
+      mockAuthenticatedUser('user456');
+      transfers.transfer1.status = 'declined';
+
+      const response = await request(app)
+        .post('/api/transfers/transfer1/decline')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('DELETE /api/transfers/:id', () => {
+    it('should let the sender cancel an invite', async () => {
+      mockAuthenticatedUser('owner1');
+
+      const response = await request(app)
+        .delete('/api/transfers/transfer1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should not let the recipient cancel an invite', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .delete('/api/transfers/transfer1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
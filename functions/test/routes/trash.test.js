@@ -0,0 +1,172 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  MockTimestamp,
+  mockFirestore,
+  mockStorage,
+  mockCollection,
+  resetAllMocks,
+  mockAuthenticatedUser,
+  mockDocumentRef
+} = require('../helpers/mocks');
+
+describe('Trash API', () => {
+  let app;
+  let trashDocRef;
+  let campsiteDocRef;
+  let transaction;
+  const trashRouter = require('../../routes/trash');
+
+  const trashedCampsite = {
+    title: 'Trashed Campsite',
+    userId: 'user123',
+    visibility: 'public',
+    trashedAt: new MockTimestamp(1700000000, 0),
+    purgeAfter: new MockTimestamp(1702592000, 0)
+  };
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/campsites/trash', trashRouter);
+    resetAllMocks();
+
+    trashDocRef = mockDocumentRef(trashedCampsite, 'campsite1');
+    campsiteDocRef = mockDocumentRef(null, 'campsite1');
+
+    mockFirestore.collection.mockImplementation((name) => {
+      if (name === 'trashedCampsites') {
+        return {
+          doc: jest.fn(() => trashDocRef),
+          where: jest.fn(() => ({
+            orderBy: jest.fn(() => ({
+              get: jest.fn().mockResolvedValue({
+                docs: [{ id: 'campsite1', data: () => trashedCampsite }]
+              })
+            }))
+          }))
+        };
+      }
+      if (name === 'campsites') {
+        return { doc: jest.fn(() => campsiteDocRef) };
+      }
+      return mockCollection(name);
+    });
+
+    mockFirestore.runTransaction.mockImplementation((callback) => {
+      transaction = {
+        get: jest.fn((ref) => ref.get()),
+        set: jest.fn(),
+        delete: jest.fn()
+      };
+      return callback(transaction);
+    });
+  });
+
+  describe('GET /api/campsites/trash', () => {
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .get('/api/campsites/trash');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list the user\'s trashed campsites', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .get('/api/campsites/trash')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.campsites).toHaveLength(1);
+      expect(response.body.campsites[0].id).toBe('campsite1');
+      expect(response.body.campsites[0].purgeAfter).toBe(new Date(1702592000 * 1000).toISOString());
+    });
+  });
+
+  describe('POST /api/campsites/trash/:id/restore', () => {
+    it('should restore a campsite for its owner', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .post('/api/campsites/trash/campsite1/restore')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(transaction.set).toHaveBeenCalledWith(campsiteDocRef, expect.objectContaining({ title: 'Trashed Campsite' }));
+      expect(transaction.set.mock.calls[0][1].purgeAfter).toBeUndefined();
+      expect(transaction.set.mock.calls[0][1].trashedAt).toBeUndefined();
+      expect(transaction.delete).toHaveBeenCalledWith(trashDocRef);
+      // The campsite is no longer deleted for sync clients
+      expect(transaction.delete).toHaveBeenCalledTimes(2);
+      expect(mockFirestore.collection).toHaveBeenCalledWith('tombstones');
+    });
+
+    it('should reject restore by non-owner', async () => {
+      mockAuthenticatedUser('different-user');
+
+      const response = await request(app)
+        .post('/api/campsites/trash/campsite1/restore')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+      expect(transaction.set).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when campsite is not in trash', async () => {
+      mockAuthenticatedUser('user123');
+      trashDocRef = mockDocumentRef(null, 'missing');
+
+      const response = await request(app)
+        .post('/api/campsites/trash/missing/restore')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/campsites/trash/:id', () => {
+    it('should purge a campsite and report what was removed', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .delete('/api/campsites/trash/campsite1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.removed).toEqual({ reviews: 0, ratingLimits: 0, shareLinks: 0, favorites: 0, conditionReports: 0, campsiteReports: 0, revisions: 0, transfers: 0, notifications: 0, files: 0 });
+      expect(trashDocRef.delete).toHaveBeenCalled();
+    });
+
+    it('should keep the trash entry when photo files cannot be removed', async () => {
+      mockAuthenticatedUser('user123');
+
+      const brokenFile = {
+        name: 'campsites/campsite1/photos/a.jpg',
+        delete: jest.fn().mockRejectedValue(new Error('Forbidden'))
+      };
+      mockStorage.bucket.mockReturnValueOnce({
+        getFiles: jest.fn().mockResolvedValue([[brokenFile]])
+      });
+
+      const response = await request(app)
+        .delete('/api/campsites/trash/campsite1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(500);
+      expect(response.body.failedFiles).toEqual(['campsites/campsite1/photos/a.jpg']);
+      expect(trashDocRef.delete).not.toHaveBeenCalled();
+    });
+
+    it('should reject purge by non-owner', async () => {
+      mockAuthenticatedUser('different-user');
+
+      const response = await request(app)
+        .delete('/api/campsites/trash/campsite1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
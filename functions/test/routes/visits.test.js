@@ -0,0 +1,212 @@
+const request = require('supertest');
+const express = require('express');
+const {
+  mockFirestore,
+  mockCollection,
+  resetAllMocks,
+  mockStoreCollection,
+  mockTransaction,
+  mockAuthenticatedUser
+} = require('../helpers/mocks');
+
+describe('Visits API', () => {
+  let app;
+  let campsites;
+  let visits;
+  let transaction;
+  const visitsRouter = require('../../routes/visits');
+
+  const validVisit = {
+    campsiteId: 'campsite1',
+    arrivalDate: '2024-06-28',
+    departureDate: '2024-07-02',
+    partySize: 3,
+    vehicle: 'Tacoma with rooftop tent',
+    notes: 'Best spot is the far loop'
+  };
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/visits', visitsRouter);
+    resetAllMocks();
+
+    campsites = {
+      campsite1: { title: 'Public Site', visibility: 'public', userId: 'owner1' },
+      private1: { title: 'Private Site', visibility: 'private', userId: 'owner1' }
+    };
+    visits = {
+      visit1: { userId: 'user123', campsiteId: 'campsite1', arrivalDate: '2024-05-10', departureDate: '2024-05-12', notes: 'Windy' }
+    };
+
+    transaction = mockTransaction();
+
+    mockFirestore.collection.mockImplementation((name) => {
+      if (name === 'campsites') {
+        return mockStoreCollection(campsites);
+      }
+      if (name === 'visits') {
+        return mockStoreCollection(visits, 'newVisit');
+      }
+      return mockCollection(name);
+    });
+  });
+
+  describe('GET /api/visits', () => {
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .get('/api/visits');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should list the user\'s visits with campsite titles', async () => {
+      mockAuthenticatedUser('user123');
+      visits.visit2 = { userId: 'user123', campsiteId: 'gone1', arrivalDate: '2023-08-01', departureDate: '2023-08-03' };
+
+      const response = await request(app)
+        .get('/api/visits')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.visits).toEqual([
+        expect.objectContaining({ id: 'visit1', campsiteTitle: 'Public Site', notes: 'Windy' }),
+        expect.objectContaining({ id: 'visit2', campsiteTitle: null })
+      ]);
+      expect(response.body.pagination.total).toBe(2);
+    });
+  });
+
+  describe('POST /api/visits', () => {
+    it('should record a visit and count each month of the stay', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .post('/api/visits')
+        .set('Authorization', 'Bearer valid-token')
+        .send(validVisit);
+
+      expect(response.status).toBe(201);
+      expect(response.body.visitId).toBe('newVisit');
+      expect(transaction.set).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'newVisit' }),
+        expect.objectContaining({ userId: 'user456', campsiteId: 'campsite1', partySize: 3 })
+      );
+      expect(transaction.update).toHaveBeenCalledWith(expect.anything(), {
+        visitCount: { increment: 1 },
+        'visitsByMonth.06': { increment: 1 },
+        'visitsByMonth.07': { increment: 1 }
+      });
+    });
+
+    it('should count stays across the new year', async () => {
+      mockAuthenticatedUser('user456');
+
+      await request(app)
+        .post('/api/visits')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ campsiteId: 'campsite1', arrivalDate: '2023-12-30', departureDate: '2024-01-02' });
+
+      expect(transaction.update).toHaveBeenCalledWith(expect.anything(), {
+        visitCount: { increment: 1 },
+        'visitsByMonth.12': { increment: 1 },
+        'visitsByMonth.01': { increment: 1 }
+      });
+    });
+
+    it('should reject departure before arrival', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .post('/api/visits')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ ...validVisit, departureDate: '2024-06-01' });
+
+      expect(response.status).toBe(400);
+      expect(mockFirestore.runTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should reject future arrival dates', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .post('/api/visits')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ ...validVisit, arrivalDate: '2999-01-01', departureDate: '2999-01-02' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject invalid party sizes', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .post('/api/visits')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ ...validVisit, partySize: 0 });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject campsites the user cannot view', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .post('/api/visits')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ ...validVisit, campsiteId: 'private1' });
+
+      expect(response.status).toBe(403);
+      expect(transaction.set).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for non-existent campsites', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .post('/api/visits')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ ...validVisit, campsiteId: 'missing' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/visits/:visitId', () => {
+    it('should delete a visit and remove it from the counts', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .delete('/api/visits/visit1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(transaction.delete).toHaveBeenCalled();
+      expect(transaction.update).toHaveBeenCalledWith(expect.anything(), {
+        visitCount: { increment: -1 },
+        'visitsByMonth.05': { increment: -1 }
+      });
+    });
+
+    it('should not let other users delete a visit', async () => {
+      mockAuthenticatedUser('user456');
+
+      const response = await request(app)
+        .delete('/api/visits/visit1')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(403);
+      expect(transaction.delete).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for non-existent visits', async () => {
+      mockAuthenticatedUser('user123');
+
+      const response = await request(app)
+        .delete('/api/visits/missing')
+        .set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const { roleOf, isOwner, canView, canEdit, isListedFor } = require('../../utils/campsiteAccess');
+
+describe('Campsite Access', () => {
+  const campsite = {
+    userId: 'owner1',
+    visibility: 'private',
+    sharedWith: { viewer1: 'view', editor1: 'edit' }
+  };
+
+  it('should resolve roles from ownership and grants', () => {
+    expect(roleOf(campsite, { uid: 'owner1' })).toBe('owner');
+    expect(roleOf(campsite, { uid: 'editor1' })).toBe('edit');
+    expect(roleOf(campsite, { uid: 'viewer1' })).toBe('view');
+    expect(roleOf(campsite, { uid: 'stranger' })).toBeNull();
+    expect(roleOf(campsite, null)).toBeNull();
+  });
+
+  it('should only treat the current owner as owner', () => {
+    expect(isOwner(campsite, { uid: 'owner1' })).toBe(true);
+    expect(isOwner(campsite, { uid: 'editor1' })).toBe(false);
+    expect(isOwner({ ...campsite, userId: 'editor1' }, { uid: 'owner1' })).toBe(false);
+    expect(isOwner(campsite, null)).toBe(false);
+  });
+
+  it('should let anyone view public campsites', () => {
+    expect(canView({ ...campsite, visibility: 'public' }, null)).toBe(true);
+  });
+
+  it('should not let others view unlisted campsites without a share link', () => {
+    expect(canView({ ...campsite, visibility: 'unlisted' }, null)).toBe(false);
+    expect(canView({ ...campsite, visibility: 'unlisted' }, { uid: 'viewer1' })).toBe(true);
+  });
+
+  it('should only let the owner and shared users view private campsites', () => {
+    expect(canView(campsite, { uid: 'viewer1' })).toBe(true);
+    expect(canView(campsite, { uid: 'stranger' })).toBe(false);
+    expect(canView(campsite, null)).toBe(false);
+  });
+
+  it('should only let the owner and editors edit', () => {
+    expect(canEdit(campsite, { uid: 'owner1' })).toBe(true);
+    expect(canEdit(campsite, { uid: 'editor1' })).toBe(true);
+    expect(canEdit(campsite, { uid: 'viewer1' })).toBe(false);
+    expect(canEdit({ ...campsite, visibility: 'public' }, null)).toBe(false);
+  });
+
+  it('should only list hidden campsites for their owner', () => {
+    const hidden = { ...campsite, visibility: 'public', hidden: true };
+
+    expect(isListedFor(hidden, { uid: 'owner1' })).toBe(true);
+    expect(isListedFor(hidden, { uid: 'editor1' })).toBe(false);
+    expect(isListedFor(hidden, null)).toBe(false);
+    expect(isListedFor({ ...hidden, hidden: false }, null)).toBe(true);
+  });
+});
@@ -0,0 +1,108 @@
+const {
+  mockFirestore,
+  mockStorage,
+  mockCollection,
+  resetAllMocks
+} = require('../helpers/mocks');
+const { deleteCampsiteData, purgeExpiredTrash } = require('../../utils/campsiteCleanup');
+
+describe('Campsite Cleanup', () => {
+  const mockFile = (name, deleteImpl) => ({
+    name,
+    delete: jest.fn(deleteImpl || (() => Promise.resolve()))
+  });
+
+  const mockQueryWithDocs = (docs) => ({
+    where: jest.fn(function() { return this; }),
+    limit: jest.fn(function() { return this; }),
+    get: jest.fn()
+      .mockResolvedValueOnce({ empty: docs.length === 0, docs })
+      .mockResolvedValue({ empty: true, docs: [] })
+  });
+
+  beforeEach(() => {
+    resetAllMocks();
+  });
+
+  it('should delete reviews, rating limits, share links, favorites and photo files', async () => {
+    const reviews = mockQueryWithDocs([{ ref: 'review1' }, { ref: 'review2' }]);
+    const ratingLimits = mockQueryWithDocs([{ ref: 'limit1' }]);
+    mockFirestore.collection.mockImplementation((name) => {
+      if (name === 'reviews') return { where: jest.fn(() => reviews) };
+      if (name === 'ratingLimits') return { where: jest.fn(() => ratingLimits) };
+      return mockCollection(name);
+    });
+
+    const files = [mockFile('campsites/c1/photos/a.jpg'), mockFile('campsites/c1/thumbnails/a_thumb.jpg')];
+    const getFiles = jest.fn().mockResolvedValue([files]);
+    mockStorage.bucket.mockReturnValue({ getFiles });
+
+    const report = await deleteCampsiteData('c1');
+
+    expect(getFiles).toHaveBeenCalledWith({ prefix: 'campsites/c1/' });
+    expect(report).toEqual({ reviews: 2, ratingLimits: 1, shareLinks: 0, favorites: 0, conditionReports: 0, campsiteReports: 0, revisions: 0, transfers: 0, notifications: 0, files: 2, failedFiles: [] });
+    expect(mockFirestore.batch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should delete revisions, transfers and notifications but keep visits', async () => {
+    const queried = [];
+    mockFirestore.collection.mockImplementation((name) => {
+      queried.push(name);
+      return name === 'campsiteRevisions'
+        ? { where: jest.fn(() => mockQueryWithDocs([{ ref: 'revision1' }])) }
+        : mockCollection(name);
+    });
+
+    const report = await deleteCampsiteData('c1');
+
+    expect(report.revisions).toBe(1);
+    expect(queried).toEqual(expect.arrayContaining(['campsiteRevisions', 'campsiteTransfers', 'notifications']));
+    expect(queried).not.toContain('visits');
+  });
+
+  it('should retry storage deletes that fail', async () => {
+    const flaky = mockFile('campsites/c1/photos/a.jpg', jest.fn()
+      .mockRejectedValueOnce(new Error('Service unavailable'))
+      .mockResolvedValue()
+    );
+    mockStorage.bucket.mockReturnValue({ getFiles: jest.fn().mockResolvedValue([[flaky]]) });
+
+    const report = await deleteCampsiteData('c1');
+
+    expect(flaky.delete).toHaveBeenCalledTimes(2);
+    expect(report.files).toBe(1);
+    expect(report.failedFiles).toEqual([]);
+  });
+
+  it('should report files that still fail after retrying', async () => {
+    const broken = mockFile('campsites/c1/photos/a.jpg', () => Promise.reject(new Error('Forbidden')));
+    mockStorage.bucket.mockReturnValue({ getFiles: jest.fn().mockResolvedValue([[broken]]) });
+
+    const report = await deleteCampsiteData('c1');
+
+    expect(broken.delete).toHaveBeenCalledTimes(3);
+    expect(report.failedFiles).toEqual(['campsites/c1/photos/a.jpg']);
+  });
+
+  it('should purge trashed campsites past their retention period', async () => {
+    const trashDelete = jest.fn().mockResolvedValue({});
+    const where = jest.fn(() => ({
+      limit: jest.fn(() => ({
+        get: jest.fn().mockResolvedValue({ docs: [{ id: 'c1' }, { id: 'c2' }] })
+      }))
+    }));
+    mockFirestore.collection.mockImplementation((name) => {
+      if (name === 'trashedCampsites') {
+        return { where, doc: jest.fn(() => ({ delete: trashDelete })) };
+      }
+      return mockCollection(name);
+    });
+    mockStorage.bucket.mockReturnValue({ getFiles: jest.fn().mockResolvedValue([[]]) });
+
+    const result = await purgeExpiredTrash();
+
+    expect(where).toHaveBeenCalledWith('purgeAfter', '<=', expect.anything());
+    expect(result).toEqual({ purged: ['c1', 'c2'], failed: [] });
+    expect(trashDelete).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,207 @@
+const {
+  mockFirestore,
+  mockStorage,
+  resetAllMocks
+} = require('../helpers/mocks');
+const { mergeCampsites } = require('../../utils/campsiteMerge');
+
+describe('Campsite Merge', () => {
+  let store;
+  let bucket;
+
+  const photo = (id, campsiteId) => ({
+    id,
+    url: `https://storage.googleapis.com/test-bucket/campsites/${campsiteId}/photos/${id}.jpg`,
+    thumbnailUrl: `https://storage.googleapis.com/test-bucket/campsites/${campsiteId}/thumbnails/${id}_thumb.jpg`
+  });
+
+  const docRef = (collection, id) => ({
+    path: `${collection}/${id}`,
+    get: jest.fn(() => Promise.resolve({
+      exists: Boolean(store[collection][id]),
+      id,
+      data: () => store[collection][id]
+    }))
+  });
+
+  // All writes from every batch, as [method, path, data]
+  const writes = () => mockFirestore.batch.mock.results.flatMap(({ value }) =>
+    ['set', 'update', 'delete'].flatMap(method =>
+      value[method].mock.calls.map(([ref, data]) => [method, ref.path, data])
+    )
+  );
+
+  beforeEach(() => {
+    resetAllMocks();
+
+    store = {
+      campsites: {},
+      reviews: {
+        r1: { campsiteId: 'source1', userId: 'alice', rating: 5, hidden: false },
+        r2: { campsiteId: 'source1', userId: 'bob', rating: 4, hidden: false },
+        r3: { campsiteId: 'source1', userId: null, rating: 1, hidden: true },
+        r4: { campsiteId: 'target1', userId: 'bob', rating: 2, hidden: false }
+      },
+      favorites: {
+        alice_source1: { userId: 'alice', campsiteId: 'source1' },
+        bob_source1: { userId: 'bob', campsiteId: 'source1' },
+        bob_target1: { userId: 'bob', campsiteId: 'target1' }
+      },
+      visits: {
+        v1: { userId: 'alice', campsiteId: 'source1' }
+      },
+      campsiteRedirects: {
+        old1: { targetId: 'source1' }
+      },
+      campsiteMerges: {},
+      ratingLimits: {},
+      shareLinks: {},
+      conditionReports: {},
+      campsiteReports: {},
+      campsiteRevisions: {
+        rev1: { campsiteId: 'source1', action: 'create', snapshot: { title: 'Creek pullout' } },
+        rev2: { campsiteId: 'target1', action: 'create', snapshot: { title: 'Creek Pullout (main)' } }
+      },
+      campsiteTransfers: {},
+      notifications: {}
+    };
+
+    mockFirestore.collection.mockImplementation((name) => ({
+      doc: jest.fn((id) => docRef(name, id || 'newDoc')),
+      where: jest.fn((field, op, value) => {
+        const query = {
+          limit: jest.fn(() => query),
+          get: jest.fn(() => {
+            const docs = Object.entries(store[name])
+              .filter(([, data]) => data[field] === value)
+              .map(([id, data]) => ({ id, ref: docRef(name, id), data: () => data }));
+            return Promise.resolve({ empty: docs.length === 0, size: docs.length, docs });
+          })
+        };
+        return query;
+      })
+    }));
+
+    bucket = {
+      name: 'test-bucket',
+      file: jest.fn((path) => ({
+        path,
+        copy: jest.fn((destination) => Promise.resolve([bucket.file(destination)])),
+        makePublic: jest.fn().mockResolvedValue([])
+      })),
+      getFiles: jest.fn().mockResolvedValue([[]])
+    };
+    mockStorage.bucket.mockReturnValue(bucket);
+  });
+
+  const source = {
+    id: 'source1',
+    title: 'Creek pullout',
+    photos: [photo('p1', 'source1'), photo('p2', 'source1')],
+    visitCount: 3,
+    visitsByMonth: { '06': 2, '07': 1 }
+  };
+  const target = {
+    id: 'target1',
+    title: 'Creek Pullout (main)',
+    photos: [photo('p3', 'target1'), photo('p4', 'target1')]
+  };
+
+  it('should move reviews and keep the target review when a user reviewed both', async () => {
+    const summary = await mergeCampsites(source, target, 'mod1');
+
+    expect(writes()).toEqual(expect.arrayContaining([
+      ['update', 'reviews/r1', expect.objectContaining({ campsiteId: 'target1', updatedAt: expect.anything() })],
+      ['delete', 'reviews/r2', undefined],
+      ['set', 'tombstones/review_r2', expect.objectContaining({ type: 'review', id: 'r2', campsiteId: 'source1' })],
+      ['update', 'reviews/r3', expect.objectContaining({ campsiteId: 'target1' })]
+    ]));
+    expect(summary.reviewsMoved).toBe(2);
+    expect(summary.reviewsDropped).toBe(1);
+  });
+
+  it('should recompute the rating from visible reviews', async () => {
+    await mergeCampsites(source, target, 'mod1');
+
+    const [, , updates] = writes().find(([method, path]) => method === 'update' && path === 'campsites/target1');
+    expect(updates).toEqual(expect.objectContaining({
+      averageRating: 3.5,
+      reviewCount: 2
+    }));
+  });
+
+  it('should copy photos within the photo limit', async () => {
+    const summary = await mergeCampsites(source, target, 'mod1');
+
+    expect(bucket.file).toHaveBeenCalledWith('campsites/source1/photos/p1.jpg');
+    expect(bucket.file).not.toHaveBeenCalledWith('campsites/source1/photos/p2.jpg');
+
+    const published = bucket.file.mock.results
+      .map(({ value }) => value)
+      .filter(file => file.makePublic.mock.calls.length > 0)
+      .map(file => file.path);
+    expect(published).toEqual(expect.arrayContaining([
+      'campsites/target1/photos/p1.jpg',
+      'campsites/target1/thumbnails/p1_thumb.jpg'
+    ]));
+    expect(published).toHaveLength(2);
+
+    const [, , updates] = writes().find(([method, path]) => method === 'update' && path === 'campsites/target1');
+    expect(updates.photos.map(p => p.id)).toEqual(['p3', 'p4', 'p1']);
+    expect(updates.photos[2].url).toBe('https://storage.googleapis.com/test-bucket/campsites/target1/photos/p1.jpg');
+    expect(summary.photosMoved).toBe(1);
+    expect(summary.photosDropped).toBe(1);
+  });
+
+  it('should move favorites and visits with their counts', async () => {
+    const summary = await mergeCampsites(source, target, 'mod1');
+
+    expect(writes()).toEqual(expect.arrayContaining([
+      ['set', 'favorites/alice_target1', { userId: 'alice', campsiteId: 'target1' }],
+      ['delete', 'favorites/alice_source1', undefined],
+      ['delete', 'favorites/bob_source1', undefined],
+      ['update', 'visits/v1', { campsiteId: 'target1' }]
+    ]));
+    expect(writes()).not.toContainEqual(['set', 'favorites/bob_target1', expect.anything()]);
+
+    const [, , updates] = writes().find(([method, path]) => method === 'update' && path === 'campsites/target1');
+    expect(updates).toEqual(expect.objectContaining({
+      favoriteCount: { increment: 1 },
+      visitCount: { increment: 3 },
+      'visitsByMonth.06': { increment: 2 },
+      'visitsByMonth.07': { increment: 1 }
+    }));
+    expect(summary.favoritesMoved).toBe(1);
+  });
+
+  it('should replace the source with a redirect and log the merge', async () => {
+    await mergeCampsites(source, target, 'mod1');
+
+    expect(writes()).toEqual(expect.arrayContaining([
+      ['delete', 'campsites/source1', undefined],
+      ['set', 'tombstones/campsite_source1', expect.objectContaining({ type: 'campsite', id: 'source1' })],
+      ['set', 'campsiteRedirects/source1', expect.objectContaining({ targetId: 'target1' })],
+      ['update', 'campsiteRedirects/old1', { targetId: 'target1' }],
+      ['set', 'campsiteMerges/newDoc', expect.objectContaining({
+        sourceId: 'source1',
+        targetId: 'target1',
+        userId: 'mod1',
+        source: expect.objectContaining({ title: 'Creek pullout' })
+      })]
+    ]));
+  });
+
+  it('should delete the source revisions rather than move them', async () => {
+    await mergeCampsites(source, target, 'mod1');
+
+    expect(writes()).toContainEqual(['delete', 'campsiteRevisions/rev1', undefined]);
+    expect(writes()).not.toContainEqual(['delete', 'campsiteRevisions/rev2', undefined]);
+    expect(writes()).not.toContainEqual(['update', 'campsiteRevisions/rev1', expect.anything()]);
+  });
+
+  it('should remove the source photo files', async () => {
+    await mergeCampsites(source, target, 'mod1');
+
+    expect(bucket.getFiles).toHaveBeenCalledWith({ prefix: 'campsites/source1/' });
+  });
+});
@@ -0,0 +1,153 @@
+const {
+  validateCampsite,
+  mergeAttributes,
+  formatPublicCampsite
+} = require('../../utils/campsiteSchema');
+
+describe('Campsite Schema', () => {
+  const validCampsite = {
+    latitude: 40.0,
+    longitude: -105.0,
+    title: 'Test Campsite',
+    description: 'A great spot',
+    visibility: 'public'
+  };
+
+  describe('validateCampsite', () => {
+    it('should accept a valid campsite', () => {
+      const { errors, data } = validateCampsite(validCampsite);
+
+      expect(errors).toEqual([]);
+      expect(data).toEqual(validCampsite);
+    });
+
+    it('should parse numeric strings for coordinates', () => {
+      const { errors, data } = validateCampsite({ ...validCampsite, latitude: '40.5', longitude: '-105.25' });
+
+      expect(errors).toEqual([]);
+      expect(data.latitude).toBe(40.5);
+      expect(data.longitude).toBe(-105.25);
+    });
+
+    it('should require fields on create', () => {
+      const { errors } = validateCampsite({ title: 'Only a title' });
+
+      expect(errors.map(error => error.path)).toEqual(['latitude', 'longitude', 'visibility']);
+    });
+
+    it('should only validate present fields when partial', () => {
+      const { errors, data } = validateCampsite({ title: 'New title' }, { partial: true });
+
+      expect(errors).toEqual([]);
+      expect(data).toEqual({ title: 'New title' });
+    });
+
+    it('should reject wrong types and lengths', () => {
+      const { errors } = validateCampsite({
+        ...validCampsite,
+        title: 42,
+        description: 'a'.repeat(2001),
+        visibility: 'friends'
+      });
+
+      expect(errors.map(error => error.msg)).toEqual([
+        'Title must be 1-100 characters',
+        'Description max 2000 characters',
+        'Invalid visibility'
+      ]);
+    });
+
+    it('should reject server-managed and unknown fields', () => {
+      const { errors } = validateCampsite({ geohash: 'abc', color: 'red' }, { partial: true });
+
+      expect(errors).toEqual([
+        expect.objectContaining({ path: 'geohash', msg: 'geohash is managed by the server and cannot be set' }),
+        expect.objectContaining({ path: 'color', msg: 'Unknown field: color' })
+      ]);
+    });
+
+    it('should require coordinates to be updated together', () => {
+      const { errors } = validateCampsite({ latitude: 41 }, { partial: true });
+
+      expect(errors).toEqual([
+        expect.objectContaining({ path: 'longitude', msg: 'Latitude and longitude must be updated together' })
+      ]);
+    });
+
+    it('should validate nested attributes', () => {
+      const { errors, data } = validateCampsite({
+        ...validCampsite,
+        attributes: {
+          access: 'high-clearance',
+          maxRigLength: '30',
+          cellSignal: { verizon: 'strong', att: 'none' },
+          fireRing: 'true',
+          numberOfSites: 4
+        }
+      });
+
+      expect(errors).toEqual([]);
+      expect(data.attributes).toEqual({
+        access: 'high-clearance',
+        maxRigLength: 30,
+        cellSignal: { verizon: 'strong', att: 'none' },
+        fireRing: true,
+        numberOfSites: 4
+      });
+    });
+
+    it('should report invalid attributes by path', () => {
+      const { errors } = validateCampsite({
+        attributes: {
+          access: 'tank',
+          numberOfSites: 2.5,
+          cellSignal: { sprint: 'strong' },
+          hotTub: true
+        }
+      }, { partial: true });
+
+      expect(errors.map(error => error.path)).toEqual([
+        'attributes.access',
+        'attributes.numberOfSites',
+        'attributes.cellSignal.sprint',
+        'attributes.hotTub'
+      ]);
+    });
+
+    it('should reject non-object bodies', () => {
+      expect(validateCampsite(['title']).errors).toHaveLength(1);
+    });
+  });
+
+  describe('mergeAttributes', () => {
+    it('should keep attributes that are not changed', () => {
+      const merged = mergeAttributes(
+        { access: '4x4', shade: true, cellSignal: { verizon: 'weak' } },
+        { shade: null, cellSignal: { att: 'strong' } }
+      );
+
+      expect(merged).toEqual({ access: '4x4', cellSignal: { verizon: 'weak', att: 'strong' } });
+    });
+
+    it('should clear all attributes when given null', () => {
+      expect(mergeAttributes({ access: '4x4' }, null)).toEqual({});
+    });
+  });
+
+  describe('formatPublicCampsite', () => {
+    it('should leave out owner and internal fields', () => {
+      const formatted = formatPublicCampsite({
+        id: 'campsite1',
+        ...validCampsite,
+        userId: 'user123',
+        geohash: '9xj',
+        location: { latitude: 40.0, longitude: -105.0 }
+      });
+
+      expect(formatted.userId).toBeUndefined();
+      expect(formatted.geohash).toBeUndefined();
+      expect(formatted.location).toEqual({ latitude: 40.0, longitude: -105.0 });
+      expect(formatted.reviewCount).toBe(0);
+    });
+  });
+});
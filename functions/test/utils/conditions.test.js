@@ -0,0 +1,87 @@
+const { MockTimestamp } = require('../helpers/mocks');
+const {
+  validateCondition,
+  expiryOf,
+  closedUntilOf,
+  isClosed,
+  currentConditions
+} = require('../../utils/conditions');
+
+describe('Condition Reports', () => {
+  const HOUR = 60 * 60 * 1000;
+  const now = 1700000000000;
+
+  const entry = (value, reportedHoursAgo, expiresInHours) => ({
+    value,
+    note: null,
+    reportedAt: MockTimestamp.fromMillis(now - reportedHoursAgo * HOUR),
+    expiresAt: MockTimestamp.fromMillis(now + expiresInHours * HOUR)
+  });
+
+  describe('validateCondition', () => {
+    it('should accept known types and values', () => {
+      expect(validateCondition({ type: 'road', value: 'rough', note: 'Washboard after mile 3' })).toEqual({
+        data: { type: 'road', value: 'rough', note: 'Washboard after mile 3' }
+      });
+    });
+
+    it('should reject unknown types and values', () => {
+      expect(validateCondition({ type: 'bears', value: 'many' }).error).toMatch(/Condition type/);
+      expect(validateCondition({ type: 'road', value: 'closed' }).error).toMatch(/good, rough, impassable/);
+    });
+
+    it('should reject long notes', () => {
+      expect(validateCondition({ type: 'snow', value: 'deep', note: 'x'.repeat(281) }).error).toBeDefined();
+    });
+  });
+
+  describe('expiryOf', () => {
+    it('should add the type\'s lifetime to the report time', () => {
+      const reportedAt = MockTimestamp.fromMillis(now);
+
+      expect(expiryOf('crowding', reportedAt).toMillis()).toBe(now + 12 * HOUR);
+      expect(expiryOf('mud', reportedAt).toMillis()).toBe(now + 72 * HOUR);
+    });
+  });
+
+  describe('closedUntilOf', () => {
+    it('should return the latest expiry of active blocking conditions', () => {
+      const conditions = {
+        closure: entry('closed', 1, 100),
+        mud: entry('impassable', 1, 20),
+        road: entry('good', 1, 200)
+      };
+
+      expect(closedUntilOf(conditions, now).toMillis()).toBe(now + 100 * HOUR);
+    });
+
+    it('should ignore expired and non-blocking conditions', () => {
+      const conditions = {
+        closure: entry('closed', 100, -1),
+        snow: entry('deep', 1, 10)
+      };
+
+      expect(closedUntilOf(conditions, now)).toBeNull();
+    });
+  });
+
+  describe('isClosed', () => {
+    it('should compare closedUntil with the current time', () => {
+      expect(isClosed({ closedUntil: MockTimestamp.fromMillis(now + HOUR) }, now)).toBe(true);
+      expect(isClosed({ closedUntil: MockTimestamp.fromMillis(now - HOUR) }, now)).toBe(false);
+      expect(isClosed({}, now)).toBe(false);
+    });
+  });
+
+  describe('currentConditions', () => {
+    it('should drop expired conditions and decay freshness towards expiry', () => {
+      const current = currentConditions({
+        road: entry('rough', 3, 1),
+        crowding: entry('full', 12, -1)
+      }, now);
+
+      expect(Object.keys(current)).toEqual(['road']);
+      expect(current.road.freshness).toBe(0.25);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const { campsiteETag, ifMatchSatisfied, unchangedSince } = require('../../utils/etag');
+const { MockTimestamp } = require('../helpers/mocks');
+
+describe('ETag', () => {
+  const requestWith = (ifMatch) => ({
+    get: jest.fn((name) => (name === 'If-Match' ? ifMatch : undefined))
+  });
+
+  describe('campsiteETag', () => {
+    it('should derive the ETag from updatedAt', () => {
+      expect(campsiteETag({ updatedAt: new MockTimestamp(1700000000, 123) })).toBe('"1700000000.123"');
+    });
+
+    it('should fall back to createdAt', () => {
+      expect(campsiteETag({ createdAt: new MockTimestamp(1600000000, 0) })).toBe('"1600000000.0"');
+    });
+
+    it('should handle campsites without timestamps', () => {
+      expect(campsiteETag({})).toBe('"0"');
+    });
+  });
+
+  describe('ifMatchSatisfied', () => {
+    const etag = '"1700000000.0"';
+
+    it('should match when If-Match is not sent', () => {
+      expect(ifMatchSatisfied(requestWith(undefined), etag)).toBe(true);
+    });
+
+    it('should match any listed ETag', () => {
+      expect(ifMatchSatisfied(requestWith('"other", "1700000000.0"'), etag)).toBe(true);
+      expect(ifMatchSatisfied(requestWith('*'), etag)).toBe(true);
+    });
+
+    it('should not match weak ETags', () => {
+      expect(ifMatchSatisfied(requestWith('W/"1700000000.0"'), etag)).toBe(false);
+      expect(ifMatchSatisfied(requestWith('"other", W/"1700000000.0"'), etag)).toBe(false);
+    });
+
+    it('should not match a stale ETag', () => {
+      expect(ifMatchSatisfied(requestWith('"1600000000.0"'), etag)).toBe(false);
+    });
+  });
+
+  describe('unchangedSince', () => {
+    it('should only add a precondition for conditional requests', () => {
+      const doc = { updateTime: 'update-time' };
+
+      expect(unchangedSince(requestWith('"1"'), doc)).toEqual({ lastUpdateTime: 'update-time' });
+      expect(unchangedSince(requestWith(undefined), doc)).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const geohash = require('geofire-common');
+const { parseBbox, inBbox, geohashCellCount, geohashesCoveringBbox } = require('../../utils/geo');
+
+describe('Geo Utils', () => {
+  describe('parseBbox', () => {
+    it('should parse minLng,minLat,maxLng,maxLat', () => {
+      expect(parseBbox('-106.5,39,-104,41.25')).toEqual({
+        minLng: -106.5,
+        minLat: 39,
+        maxLng: -104,
+        maxLat: 41.25
+      });
+    });
+
+    it('should reject malformed boxes', () => {
+      expect(parseBbox(undefined)).toBeNull();
+      expect(parseBbox('-106,39,-104')).toBeNull();
+      expect(parseBbox('-106,39,-104,north')).toBeNull();
+      expect(parseBbox('-104,39,-106,41')).toBeNull();
+      expect(parseBbox('-106,41,-104,39')).toBeNull();
+      expect(parseBbox('-181,39,-104,41')).toBeNull();
+      expect(parseBbox('-106,39,-104,91')).toBeNull();
+    });
+  });
+
+  describe('inBbox', () => {
+    const bbox = { minLng: -106, minLat: 39, maxLng: -104, maxLat: 41 };
+
+    it('should include positions inside and on the edges', () => {
+      expect(inBbox(bbox, [40, -105])).toBe(true);
+      expect(inBbox(bbox, [39, -106])).toBe(true);
+    });
+
+    it('should exclude positions outside', () => {
+      expect(inBbox(bbox, [42, -105])).toBe(false);
+      expect(inBbox(bbox, [40, -103])).toBe(false);
+    });
+  });
+
+  describe('geohashesCoveringBbox', () => {
+    it('should cover every point of the box with at most 16 cells', () => {
+      const bbox = { minLng: -106, minLat: 39, maxLng: -104, maxLat: 41 };
+      const cells = geohashesCoveringBbox(bbox);
+
+      expect(cells.length).toBeLessThanOrEqual(16);
+      for (const point of [[39, -106], [41, -104], [40, -105], [39.01, -104.01]]) {
+        const hash = geohash.geohashForLocation(point);
+        expect(cells.some(cell => hash.startsWith(cell))).toBe(true);
+      }
+    });
+
+    it('should use finer cells for smaller boxes', () => {
+      const large = geohashesCoveringBbox({ minLng: -110, minLat: 35, maxLng: -100, maxLat: 45 });
+      const small = geohashesCoveringBbox({ minLng: -105.01, minLat: 40, maxLng: -105, maxLat: 40.01 });
+
+      expect(small[0].length).toBeGreaterThan(large[0].length);
+    });
+
+    it('should handle the whole world', () => {
+      expect(geohashesCoveringBbox({ minLng: -180, minLat: -90, maxLng: 180, maxLat: 90 })).toHaveLength(32);
+    });
+
+    it('should use the given precision', () => {
+      const bbox = { minLng: -106, minLat: 39, maxLng: -104, maxLat: 41 };
+      const cells = geohashesCoveringBbox(bbox, 3);
+
+      expect(cells).toHaveLength(geohashCellCount(bbox, 3));
+      expect(cells.every(cell => cell.length === 3)).toBe(true);
+      expect(cells).toContain(geohash.geohashForLocation([40, -105], 3));
+    });
+  });
+
+  describe('geohashCellCount', () => {
+    it('should count the cells a box overlaps', () => {
+      const world = { minLng: -180, minLat: -90, maxLng: 180, maxLat: 90 };
+
+      expect(geohashCellCount(world, 1)).toBe(32);
+      expect(geohashCellCount(world, 2)).toBe(1024);
+      expect(geohashCellCount({ minLng: -105.01, minLat: 40, maxLng: -105, maxLat: 40.01 }, 1)).toBe(1);
+    });
+  });
+});
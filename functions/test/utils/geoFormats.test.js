@@ -0,0 +1,124 @@
+const {
+  toGeoJSON,
+  toGPX,
+  toKML,
+  parseGPX,
+  parseKML,
+  parseCSV,
+  detectFormat
+} = require('../../utils/geoFormats');
+
+describe('Geo Formats', () => {
+  const campsites = [
+    {
+      id: 'campsite1',
+      title: 'Moab <BLM> & Friends',
+      description: 'Flat pullout',
+      location: { latitude: 38.5, longitude: -109.5 },
+      averageRating: 4.5,
+      reviewCount: 2,
+      photos: [{ thumbnailUrl: 'https://example.com/thumb.jpg' }]
+    },
+    {
+      id: 'campsite2',
+      title: 'No coordinates'
+    }
+  ];
+
+  describe('toGeoJSON', () => {
+    it('should build a FeatureCollection with lng/lat ordering', () => {
+      const collection = JSON.parse(toGeoJSON(campsites));
+
+      expect(collection.type).toBe('FeatureCollection');
+      expect(collection.features).toHaveLength(1);
+      expect(collection.features[0].geometry.coordinates).toEqual([-109.5, 38.5]);
+      expect(collection.features[0].properties.averageRating).toBe(4.5);
+      expect(collection.features[0].properties.thumbnails).toEqual(['https://example.com/thumb.jpg']);
+    });
+  });
+
+  describe('toGPX', () => {
+    it('should write escaped waypoints', () => {
+      const gpx = toGPX(campsites);
+
+      expect(gpx).toContain('<wpt lat="38.5" lon="-109.5">');
+      expect(gpx).toContain('<name>Moab &lt;BLM&gt; &amp; Friends</name>');
+      expect(gpx).toContain('<link href="https://example.com/thumb.jpg">');
+      expect(gpx).toContain('<dispersed:rating>4.5</dispersed:rating>');
+      expect(gpx).not.toContain('No coordinates');
+    });
+  });
+
+  describe('toKML', () => {
+    it('should write placemarks with lng,lat coordinates', () => {
+      const kml = toKML(campsites);
+
+      expect(kml).toContain('<coordinates>-109.5,38.5</coordinates>');
+      expect(kml).toContain('<Data name="averageRating"><value>4.5</value></Data>');
+      expect(kml).not.toContain('No coordinates');
+    });
+  });
+
+  describe('parseGPX', () => {
+    it('should read waypoints and round-trip exported files', () => {
+      const points = parseGPX(toGPX(campsites));
+
+      expect(points).toEqual([{
+        latitude: 38.5,
+        longitude: -109.5,
+        title: 'Moab <BLM> & Friends',
+        description: 'Flat pullout'
+      }]);
+    });
+
+    it('should read self-closing waypoints', () => {
+      const points = parseGPX('<gpx><wpt lat="1.5" lon="2.5"/></gpx>');
+
+      expect(points[0].latitude).toBe(1.5);
+      expect(points[0].longitude).toBe(2.5);
+    });
+  });
+
+  describe('parseKML', () => {
+    it('should read point placemarks and ignore other geometries', () => {
+      const kml = `<kml><Document>
+        <Placemark><name>Site</name><Point><coordinates>-109.5,38.5,0</coordinates></Point></Placemark>
+        <Placemark><name>Trail</name><LineString><coordinates>1,2 3,4</coordinates></LineString></Placemark>
+      </Document></kml>`;
+
+      expect(parseKML(kml)).toEqual([{
+        latitude: 38.5,
+        longitude: -109.5,
+        title: 'Site',
+        description: undefined
+      }]);
+    });
+  });
+
+  describe('parseCSV', () => {
+    it('should map header aliases and quoted fields', () => {
+      const csv = 'Name,Lat,Lon,Notes\n"Creek, North",39.1,-106.2,"Says ""hi"""\n';
+
+      expect(parseCSV(csv)).toEqual([{
+        latitude: 39.1,
+        longitude: -106.2,
+        title: 'Creek, North',
+        description: 'Says "hi"',
+        visibility: undefined
+      }]);
+    });
+
+    it('should require coordinate columns', () => {
+      expect(() => parseCSV('name\nSite\n')).toThrow('latitude and longitude');
+    });
+  });
+
+  describe('detectFormat', () => {
+    it('should use the file extension, then the content', () => {
+      expect(detectFormat('sites.KML', '')).toBe('kml');
+      expect(detectFormat('sites.json', '')).toBe('geojson');
+      expect(detectFormat('upload', '<?xml version="1.0"?><gpx>')).toBe('gpx');
+      expect(detectFormat('upload', 'name,lat,lng')).toBe('csv');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const { resetAllMocks } = require('../helpers/mocks');
+const { diffFields, recordRevision } = require('../../utils/revisions');
+
+describe('Revisions', () => {
+  beforeEach(() => {
+    resetAllMocks();
+  });
+
+  describe('diffFields', () => {
+    it('should list changed tracked fields only', () => {
+      const changes = diffFields(
+        { title: 'Old', description: 'Same', averageRating: 4 },
+        { title: 'New', description: 'Same', averageRating: 5 }
+      );
+
+      expect(changes).toEqual([{ field: 'title', before: 'Old', after: 'New' }]);
+    });
+
+    it('should treat missing fields as null', () => {
+      const changes = diffFields({}, { title: 'Created' });
+
+      expect(changes).toEqual([{ field: 'title', before: null, after: 'Created' }]);
+    });
+  });
+
+  describe('recordRevision', () => {
+    it('should write a revision with a full snapshot', () => {
+      const writer = { set: jest.fn() };
+
+      const ref = recordRevision(writer, 'campsite1', {
+        action: 'update',
+        userId: 'user123',
+        before: { title: 'Old', visibility: 'public' },
+        after: { title: 'New', visibility: 'public' }
+      });
+
+      expect(ref).not.toBeNull();
+      expect(writer.set).toHaveBeenCalledWith(ref, expect.objectContaining({
+        campsiteId: 'campsite1',
+        action: 'update',
+        userId: 'user123',
+        snapshot: expect.objectContaining({ title: 'New', visibility: 'public', latitude: null })
+      }));
+    });
+
+    it('should skip updates that change nothing tracked', () => {
+      const writer = { set: jest.fn() };
+
+      const ref = recordRevision(writer, 'campsite1', {
+        action: 'update',
+        userId: 'user123',
+        before: { title: 'Same' },
+        after: { title: 'Same', hasPhotos: true }
+      });
+
+      expect(ref).toBeNull();
+      expect(writer.set).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const geohash = require('geofire-common');
+const { mockFirestore, resetAllMocks } = require('../helpers/mocks');
+const {
+  decodePolyline,
+  parseRoute,
+  locateOnRoute,
+  routeLength,
+  findPublicCampsitesAlongRoute
+} = require('../../utils/routeCorridor');
+
+describe('Route Corridor Utils', () => {
+  describe('decodePolyline', () => {
+    it('should decode an encoded polyline', () => {
+      // Example from the polyline algorithm documentation
+      expect(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@')).toEqual([
+        [38.5, -120.2],
+        [40.7, -120.95],
+        [43.252, -126.453]
+      ]);
+    });
+
+    it('should reject truncated polylines', () => {
+      expect(() => decodePolyline('_p~iF~ps|U_ulL')).toThrow('truncated');
+    });
+  });
+
+  describe('parseRoute', () => {
+    it('should read GeoJSON LineStrings as latitude, longitude points', () => {
+      const route = { type: 'LineString', coordinates: [[-105, 40], [-106, 39]] };
+
+      expect(parseRoute({ route })).toEqual([[40, -105], [39, -106]]);
+      expect(parseRoute({ route: { type: 'Feature', geometry: route } })).toEqual([[40, -105], [39, -106]]);
+    });
+
+    it('should read encoded polylines', () => {
+      expect(parseRoute({ polyline: '_p~iF~ps|U_ulLnnqC' })).toEqual([[38.5, -120.2], [40.7, -120.95]]);
+    });
+
+    it('should require exactly one route', () => {
+      expect(() => parseRoute({})).toThrow('Provide either');
+      expect(() => parseRoute({ route: { type: 'LineString', coordinates: [] }, polyline: '' })).toThrow('Provide either');
+    });
+
+    it('should reject invalid routes', () => {
+      expect(() => parseRoute({ route: { type: 'Point', coordinates: [-105, 40] } })).toThrow('LineString');
+      expect(() => parseRoute({ route: { type: 'LineString', coordinates: [[-105, 40]] } })).toThrow('between 2');
+      expect(() => parseRoute({ route: { type: 'LineString', coordinates: [[-105, 40], [-105, 95]] } })).toThrow('out of range');
+      expect(() => parseRoute({ route: { type: 'LineString', coordinates: [[-105, 40], 'x'] } })).toThrow('out of range');
+      expect(() => parseRoute({ polyline: 42 })).toThrow('polyline');
+    });
+
+    it('should reject routes over the length limit', () => {
+      // New York to Los Angeles and back is well over 3000 miles
+      const route = { type: 'LineString', coordinates: [[-74, 40.7], [-118.2, 34], [-74, 40.7]] };
+
+      expect(() => parseRoute({ route })).toThrow('at most 3000 miles');
+    });
+  });
+
+  describe('locateOnRoute', () => {
+    // Due east along the equator, one degree (about 111 km) per segment
+    const route = [[0, 0], [0, 1], [0, 2]];
+
+    it('should measure distance along and from the route', () => {
+      const { along, offset } = locateOnRoute(route, [0.1, 1.5]);
+
+      expect(along / 1000).toBeCloseTo(166.8, 0);
+      expect(offset / 1000).toBeCloseTo(11.1, 0);
+    });
+
+    it('should measure from the ends for positions past them', () => {
+      const { along, offset } = locateOnRoute(route, [0, -0.5]);
+
+      expect(along).toBe(0);
+      expect(offset / 1000).toBeCloseTo(55.6, 0);
+    });
+
+    it('should total the route length', () => {
+      expect(routeLength(route) / 1000).toBeCloseTo(222.4, 0);
+    });
+  });
+
+  describe('findPublicCampsitesAlongRoute', () => {
+    // A route zigzagging east, so campsites sit near several segments
+    const route = Array.from({ length: 41 }, (_, i) => [39 + (i % 2) * 0.2, -108 + i * 0.05]);
+
+    // Campsites on a grid over the route's area
+    const campsites = [];
+    for (let latitude = 38.9; latitude <= 39.3; latitude += 0.02) {
+      for (let longitude = -108.1; longitude <= -105.9; longitude += 0.05) {
+        const position = [latitude, longitude];
+        campsites.push({
+          id: `${latitude.toFixed(2)},${longitude.toFixed(2)}`,
+          visibility: 'public',
+          location: { latitude, longitude },
+          geohash: geohash.geohashForLocation(position)
+        });
+      }
+    }
+
+    beforeEach(() => {
+      resetAllMocks();
+
+      // Each cell query returns the campsites whose geohash starts with the cell
+      mockFirestore.collection.mockImplementation(() => ({
+        where: jest.fn(() => ({
+          orderBy: jest.fn(() => {
+            let cell;
+            const chain = {
+              startAt: jest.fn((start) => { cell = start; return chain; }),
+              endAt: jest.fn(() => chain),
+              limit: jest.fn(() => chain),
+              get: jest.fn(() => Promise.resolve({
+                docs: campsites
+                  .filter(campsite => campsite.geohash.startsWith(cell))
+                  .map(campsite => ({ id: campsite.id, data: () => campsite }))
+              }))
+            };
+            return chain;
+          })
+        }))
+      }));
+    });
+
+    it('should find the same campsites as measuring against every segment', async () => {
+      const widthInM = 3000;
+      const { campsites: found } = await findPublicCampsitesAlongRoute(route, widthInM, 5000);
+
+      const expected = campsites
+        .map(campsite => ({
+          id: campsite.id,
+          ...locateOnRoute(route, [campsite.location.latitude, campsite.location.longitude])
+        }))
+        .filter(({ offset }) => offset <= widthInM)
+        .sort((a, b) => a.along - b.along);
+
+      expect(expected.length).toBeGreaterThan(0);
+      expect(found.map(campsite => campsite.id)).toEqual(expected.map(({ id }) => id));
+      found.forEach((campsite, i) => {
+        expect(campsite.alongRouteMeters).toBeCloseTo(expected[i].along, 6);
+        expect(campsite.fromRouteMeters).toBeCloseTo(expected[i].offset, 6);
+      });
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const {
+  mockFirestore,
+  mockDocumentRef,
+  MockTimestamp,
+  resetAllMocks
+} = require('../helpers/mocks');
+const {
+  generateToken,
+  hashToken,
+  shareTokenOf,
+  linkStatus,
+  shareLinkAllows,
+  consumeView
+} = require('../../utils/shareLinks');
+
+describe('Share Links', () => {
+  const inOneDay = () => MockTimestamp.fromMillis(Date.now() + 24 * 60 * 60 * 1000);
+  const activeLink = () => ({
+    campsiteId: 'campsite1',
+    expiresAt: inOneDay(),
+    maxViews: 2,
+    viewCount: 0,
+    revoked: false
+  });
+
+  beforeEach(() => {
+    resetAllMocks();
+  });
+
+  it('should hash tokens consistently without exposing them', () => {
+    const token = generateToken();
+
+    expect(token).toMatch(/^[A-Za-z0-9_-]{32}$/);
+    expect(hashToken(token)).toBe(hashToken(token));
+    expect(hashToken(token)).not.toContain(token);
+  });
+
+  it('should read the token from the query string or header', () => {
+    expect(shareTokenOf({ query: { shareToken: 'abc' }, get: jest.fn() })).toBe('abc');
+    expect(shareTokenOf({ query: {}, get: jest.fn(() => 'def') })).toBe('def');
+    expect(shareTokenOf({ query: {}, get: jest.fn() })).toBeNull();
+  });
+
+  it('should report the status of a link', () => {
+    expect(linkStatus(activeLink())).toBe('active');
+    expect(linkStatus({ ...activeLink(), revoked: true })).toBe('revoked');
+    expect(linkStatus({ ...activeLink(), expiresAt: MockTimestamp.fromMillis(Date.now() - 1000) })).toBe('expired');
+    expect(linkStatus({ ...activeLink(), viewCount: 2 })).toBe('exhausted');
+    expect(linkStatus({ ...activeLink(), maxViews: null, viewCount: 500 })).toBe('active');
+  });
+
+  it('should only allow access to details through active links', () => {
+    expect(shareLinkAllows(activeLink())).toBe(true);
+    expect(shareLinkAllows({ ...activeLink(), viewCount: 2 })).toBe(false);
+    expect(shareLinkAllows({ ...activeLink(), revoked: true })).toBe(false);
+    expect(shareLinkAllows(null)).toBe(false);
+  });
+
+  it('should count views of active links', async () => {
+    const ref = mockDocumentRef(activeLink(), 'link1');
+    let transaction;
+    mockFirestore.runTransaction.mockImplementationOnce((callback) => {
+      transaction = { get: jest.fn((docRef) => docRef.get()), update: jest.fn() };
+      return callback(transaction);
+    });
+
+    const counted = await consumeView({ ref });
+
+    expect(counted).toBe(true);
+    expect(transaction.update).toHaveBeenCalledWith(ref, expect.objectContaining({ viewCount: 1 }));
+  });
+
+  it('should not count views of exhausted links', async () => {
+    const ref = mockDocumentRef({ ...activeLink(), viewCount: 2 }, 'link1');
+
+    expect(await consumeView({ ref })).toBe(false);
+  });
+});
@@ -0,0 +1,74 @@
+const { VectorTile } = require('@mapbox/vector-tile');
+const Pbf = require('pbf');
+const { isValidTile, tileBbox, encodeCampsiteTile } = require('../../utils/vectorTiles');
+
+describe('Vector Tile Utils', () => {
+  describe('isValidTile', () => {
+    it('should accept tiles on the grid', () => {
+      expect(isValidTile(0, 0, 0)).toBe(true);
+      expect(isValidTile(10, 1023, 0)).toBe(true);
+    });
+
+    it('should reject tiles off the grid', () => {
+      expect(isValidTile(0, 1, 0)).toBe(false);
+      expect(isValidTile(10, 1024, 5)).toBe(false);
+      expect(isValidTile(-1, 0, 0)).toBe(false);
+      expect(isValidTile(23, 0, 0)).toBe(false);
+      expect(isValidTile(2.5, 0, 0)).toBe(false);
+      expect(isValidTile(NaN, 0, 0)).toBe(false);
+    });
+  });
+
+  describe('tileBbox', () => {
+    it('should cover the tile and a small buffer', () => {
+      // Tile 6/12/24 covers about -112.5,36.6 to -106.9,40.98
+      const bbox = tileBbox(6, 12, 24);
+
+      expect(bbox.minLng).toBeLessThan(-112.5);
+      expect(bbox.minLng).toBeGreaterThan(-112.7);
+      expect(bbox.maxLng).toBeGreaterThan(-106.875);
+      expect(bbox.maxLat).toBeGreaterThan(40.979);
+      expect(bbox.minLat).toBeLessThan(36.598);
+    });
+
+    it('should clamp the world tile', () => {
+      expect(tileBbox(0, 0, 0)).toEqual({ minLng: -180, minLat: expect.any(Number), maxLng: 180, maxLat: expect.any(Number) });
+    });
+  });
+
+  describe('encodeCampsiteTile', () => {
+    it('should encode campsites as points with their properties', () => {
+      const buffer = encodeCampsiteTile([
+        {
+          id: 'campsite1',
+          title: 'Mountain Campsite',
+          location: { latitude: 0, longitude: 0 },
+          averageRating: 4.5,
+          reviewCount: 10,
+          hasPhotos: true,
+          attributes: { access: '4x4', maxRigLength: 25 }
+        },
+        { id: 'campsite2', location: { latitude: -45, longitude: 90 } }
+      ], 0, 0, 0);
+
+      const layer = new VectorTile(new Pbf(buffer)).layers.campsites;
+      expect(layer.length).toBe(2);
+
+      const first = layer.feature(0);
+      expect(first.type).toBe(1);
+      expect(first.loadGeometry()[0][0]).toEqual(expect.objectContaining({ x: 2048, y: 2048 }));
+      expect(first.properties).toEqual({
+        id: 'campsite1',
+        title: 'Mountain Campsite',
+        rating: 4.5,
+        reviewCount: 10,
+        hasPhotos: true,
+        access: '4x4',
+        maxRigLength: 25
+      });
+
+      expect(layer.feature(1).properties).toEqual({ id: 'campsite2', reviewCount: 0, hasPhotos: false });
+      expect(layer.feature(1).loadGeometry()[0][0].x).toBe(3072);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Campsite access checks
+ * Owners can grant other users view or edit access to a campsite; grants are
+ * stored on the campsite as sharedWith (uid -> role) and sharedWithIds (for
+ * array-contains queries)
+ */
+
+const SHARE_ROLES = ['view', 'edit'];
+
+// Campsite fields only the owner gets back: who the campsite is shared with
+// (collaborators' uids and emails) and its report and moderation state
+const OWNER_ONLY_FIELDS = [
+  'sharedWith',
+  'sharedWithIds',
+  'reportCount',
+  'reportReasons',
+  'moderationStatus',
+  'hidden',
+  'moderatedBy',
+  'moderatedAt'
+];
+
+/**
+ * Get a user's role on a campsite: 'owner', 'edit', 'view' or null
+ */
+function roleOf(campsite, user) {
+  if (!user) {
+    return null;
+  }
+  if (campsite.userId === user.uid) {
+    return 'owner';
+  }
+  return (campsite.sharedWith && campsite.sharedWith[user.uid]) || null;
+}
+
+/**
+ * Check whether a user owns a campsite
+ * Ownership can change hands through a transfer (see routes/transfers.js), so
+ * always check against the current campsite document
+ */
+function isOwner(campsite, user) {
+  return roleOf(campsite, user) === 'owner';
+}
+
+/**
+ * Check whether a user can view a campsite
+ * Public campsites are visible to everyone; private and unlisted campsites only
+ * to the owner and users they are shared with (or through a share link, see
+ * utils/shareLinks.js)
+ */
+function canView(campsite, user) {
+  if (campsite.visibility === 'public') {
+    return true;
+  }
+  return roleOf(campsite, user) !== null;
+}
+
+/**
+ * Check whether a user can edit a campsite (owner or edit grant)
+ */
+function canEdit(campsite, user) {
+  const role = roleOf(campsite, user);
+  return role === 'owner' || role === 'edit';
+}
+
+/**
+ * Check whether a campsite is listed for a user, in campsite lists and sync
+ * Campsites hidden by reports or a moderator are only listed for their owner
+ */
+function isListedFor(campsite, user) {
+  return campsite.hidden !== true || isOwner(campsite, user);
+}
+
+/**
+ * Remove the fields only the owner may see from a campsite, unless the user
+ * is its owner
+ */
+function forViewer(campsite, user) {
+  if (isOwner(campsite, user)) {
+    return campsite;
+  }
+
+  const visible = { ...campsite };
+  for (const field of OWNER_ONLY_FIELDS) {
+    delete visible[field];
+  }
+  return visible;
+}
+
+module.exports = {
+  SHARE_ROLES,
+  OWNER_ONLY_FIELDS,
+  roleOf,
+  isOwner,
+  canView,
+  canEdit,
+  isListedFor,
+  forViewer
+};
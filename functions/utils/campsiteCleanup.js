@@ -0,0 +1,185 @@
+const admin = require('firebase-admin');
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 500;
+
+// Trashed campsites are purged automatically after this many days
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Maximum number of campsites purged by one scheduled run
+const PURGE_BATCH_SIZE = 100;
+
+// Storage deletes are retried with exponential backoff
+const STORAGE_DELETE_ATTEMPTS = 3;
+const STORAGE_RETRY_DELAY_MS = 200;
+
+/**
+ * Delete every document matched by a query, one batch at a time
+ * Returns the number of documents deleted
+ */
+async function deleteQueryInBatches(query) {
+  const db = admin.firestore();
+  let deleted = 0;
+
+  while (true) {
+    const snapshot = await query.limit(BATCH_SIZE).get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.docs.length;
+
+    if (snapshot.docs.length < BATCH_SIZE) {
+      break;
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Run an async operation, retrying with exponential backoff if it fails
+ */
+async function withRetries(operation, attempts = STORAGE_DELETE_ATTEMPTS) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt >= attempts) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, STORAGE_RETRY_DELAY_MS * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+/**
+ * Delete all Storage files under a prefix
+ * Returns the deleted file paths and any that still failed after retries
+ */
+async function deleteStorageFiles(prefix) {
+  const bucket = admin.storage().bucket();
+  const [files] = await withRetries(() => bucket.getFiles({ prefix }));
+  const deleted = [];
+  const failed = [];
+
+  await Promise.all(files.map(async (file) => {
+    try {
+      await withRetries(() => file.delete({ ignoreNotFound: true }));
+      deleted.push(file.name);
+    } catch (error) {
+      console.error(`Error deleting ${file.name} from storage:`, error);
+      failed.push(file.name);
+    }
+  }));
+
+  return { deleted, failed };
+}
+
+/**
+ * Remove everything that belongs to a campsite except the campsite document itself:
+ * its reviews, anonymous rating limits, share links, favorites, condition reports,
+ * moderation reports, revisions, ownership transfers, notifications and photo
+ * files (full size and thumbnails)
+ * Two kinds of documents that point at the campsite are kept on purpose:
+ * - visits are the visitor's own trip log, and list a deleted campsite
+ *   without its title
+ * - collection items are stored on the collection, which shows a deleted
+ *   campsite as unavailable until its owner removes it
+ * Safe to run again if a previous attempt only partly succeeded
+ */
+async function deleteCampsiteData(campsiteId) {
+  const db = admin.firestore();
+  const deleteAll = name => deleteQueryInBatches(db.collection(name).where('campsiteId', '==', campsiteId));
+
+  const [
+    files,
+    reviews,
+    ratingLimits,
+    shareLinks,
+    favorites,
+    conditionReports,
+    campsiteReports,
+    revisions,
+    transfers,
+    notifications
+  ] = await Promise.all([
+    deleteStorageFiles(`campsites/${campsiteId}/`),
+    deleteAll('reviews'),
+    deleteAll('ratingLimits'),
+    deleteAll('shareLinks'),
+    deleteAll('favorites'),
+    deleteAll('conditionReports'),
+    deleteAll('campsiteReports'),
+    deleteAll('campsiteRevisions'),
+    deleteAll('campsiteTransfers'),
+    deleteAll('notifications')
+  ]);
+
+  return {
+    reviews,
+    ratingLimits,
+    shareLinks,
+    favorites,
+    conditionReports,
+    campsiteReports,
+    revisions,
+    transfers,
+    notifications,
+    files: files.deleted.length,
+    failedFiles: files.failed
+  };
+}
+
+/**
+ * Permanently delete a trashed campsite and everything that belongs to it
+ * The trash entry is kept if some photo files could not be removed, so the
+ * purge can be retried
+ */
+async function purgeTrashedCampsite(campsiteId) {
+  const report = await deleteCampsiteData(campsiteId);
+
+  if (report.failedFiles.length === 0) {
+    await admin.firestore().collection('trashedCampsites').doc(campsiteId).delete();
+  }
+
+  return report;
+}
+
+/**
+ * Purge trashed campsites whose retention period has passed
+ * Returns the IDs that were purged and those that need another attempt
+ */
+async function purgeExpiredTrash() {
+  const snapshot = await admin.firestore().collection('trashedCampsites')
+    .where('purgeAfter', '<=', admin.firestore.Timestamp.now())
+    .limit(PURGE_BATCH_SIZE)
+    .get();
+
+  const purged = [];
+  const failed = [];
+
+  for (const doc of snapshot.docs) {
+    try {
+      const report = await purgeTrashedCampsite(doc.id);
+      (report.failedFiles.length === 0 ? purged : failed).push(doc.id);
+    } catch (error) {
+      console.error(`Error purging campsite ${doc.id}:`, error);
+      failed.push(doc.id);
+    }
+  }
+
+  return { purged, failed };
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  deleteQueryInBatches,
+  deleteStorageFiles,
+  deleteCampsiteData,
+  purgeTrashedCampsite,
+  purgeExpiredTrash
+};
@@ -0,0 +1,212 @@
+const admin = require('firebase-admin');
+const { MAX_PHOTOS } = require('./campsiteSchema');
+const { snapshotOf } = require('./revisions');
+const { favoriteId } = require('./favorites');
+const { deleteCampsiteData } = require('./campsiteCleanup');
+const { writeTombstone } = require('./tombstones');
+
+// Firestore allows at most 500 writes per batch
+const BATCH_SIZE = 500;
+
+/**
+ * Check whether a campsite is being merged into another one
+ * The merge copies reviews, photos, favorites and visits before deleting the
+ * campsite, so writes to it in the meantime would be lost and are rejected
+ */
+function isMerging(campsite) {
+  return Boolean(campsite.mergingInto);
+}
+
+/**
+ * Apply write operations (functions that add writes to a batch) in batches
+ */
+async function commitInBatches(operations) {
+  const db = admin.firestore();
+
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    operations.slice(i, i + BATCH_SIZE).forEach(operation => operation(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Copy a source campsite's photos to the target, as many as fit within
+ * MAX_PHOTOS next to the target's own
+ * The copies are made public; the originals are left in place and removed
+ * with the rest of the source's files
+ * Returns the photo entries for the target
+ */
+async function copyPhotos(source, target) {
+  const bucket = admin.storage().bucket();
+  const urlPrefix = `https://storage.googleapis.com/${bucket.name}/`;
+  const room = Math.max(MAX_PHOTOS - (target.photos || []).length, 0);
+
+  const retarget = url => url.replace(`/campsites/${source.id}/`, `/campsites/${target.id}/`);
+
+  return Promise.all((source.photos || []).slice(0, room).map(async (photo) => {
+    const copied = { ...photo, url: retarget(photo.url), thumbnailUrl: retarget(photo.thumbnailUrl) };
+
+    await Promise.all([
+      [photo.url, copied.url],
+      [photo.thumbnailUrl, copied.thumbnailUrl]
+    ].map(async ([from, to]) => {
+      // Copies do not keep the original's ACL, so publish them as photo uploads do
+      const [file] = await bucket.file(from.replace(urlPrefix, '')).copy(to.replace(urlPrefix, ''));
+      await file.makePublic();
+    }));
+
+    return copied;
+  }));
+}
+
+/**
+ * Get the rating summary for a set of reviews, ignoring hidden ones
+ */
+function ratingSummary(reviews) {
+  const visible = reviews.filter(review => !review.hidden);
+  const total = visible.reduce((sum, review) => sum + review.rating, 0);
+
+  return {
+    averageRating: visible.length > 0 ? parseFloat((total / visible.length).toFixed(2)) : null,
+    reviewCount: visible.length
+  };
+}
+
+/**
+ * Fold a source campsite into a target campsite
+ * - Reviews move to the target; where a user reviewed both, the target's review is kept
+ * - Photos are copied to the target within the photo limit
+ * - Favorites and visits move to the target, with their counts
+ * - The source is deleted with its revision history and a redirect to the
+ *   target is left in its place
+ *   (existing redirects to the source are pointed at the target)
+ * - The merge is logged in campsiteMerges
+ * Both campsites are passed as { id, ...data }; the source must already be
+ * marked with mergingInto (see isMerging)
+ * Returns a summary of what was moved
+ */
+async function mergeCampsites(source, target, userId) {
+  const db = admin.firestore();
+  const reviewsRef = db.collection('reviews');
+  const favoritesRef = db.collection('favorites');
+  const redirectsRef = db.collection('campsiteRedirects');
+  const operations = [];
+
+  const photos = await copyPhotos(source, target);
+
+  // Reviews
+  const [sourceReviews, targetReviews] = await Promise.all([
+    reviewsRef.where('campsiteId', '==', source.id).get(),
+    reviewsRef.where('campsiteId', '==', target.id).get()
+  ]);
+
+  const targetReviewers = new Set(targetReviews.docs
+    .map(doc => doc.data().userId)
+    .filter(Boolean));
+  const keptReviews = targetReviews.docs.map(doc => doc.data());
+  let reviewsDropped = 0;
+
+  for (const doc of sourceReviews.docs) {
+    const review = doc.data();
+
+    if (review.userId && targetReviewers.has(review.userId)) {
+      operations.push(batch => batch.delete(doc.ref));
+      operations.push(batch => writeTombstone(batch, 'review', doc.id, source.id, source));
+      reviewsDropped++;
+    } else {
+      // Bump updatedAt so sync clients pick up the new campsiteId
+      operations.push(batch => batch.update(doc.ref, {
+        campsiteId: target.id,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }));
+      keptReviews.push(review);
+    }
+  }
+
+  // Favorites are keyed by user and campsite, so they are recreated for the target
+  const [sourceFavorites, targetFavorites] = await Promise.all([
+    favoritesRef.where('campsiteId', '==', source.id).get(),
+    favoritesRef.where('campsiteId', '==', target.id).get()
+  ]);
+
+  const targetFavoriters = new Set(targetFavorites.docs.map(doc => doc.data().userId));
+  let favoritesMoved = 0;
+
+  for (const doc of sourceFavorites.docs) {
+    const favorite = doc.data();
+
+    if (!targetFavoriters.has(favorite.userId)) {
+      const targetFavoriteRef = favoritesRef.doc(favoriteId(favorite.userId, target.id));
+      operations.push(batch => batch.set(targetFavoriteRef, { ...favorite, campsiteId: target.id }));
+      favoritesMoved++;
+    }
+    operations.push(batch => batch.delete(doc.ref));
+  }
+
+  // Visits
+  const sourceVisits = await db.collection('visits').where('campsiteId', '==', source.id).get();
+  for (const doc of sourceVisits.docs) {
+    operations.push(batch => batch.update(doc.ref, { campsiteId: target.id }));
+  }
+
+  // Campsites merged into the source earlier now redirect to the target
+  const earlierRedirects = await redirectsRef.where('targetId', '==', source.id).get();
+  for (const doc of earlierRedirects.docs) {
+    operations.push(batch => batch.update(doc.ref, { targetId: target.id }));
+  }
+
+  await commitInBatches(operations);
+
+  // Update the target and replace the source with a redirect in one batch
+  const targetUpdates = {
+    photos: [...(target.photos || []), ...photos],
+    hasPhotos: (target.photos || []).length + photos.length > 0,
+    ...ratingSummary(keptReviews),
+    favoriteCount: admin.firestore.FieldValue.increment(favoritesMoved),
+    visitCount: admin.firestore.FieldValue.increment(source.visitCount || 0),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  for (const [month, count] of Object.entries(source.visitsByMonth || {})) {
+    targetUpdates[`visitsByMonth.${month}`] = admin.firestore.FieldValue.increment(count);
+  }
+
+  const summary = {
+    sourceId: source.id,
+    targetId: target.id,
+    reviewsMoved: sourceReviews.docs.length - reviewsDropped,
+    reviewsDropped,
+    photosMoved: photos.length,
+    photosDropped: (source.photos || []).length - photos.length,
+    favoritesMoved,
+    visitsMoved: sourceVisits.docs.length
+  };
+
+  const batch = db.batch();
+  batch.update(db.collection('campsites').doc(target.id), targetUpdates);
+  batch.delete(db.collection('campsites').doc(source.id));
+  writeTombstone(batch, 'campsite', source.id, source.id, source);
+  batch.set(redirectsRef.doc(source.id), {
+    targetId: target.id,
+    mergedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  batch.set(db.collection('campsiteMerges').doc(), {
+    ...summary,
+    userId,
+    source: snapshotOf(source),
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  await batch.commit();
+
+  // Remove what was not moved: rating limits, share links, the source's photo
+  // files and its revisions, which describe a different campsite and so cannot
+  // be reverted to on the target (the merge log keeps the source's last state)
+  const cleanup = await deleteCampsiteData(source.id);
+
+  return { ...summary, failedFiles: cleanup.failedFiles };
+}
+
+module.exports = {
+  isMerging,
+  mergeCampsites
+};
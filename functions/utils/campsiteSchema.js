@@ -0,0 +1,379 @@
+/**
+ * Campsite schema
+ * Defines which campsite fields clients may write, how they are validated,
+ * and how campsites are formatted for public responses
+ */
+
+const { currentConditions } = require('./conditions');
+
+const VISIBILITIES = ['private', 'unlisted', 'public'];
+
+// Road access levels, from easiest to hardest; a vehicle that handles a level
+// can also reach every site below it
+const ACCESS_LEVELS = ['2wd', 'high-clearance', '4x4'];
+
+// Cell signal strengths, from weakest to strongest
+const SIGNAL_LEVELS = ['none', 'weak', 'moderate', 'strong'];
+
+const CARRIERS = ['att', 'verizon', 'tmobile'];
+
+const SITE_TYPES = ['tent', 'vehicle', 'both'];
+
+// Structured amenities and access details, stored under campsite.attributes
+// Every attribute is optional; null clears a previously set value
+const ATTRIBUTES = {
+  access: {
+    type: 'string',
+    enum: ACCESS_LEVELS,
+    message: `Access must be one of: ${ACCESS_LEVELS.join(', ')}`
+  },
+  maxRigLength: {
+    type: 'number',
+    min: 0,
+    max: 100,
+    message: 'Max rig length must be 0-100 feet'
+  },
+  cellSignal: {
+    type: 'object',
+    fields: Object.fromEntries(CARRIERS.map(carrier => [carrier, {
+      type: 'string',
+      enum: SIGNAL_LEVELS,
+      message: `Signal must be one of: ${SIGNAL_LEVELS.join(', ')}`
+    }])),
+    message: 'Cell signal must be an object keyed by carrier'
+  },
+  fireRing: { type: 'boolean', message: 'Fire ring must be true or false' },
+  shade: { type: 'boolean', message: 'Shade must be true or false' },
+  waterNearby: { type: 'boolean', message: 'Water nearby must be true or false' },
+  petFriendly: { type: 'boolean', message: 'Pet friendly must be true or false' },
+  siteType: {
+    type: 'string',
+    enum: SITE_TYPES,
+    message: `Site type must be one of: ${SITE_TYPES.join(', ')}`
+  },
+  numberOfSites: {
+    type: 'integer',
+    min: 1,
+    max: 1000,
+    message: 'Number of sites must be a whole number from 1-1000'
+  }
+};
+
+// Fields clients may set on create (POST) and update (PUT)
+const FIELDS = {
+  latitude: {
+    type: 'number',
+    required: true,
+    min: -90,
+    max: 90,
+    message: 'Invalid latitude'
+  },
+  longitude: {
+    type: 'number',
+    required: true,
+    min: -180,
+    max: 180,
+    message: 'Invalid longitude'
+  },
+  title: {
+    type: 'string',
+    required: true,
+    minLength: 1,
+    maxLength: 100,
+    message: 'Title must be 1-100 characters'
+  },
+  description: {
+    type: 'string',
+    maxLength: 2000,
+    message: 'Description max 2000 characters'
+  },
+  visibility: {
+    type: 'string',
+    required: true,
+    enum: VISIBILITIES,
+    message: 'Invalid visibility'
+  },
+  attributes: {
+    type: 'object',
+    fields: ATTRIBUTES,
+    nullable: true,
+    message: 'Attributes must be an object'
+  }
+};
+
+// Maximum number of photos per campsite
+const MAX_PHOTOS = 3;
+
+// Fields only the server writes; clients sending them get a 400
+const SERVER_MANAGED_FIELDS = [
+  'id',
+  'userId',
+  'location',
+  'geohash',
+  'previousLocations',
+  'photos',
+  'hasPhotos',
+  'averageRating',
+  'reviewCount',
+  'favoriteCount',
+  'visitCount',
+  'visitsByMonth',
+  'conditions',
+  'closedUntil',
+  'reportCount',
+  'reportReasons',
+  'moderationStatus',
+  'hidden',
+  'moderatedBy',
+  'moderatedAt',
+  'sharedWith',
+  'sharedWithIds',
+  'createdAt',
+  'updatedAt'
+];
+
+/**
+ * Build an error in the same shape express-validator uses
+ */
+function fieldError(path, value, msg) {
+  return { type: 'field', value, msg, path, location: 'body' };
+}
+
+/**
+ * Check a single value against its field definition
+ * Returns the value to store (numbers and booleans are parsed), or undefined if it is invalid
+ */
+function validateValue(definition, value) {
+  if (definition.type === 'number' || definition.type === 'integer') {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return undefined;
+    if (definition.type === 'integer' && !Number.isInteger(number)) return undefined;
+    if (definition.min !== undefined && number < definition.min) return undefined;
+    if (definition.max !== undefined && number > definition.max) return undefined;
+    return number;
+  }
+
+  if (definition.type === 'string') {
+    if (typeof value !== 'string') return undefined;
+    if (definition.minLength !== undefined && value.length < definition.minLength) return undefined;
+    if (definition.maxLength !== undefined && value.length > definition.maxLength) return undefined;
+    if (definition.enum && !definition.enum.includes(value)) return undefined;
+    return value;
+  }
+
+  if (definition.type === 'boolean') {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return undefined;
+  }
+
+  return undefined;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a nested object field, reporting errors with dotted paths
+ * (e.g. attributes.cellSignal.verizon)
+ * Null values inside the object are kept so updates can clear them
+ */
+function validateObject(definition, value, path, errors) {
+  if (!isPlainObject(value)) {
+    errors.push(fieldError(path, value, definition.message));
+    return undefined;
+  }
+
+  const data = {};
+
+  for (const [key, nestedValue] of Object.entries(value)) {
+    const nestedPath = `${path}.${key}`;
+    const nestedDefinition = definition.fields[key];
+
+    if (!nestedDefinition) {
+      errors.push(fieldError(nestedPath, nestedValue, `Unknown field: ${nestedPath}`));
+      continue;
+    }
+    if (nestedValue === undefined) {
+      continue;
+    }
+    if (nestedValue === null) {
+      data[key] = null;
+      continue;
+    }
+
+    const normalized = nestedDefinition.type === 'object'
+      ? validateObject(nestedDefinition, nestedValue, nestedPath, errors)
+      : validateValue(nestedDefinition, nestedValue);
+
+    if (normalized === undefined) {
+      if (nestedDefinition.type !== 'object') {
+        errors.push(fieldError(nestedPath, nestedValue, nestedDefinition.message));
+      }
+    } else {
+      data[key] = normalized;
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Validate campsite input against the schema
+ * Options:
+ * - partial: only validate the fields present (for updates)
+ * Returns { errors, data } where data holds the validated, normalized fields
+ */
+function validateCampsite(input, { partial = false } = {}) {
+  const errors = [];
+  const data = {};
+
+  if (!isPlainObject(input)) {
+    return { errors: [fieldError('', input, 'Request body must be an object')], data };
+  }
+
+  for (const [path, value] of Object.entries(input)) {
+    if (value === undefined) {
+      continue;
+    }
+    if (SERVER_MANAGED_FIELDS.includes(path)) {
+      errors.push(fieldError(path, value, `${path} is managed by the server and cannot be set`));
+    } else if (!FIELDS[path]) {
+      errors.push(fieldError(path, value, `Unknown field: ${path}`));
+    }
+  }
+
+  for (const [path, definition] of Object.entries(FIELDS)) {
+    const value = input[path];
+
+    if (value === undefined) {
+      if (definition.required && !partial) {
+        errors.push(fieldError(path, value, definition.message));
+      }
+      continue;
+    }
+
+    if (value === null && definition.nullable) {
+      data[path] = null;
+      continue;
+    }
+
+    if (definition.type === 'object') {
+      const normalized = validateObject(definition, value, path, errors);
+      if (normalized !== undefined) {
+        data[path] = normalized;
+      }
+      continue;
+    }
+
+    const normalized = validateValue(definition, value);
+    if (normalized === undefined) {
+      errors.push(fieldError(path, value, definition.message));
+    } else {
+      data[path] = normalized;
+    }
+  }
+
+  // Coordinates describe a single position and must change together
+  if (partial && (input.latitude === undefined) !== (input.longitude === undefined)) {
+    const missing = input.latitude === undefined ? 'latitude' : 'longitude';
+    errors.push(fieldError(missing, undefined, 'Latitude and longitude must be updated together'));
+  }
+
+  return { errors, data };
+}
+
+/**
+ * Merge attribute changes into a campsite's existing attributes
+ * Attributes left out of the changes are kept; null removes an attribute.
+ * Passing null as the changes clears every attribute
+ */
+function mergeAttributes(existing, changes) {
+  if (changes === null) {
+    return {};
+  }
+
+  const merged = { ...(existing || {}) };
+
+  for (const [key, value] of Object.entries(changes || {})) {
+    if (value === null) {
+      delete merged[key];
+    } else if (isPlainObject(value)) {
+      merged[key] = mergeAttributes(merged[key], value);
+    } else {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Middleware to validate the request body against the campsite schema
+ * Options:
+ * - partial: only validate the fields present (for updates)
+ * - options: request options that are not campsite fields (e.g. notifyReviewers)
+ * Adds the validated fields to req.campsite and the request options to req.options
+ */
+function validateCampsiteBody({ partial = false, options = [] } = {}) {
+  return (req, res, next) => {
+    const input = { ...req.body };
+    req.options = {};
+
+    for (const name of options) {
+      req.options[name] = input[name];
+      delete input[name];
+    }
+
+    const { errors, data } = validateCampsite(input, { partial });
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    req.campsite = data;
+    next();
+  };
+}
+
+/**
+ * Format a campsite for public responses, leaving out owner and internal fields
+ */
+function formatPublicCampsite(campsite) {
+  return {
+    id: campsite.id,
+    title: campsite.title,
+    description: campsite.description,
+    location: {
+      latitude: campsite.location?.latitude,
+      longitude: campsite.location?.longitude
+    },
+    photos: campsite.photos || [],
+    hasPhotos: campsite.hasPhotos || false,
+    averageRating: campsite.averageRating || null,
+    reviewCount: campsite.reviewCount || 0,
+    favoriteCount: campsite.favoriteCount || 0,
+    visitCount: campsite.visitCount || 0,
+    visitsByMonth: campsite.visitsByMonth || {},
+    conditions: currentConditions(campsite.conditions),
+    closedUntil: campsite.closedUntil || null,
+    attributes: campsite.attributes || {},
+    createdAt: campsite.createdAt
+  };
+}
+
+module.exports = {
+  VISIBILITIES,
+  MAX_PHOTOS,
+  ACCESS_LEVELS,
+  SIGNAL_LEVELS,
+  CARRIERS,
+  SITE_TYPES,
+  ATTRIBUTES,
+  FIELDS,
+  SERVER_MANAGED_FIELDS,
+  validateCampsite,
+  mergeAttributes,
+  validateCampsiteBody,
+  formatPublicCampsite
+};
@@ -0,0 +1,125 @@
+const admin = require('firebase-admin');
+
+/**
+ * Condition report types
+ * Each report expires ttlHours after it was posted; a newer report of the same
+ * type replaces the older one. Blocking values make a campsite unreachable
+ * until the report expires or is superseded
+ */
+const CONDITION_TYPES = {
+  road: { values: ['good', 'rough', 'impassable'], ttlHours: 14 * 24, blocking: ['impassable'] },
+  snow: { values: ['none', 'light', 'deep'], ttlHours: 3 * 24, blocking: [] },
+  mud: { values: ['dry', 'muddy', 'impassable'], ttlHours: 3 * 24, blocking: ['impassable'] },
+  closure: { values: ['open', 'closed'], ttlHours: 30 * 24, blocking: ['closed'] },
+  crowding: { values: ['empty', 'some', 'full'], ttlHours: 12, blocking: [] },
+  fireRestrictions: { values: ['none', 'stage-1', 'stage-2', 'ban'], ttlHours: 30 * 24, blocking: [] }
+};
+
+const MAX_NOTE_LENGTH = 280;
+
+/**
+ * Validate a condition report from a request body
+ * Returns { error } or { data }
+ */
+function validateCondition({ type, value, note }) {
+  const conditionType = CONDITION_TYPES[type];
+
+  if (!conditionType) {
+    return { error: `Condition type must be one of: ${Object.keys(CONDITION_TYPES).join(', ')}` };
+  }
+
+  if (!conditionType.values.includes(value)) {
+    return { error: `Value for ${type} must be one of: ${conditionType.values.join(', ')}` };
+  }
+
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    return { error: `Note must be ${MAX_NOTE_LENGTH} characters or less` };
+  }
+
+  return { data: { type, value, note: note || null } };
+}
+
+/**
+ * Get the expiry time of a report of the given type posted at reportedAt
+ */
+function expiryOf(type, reportedAt) {
+  return admin.firestore.Timestamp.fromMillis(
+    reportedAt.toMillis() + CONDITION_TYPES[type].ttlHours * 60 * 60 * 1000
+  );
+}
+
+/**
+ * Build the summary entry a campsite keeps for its latest report of a type
+ */
+function conditionEntry(reportId, report) {
+  return {
+    reportId,
+    value: report.value,
+    note: report.note,
+    reportedAt: report.createdAt,
+    expiresAt: report.expiresAt
+  };
+}
+
+/**
+ * Get the time until which a campsite is closed by its blocking conditions,
+ * or null if none are in effect
+ */
+function closedUntilOf(conditions, now = Date.now()) {
+  let closedUntil = null;
+
+  for (const [type, entry] of Object.entries(conditions || {})) {
+    const blocking = CONDITION_TYPES[type] && CONDITION_TYPES[type].blocking.includes(entry.value);
+    const expiresAt = entry.expiresAt.toMillis();
+
+    if (blocking && expiresAt > now && (!closedUntil || expiresAt > closedUntil.toMillis())) {
+      closedUntil = entry.expiresAt;
+    }
+  }
+
+  return closedUntil;
+}
+
+/**
+ * Check whether a campsite has an active closed or impassable report
+ */
+function isClosed(campsite, now = Date.now()) {
+  return Boolean(campsite.closedUntil && campsite.closedUntil.toMillis() > now);
+}
+
+/**
+ * Summarize a campsite's current conditions, dropping expired reports
+ * Each condition gets a freshness from 1 (just reported) decaying to 0 at expiry
+ */
+function currentConditions(conditions, now = Date.now()) {
+  const current = {};
+
+  for (const [type, entry] of Object.entries(conditions || {})) {
+    const reportedAt = entry.reportedAt.toMillis();
+    const expiresAt = entry.expiresAt.toMillis();
+
+    if (expiresAt <= now) {
+      continue;
+    }
+
+    current[type] = {
+      value: entry.value,
+      note: entry.note,
+      reportedAt: entry.reportedAt,
+      expiresAt: entry.expiresAt,
+      freshness: parseFloat(Math.min(1, 1 - (now - reportedAt) / (expiresAt - reportedAt)).toFixed(2))
+    };
+  }
+
+  return current;
+}
+
+module.exports = {
+  CONDITION_TYPES,
+  validateCondition,
+  expiryOf,
+  conditionEntry,
+  closedUntilOf,
+  isClosed,
+  currentConditions
+};
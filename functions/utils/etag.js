@@ -0,0 +1,81 @@
+/**
+ * ETags for optimistic concurrency on campsite edits
+ * Clients send the ETag from GET /api/campsites/:id back in If-Match, and
+ * edits are rejected with 412 if the campsite changed in the meantime
+ */
+
+// gRPC status Firestore uses when a write precondition does not hold
+const FAILED_PRECONDITION = 9;
+
+/**
+ * Build a strong ETag from a campsite's updatedAt timestamp
+ * Campsites written before updatedAt existed fall back to createdAt
+ */
+function campsiteETag(campsite) {
+  const timestamp = campsite.updatedAt || campsite.createdAt;
+
+  if (!timestamp || timestamp.seconds === undefined) {
+    return '"0"';
+  }
+
+  return `"${timestamp.seconds}.${timestamp.nanoseconds || 0}"`;
+}
+
+/**
+ * Check a request's If-Match header against the current ETag
+ * Requests without If-Match always match, so clients can opt in
+ * If-Match uses strong comparison (RFC 9110 section 13.1.1), so weak
+ * W/"..." tags never match
+ */
+function ifMatchSatisfied(req, etag) {
+  const header = req.get('If-Match');
+
+  if (!header) {
+    return true;
+  }
+
+  return header
+    .split(',')
+    .map(value => value.trim())
+    .some(value => value === '*' || value === etag);
+}
+
+/**
+ * Send a 412 for a failed If-Match, including the current ETag so the client
+ * can reload the campsite and retry
+ */
+function sendPreconditionFailed(res, etag) {
+  res.set('ETag', etag);
+  return res.status(412).json({
+    error: 'Campsite has changed since it was loaded',
+    etag
+  });
+}
+
+/**
+ * Write precondition that fails if the document changed after it was read,
+ * closing the gap between checking If-Match and writing
+ * Returns undefined when the request has no If-Match, so writes are unconditional
+ */
+function unchangedSince(req, doc) {
+  if (!req.get('If-Match') || !doc.updateTime) {
+    return undefined;
+  }
+
+  return { lastUpdateTime: doc.updateTime };
+}
+
+/**
+ * Check whether a Firestore error came from a failed write precondition
+ */
+function isPreconditionFailure(error) {
+  return error.code === FAILED_PRECONDITION;
+}
+
+module.exports = {
+  campsiteETag,
+  ifMatchSatisfied,
+  sendPreconditionFailed,
+  unchangedSince,
+  isPreconditionFailure
+};
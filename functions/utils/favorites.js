@@ -0,0 +1,31 @@
+const admin = require('firebase-admin');
+
+/**
+ * Favorites are stored one document per user and campsite, keyed by both IDs,
+ * so a user can favorite a campsite at most once and lookups need no query
+ */
+function favoriteId(userId, campsiteId) {
+  return `${userId}_${campsiteId}`;
+}
+
+/**
+ * Get the subset of campsite IDs the user has favorited
+ * Returns an empty set for unauthenticated requests
+ */
+async function favoritedBy(user, campsiteIds) {
+  if (!user || campsiteIds.length === 0) {
+    return new Set();
+  }
+
+  const favoritesRef = admin.firestore().collection('favorites');
+  const docs = await Promise.all(campsiteIds.map(campsiteId =>
+    favoritesRef.doc(favoriteId(user.uid, campsiteId)).get()
+  ));
+
+  return new Set(campsiteIds.filter((campsiteId, index) => docs[index].exists));
+}
+
+module.exports = {
+  favoriteId,
+  favoritedBy
+};
@@ -0,0 +1,277 @@
+const admin = require('firebase-admin');
+const geohash = require('geofire-common');
+
+/**
+ * Build the stored location fields for a campsite at the given coordinates
+ * The GeoPoint, plain coordinates and geohash must always change together
+ */
+function locationFields(latitude, longitude) {
+  return {
+    location: new admin.firestore.GeoPoint(latitude, longitude),
+    latitude,
+    longitude,
+    // Calculate geohash for geographic queries
+    geohash: geohash.geohashForLocation([latitude, longitude])
+  };
+}
+
+/**
+ * Get [latitude, longitude] for a campsite, preferring the GeoPoint
+ */
+function positionOf(campsite) {
+  return [
+    campsite.location?.latitude ?? campsite.latitude,
+    campsite.location?.longitude ?? campsite.longitude
+  ];
+}
+
+/**
+ * Find public campsites within radiusInM meters of center ([latitude, longitude])
+ * Queries each geohash range covering the circle, then drops the matches
+ * outside it; each campsite gets its distance from center in meters
+ */
+async function findPublicCampsitesNear(center, radiusInM) {
+  const query = admin.firestore().collection('campsites')
+    .where('visibility', '==', 'public');
+
+  const bounds = geohash.geohashQueryBounds(center, radiusInM);
+  const snapshots = await Promise.all(bounds.map(([start, end]) =>
+    query.orderBy('geohash').startAt(start).endAt(end).get()
+  ));
+
+  const matches = [];
+  for (const snap of snapshots) {
+    for (const doc of snap.docs) {
+      const data = doc.data();
+
+      if (data.location && data.location.latitude && data.location.longitude) {
+        const distanceInM = geohash.distanceBetween(
+          [data.location.latitude, data.location.longitude],
+          center
+        ) * 1000;
+
+        if (distanceInM <= radiusInM) {
+          matches.push({ id: doc.id, ...data, distanceMeters: distanceInM });
+        }
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Parse a bounding box given as "minLng,minLat,maxLng,maxLat"
+ * Returns null if it is malformed or out of range
+ */
+function parseBbox(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const parts = value.split(',');
+  if (parts.length !== 4) {
+    return null;
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts.map(Number);
+  if ([minLng, minLat, maxLng, maxLat].some(n => !Number.isFinite(n)) ||
+      minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90 ||
+      minLng > maxLng || minLat > maxLat) {
+    return null;
+  }
+
+  return { minLng, minLat, maxLng, maxLat };
+}
+
+/**
+ * Check whether a [latitude, longitude] position lies inside a bounding box
+ */
+function inBbox(bbox, [latitude, longitude]) {
+  return latitude >= bbox.minLat && latitude <= bbox.maxLat &&
+    longitude >= bbox.minLng && longitude <= bbox.maxLng;
+}
+
+// Most geohash cells queried for one bounding box
+const MAX_BBOX_CELLS = 16;
+
+// Finest geohash precision used for bounding box queries
+const MAX_CELL_PRECISION = 9;
+
+/**
+ * Width and height in degrees of a geohash cell at the given precision
+ * Geohash bits alternate between longitude and latitude, longitude first
+ */
+function cellSize(precision) {
+  const bits = precision * 5;
+  return {
+    width: 360 / 2 ** Math.ceil(bits / 2),
+    height: 180 / 2 ** Math.floor(bits / 2)
+  };
+}
+
+/**
+ * Rows and columns of the geohash grid at the given precision that a
+ * bounding box overlaps
+ */
+function cellGrid(bbox, precision) {
+  const { width, height } = cellSize(precision);
+  const lastColumn = 360 / width - 1;
+  const lastRow = 180 / height - 1;
+
+  return {
+    width,
+    height,
+    columns: [
+      Math.floor((bbox.minLng + 180) / width),
+      Math.min(Math.floor((bbox.maxLng + 180) / width), lastColumn)
+    ],
+    rows: [
+      Math.floor((bbox.minLat + 90) / height),
+      Math.min(Math.floor((bbox.maxLat + 90) / height), lastRow)
+    ]
+  };
+}
+
+/**
+ * Number of geohash cells of the given precision that a bounding box overlaps
+ */
+function geohashCellCount(bbox, precision) {
+  const { columns, rows } = cellGrid(bbox, precision);
+  return (columns[1] - columns[0] + 1) * (rows[1] - rows[0] + 1);
+}
+
+/**
+ * Geohash cells of one precision that together cover a bounding box
+ * Without a precision, uses the finest one that needs at most MAX_BBOX_CELLS
+ * cells, so each cell can be fetched with a single range query
+ */
+function geohashesCoveringBbox(bbox, precision) {
+  if (!precision) {
+    precision = 1;
+    while (precision < MAX_CELL_PRECISION && geohashCellCount(bbox, precision + 1) <= MAX_BBOX_CELLS) {
+      precision++;
+    }
+  }
+
+  const { width, height, columns, rows } = cellGrid(bbox, precision);
+  const cells = [];
+  for (let row = rows[0]; row <= rows[1]; row++) {
+    for (let column = columns[0]; column <= columns[1]; column++) {
+      const center = [-90 + (row + 0.5) * height, -180 + (column + 0.5) * width];
+      cells.push(geohash.geohashForLocation(center, precision));
+    }
+  }
+
+  return cells;
+}
+
+/**
+ * Find the campsites a query matches inside a bounding box
+ * Queries the geohash range of each cell covering the box, then drops the
+ * matches outside it. With a limit, at most that many campsites are returned
+ * and truncated tells whether the box may hold more
+ */
+async function findCampsitesInBbox(query, bbox, limit) {
+  const snapshots = await Promise.all(geohashesCoveringBbox(bbox).map(cell => {
+    const cellQuery = query.orderBy('geohash').startAt(cell).endAt(`${cell}~`);
+    return (limit ? cellQuery.limit(limit + 1) : cellQuery).get();
+  }));
+
+  const campsites = snapshots
+    .flatMap(snap => snap.docs)
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(campsite => campsite.location && inBbox(bbox, positionOf(campsite)));
+
+  // A full cell may have had more campsites inside the box past the limit
+  const truncated = Boolean(limit) && (
+    campsites.length > limit || snapshots.some(snap => snap.docs.length > limit)
+  );
+
+  return {
+    campsites: limit ? campsites.slice(0, limit) : campsites,
+    truncated
+  };
+}
+
+/**
+ * Find public campsites inside a bounding box (see findCampsitesInBbox)
+ */
+function findPublicCampsitesInBbox(bbox, limit) {
+  const query = admin.firestore().collection('campsites')
+    .where('visibility', '==', 'public');
+
+  return findCampsitesInBbox(query, bbox, limit);
+}
+
+/**
+ * Number of campsites with a numeric averageRating in a cell summary
+ * Aggregations cannot count them directly, but sum and average both skip
+ * unrated campsites, so their ratio gives it
+ */
+function ratedCount({ ratingSum, ratingAverage }) {
+  return ratingAverage ? Math.round(ratingSum / ratingAverage) : 0;
+}
+
+/**
+ * Count public campsites in each geohash cell of the given precision covering
+ * a bounding box, with their mean position and mean average rating
+ * Runs two aggregation queries per cell, one over every public campsite in it
+ * and one over the hidden ones, and subtracts the second from the first
+ * (hidden is only set on campsites that were reported, so it cannot be
+ * filtered on directly). Cells count every campsite in them, including those
+ * past the edges of the box; empty cells are left out
+ */
+async function clusterPublicCampsitesInBbox(bbox, precision) {
+  const { AggregateField } = admin.firestore;
+  const query = admin.firestore().collection('campsites')
+    .where('visibility', '==', 'public');
+  const hiddenQuery = query.where('hidden', '==', true);
+
+  const summarize = (cellQuery, cell) => cellQuery.orderBy('geohash').startAt(cell).endAt(`${cell}~`)
+    .aggregate({
+      count: AggregateField.count(),
+      latitude: AggregateField.sum('latitude'),
+      longitude: AggregateField.sum('longitude'),
+      ratingSum: AggregateField.sum('averageRating'),
+      ratingAverage: AggregateField.average('averageRating')
+    })
+    .get()
+    .then(snapshot => snapshot.data());
+
+  const cells = geohashesCoveringBbox(bbox, precision);
+  const summaries = await Promise.all(cells.map(cell =>
+    Promise.all([summarize(query, cell), summarize(hiddenQuery, cell)])
+  ));
+
+  return cells
+    .map((cell, i) => {
+      const [all, hidden] = summaries[i];
+      const count = all.count - hidden.count;
+      const rated = ratedCount(all) - ratedCount(hidden);
+
+      return {
+        geohash: cell,
+        count,
+        center: {
+          latitude: (all.latitude - hidden.latitude) / count,
+          longitude: (all.longitude - hidden.longitude) / count
+        },
+        averageRating: rated > 0 ? (all.ratingSum - hidden.ratingSum) / rated : null
+      };
+    })
+    .filter(({ count }) => count > 0);
+}
+
+module.exports = {
+  locationFields,
+  positionOf,
+  findPublicCampsitesNear,
+  parseBbox,
+  inBbox,
+  geohashCellCount,
+  geohashesCoveringBbox,
+  findCampsitesInBbox,
+  findPublicCampsitesInBbox,
+  clusterPublicCampsitesInBbox
+};
@@ -0,0 +1,436 @@
+/**
+ * Serializers and parsers for GPS and mapping file formats
+ * Exports campsites as GPX waypoints, KML placemarks or GeoJSON FeatureCollections
+ * Imports points from GPX, KML, GeoJSON and CSV files
+ */
+
+/**
+ * Escape a value for use inside XML text or attributes
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Get [latitude, longitude] for a campsite, preferring the GeoPoint
+ * Returns null if the campsite has no usable coordinates
+ */
+function coordinatesOf(campsite) {
+  const latitude = campsite.location?.latitude ?? campsite.latitude;
+  const longitude = campsite.location?.longitude ?? campsite.longitude;
+
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+    return null;
+  }
+
+  return [latitude, longitude];
+}
+
+/**
+ * Collect the thumbnail links for a campsite's photos
+ */
+function thumbnailsOf(campsite) {
+  return (campsite.photos || [])
+    .map(photo => photo.thumbnailUrl)
+    .filter(Boolean);
+}
+
+/**
+ * Convert a campsite to a GeoJSON Feature
+ */
+function toFeature(campsite) {
+  const [latitude, longitude] = coordinatesOf(campsite);
+
+  return {
+    type: 'Feature',
+    id: campsite.id,
+    geometry: {
+      type: 'Point',
+      coordinates: [longitude, latitude]
+    },
+    properties: {
+      id: campsite.id,
+      title: campsite.title || '',
+      description: campsite.description || '',
+      averageRating: campsite.averageRating || null,
+      reviewCount: campsite.reviewCount || 0,
+      thumbnails: thumbnailsOf(campsite)
+    }
+  };
+}
+
+/**
+ * Serialize campsites as a GeoJSON FeatureCollection
+ */
+function toGeoJSON(campsites) {
+  const features = campsites
+    .filter(campsite => coordinatesOf(campsite))
+    .map(toFeature);
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+/**
+ * Serialize campsites as GPX 1.1 waypoints
+ */
+function toGPX(campsites) {
+  const waypoints = campsites
+    .filter(campsite => coordinatesOf(campsite))
+    .map(campsite => {
+      const [latitude, longitude] = coordinatesOf(campsite);
+      const lines = [
+        `  <wpt lat="${latitude}" lon="${longitude}">`,
+        `    <name>${escapeXml(campsite.title || '')}</name>`
+      ];
+
+      if (campsite.description) {
+        lines.push(`    <desc>${escapeXml(campsite.description)}</desc>`);
+      }
+
+      for (const thumbnail of thumbnailsOf(campsite)) {
+        lines.push(`    <link href="${escapeXml(thumbnail)}"><text>Photo</text><type>image/jpeg</type></link>`);
+      }
+
+      lines.push('    <sym>Campground</sym>');
+      lines.push('    <extensions>');
+      lines.push(`      <dispersed:id>${escapeXml(campsite.id)}</dispersed:id>`);
+      if (campsite.averageRating) {
+        lines.push(`      <dispersed:rating>${campsite.averageRating}</dispersed:rating>`);
+      }
+      lines.push(`      <dispersed:reviewCount>${campsite.reviewCount || 0}</dispersed:reviewCount>`);
+      lines.push('    </extensions>');
+      lines.push('  </wpt>');
+
+      return lines.join('\n');
+    });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Dispersed" xmlns="http://www.topografix.com/GPX/1/1" xmlns:dispersed="https://dispersed.app/gpx/1">',
+    ...waypoints,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Serialize campsites as KML 2.2 placemarks
+ */
+function toKML(campsites) {
+  const placemarks = campsites
+    .filter(campsite => coordinatesOf(campsite))
+    .map(campsite => {
+      const [latitude, longitude] = coordinatesOf(campsite);
+      const data = {
+        id: campsite.id,
+        averageRating: campsite.averageRating || '',
+        reviewCount: campsite.reviewCount || 0,
+        thumbnails: thumbnailsOf(campsite).join(' ')
+      };
+
+      const extendedData = Object.entries(data)
+        .map(([name, value]) => `        <Data name="${name}"><value>${escapeXml(value)}</value></Data>`);
+
+      return [
+        '    <Placemark>',
+        `      <name>${escapeXml(campsite.title || '')}</name>`,
+        `      <description>${escapeXml(campsite.description || '')}</description>`,
+        '      <ExtendedData>',
+        ...extendedData,
+        '      </ExtendedData>',
+        `      <Point><coordinates>${longitude},${latitude}</coordinates></Point>`,
+        '    </Placemark>'
+      ].join('\n');
+    });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    '    <name>Dispersed Campsites</name>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+// Supported export formats keyed by the `format` query parameter
+const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx', serialize: toGPX },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml', serialize: toKML },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson', serialize: toGeoJSON }
+};
+
+/**
+ * Send campsites as a file download in the requested format
+ */
+function sendExport(res, campsites, format, filename) {
+  const exporter = EXPORT_FORMATS[format];
+
+  res.set('Content-Type', `${exporter.contentType}; charset=utf-8`);
+  res.set('Content-Disposition', `attachment; filename="${filename}.${exporter.extension}"`);
+  res.send(exporter.serialize(campsites));
+}
+
+/**
+ * Decode XML entities and CDATA sections in element text
+ */
+function unescapeXml(value) {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Get the text of the first child element with the given tag name
+ */
+function elementText(xml, tagName) {
+  const match = xml.match(new RegExp(`<${tagName}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagName}>`));
+  return match ? unescapeXml(match[1]) : undefined;
+}
+
+/**
+ * Parse GPX waypoints
+ */
+function parseGPX(content) {
+  const points = [];
+  const waypointPattern = /<wpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/wpt>)/g;
+  let match;
+
+  while ((match = waypointPattern.exec(content)) !== null) {
+    const attributes = match[1];
+    const body = match[2] || '';
+    const latitude = attributes.match(/\blat\s*=\s*["']([^"']*)["']/);
+    const longitude = attributes.match(/\blon\s*=\s*["']([^"']*)["']/);
+
+    points.push({
+      latitude: latitude ? parseFloat(latitude[1]) : undefined,
+      longitude: longitude ? parseFloat(longitude[1]) : undefined,
+      title: elementText(body, 'name'),
+      description: elementText(body, 'desc') || elementText(body, 'cmt')
+    });
+  }
+
+  return points;
+}
+
+/**
+ * Parse KML placemarks with Point geometry
+ */
+function parseKML(content) {
+  const points = [];
+  const placemarkPattern = /<Placemark\b[^>]*>([\s\S]*?)<\/Placemark>/g;
+  let match;
+
+  while ((match = placemarkPattern.exec(content)) !== null) {
+    const body = match[1];
+    const point = elementText(body, 'Point');
+
+    // Placemarks without a Point (paths, polygons) are not campsites
+    if (point === undefined) {
+      continue;
+    }
+
+    const [longitude, latitude] = (elementText(point, 'coordinates') || '')
+      .split(',')
+      .map(value => parseFloat(value));
+
+    points.push({
+      latitude,
+      longitude,
+      title: elementText(body, 'name'),
+      description: elementText(body, 'description')
+    });
+  }
+
+  return points;
+}
+
+/**
+ * Parse GeoJSON Point features
+ */
+function parseGeoJSON(content) {
+  const geojson = JSON.parse(content);
+  let features = [];
+
+  if (geojson.type === 'FeatureCollection') {
+    features = geojson.features || [];
+  } else if (geojson.type === 'Feature') {
+    features = [geojson];
+  }
+
+  return features
+    .filter(feature => feature && feature.geometry && feature.geometry.type === 'Point')
+    .map(feature => {
+      const [longitude, latitude] = feature.geometry.coordinates || [];
+      const properties = feature.properties || {};
+
+      return {
+        latitude,
+        longitude,
+        title: properties.title ?? properties.name,
+        description: properties.description ?? properties.desc,
+        visibility: properties.visibility
+      };
+    });
+}
+
+/**
+ * Split CSV content into rows of fields, honoring quoted values
+ */
+function splitCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Accepted CSV header names for each campsite field
+const CSV_COLUMNS = {
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lng', 'lon', 'long'],
+  title: ['title', 'name'],
+  description: ['description', 'desc', 'notes'],
+  visibility: ['visibility']
+};
+
+/**
+ * Parse CSV rows using the header row to locate columns
+ */
+function parseCSV(content) {
+  const [header, ...rows] = splitCsv(content.replace(/^\uFEFF/, ''));
+
+  if (!header) {
+    return [];
+  }
+
+  const names = header.map(name => name.trim().toLowerCase());
+  const columns = {};
+
+  for (const [fieldName, aliases] of Object.entries(CSV_COLUMNS)) {
+    columns[fieldName] = names.findIndex(name => aliases.includes(name));
+  }
+
+  if (columns.latitude === -1 || columns.longitude === -1) {
+    throw new Error('CSV must include latitude and longitude columns');
+  }
+
+  return rows.map(fields => {
+    const value = (fieldName) => {
+      const index = columns[fieldName];
+      return index === -1 || fields[index] === undefined ? undefined : fields[index].trim();
+    };
+
+    return {
+      latitude: parseFloat(value('latitude')),
+      longitude: parseFloat(value('longitude')),
+      title: value('title'),
+      description: value('description'),
+      visibility: value('visibility') || undefined
+    };
+  });
+}
+
+// Supported import formats keyed by file extension
+const IMPORT_FORMATS = {
+  gpx: parseGPX,
+  kml: parseKML,
+  geojson: parseGeoJSON,
+  json: parseGeoJSON,
+  csv: parseCSV
+};
+
+/**
+ * Work out the format of an uploaded file from its name, falling back to its content
+ */
+function detectFormat(filename, content) {
+  const extension = (filename || '').split('.').pop().toLowerCase();
+
+  if (IMPORT_FORMATS[extension]) {
+    return extension === 'json' ? 'geojson' : extension;
+  }
+
+  const start = content.trimStart().slice(0, 500);
+  if (start.startsWith('{')) return 'geojson';
+  if (start.includes('<gpx')) return 'gpx';
+  if (start.includes('<kml')) return 'kml';
+  return 'csv';
+}
+
+/**
+ * Parse an uploaded file into a list of candidate campsite points
+ * Throws if the file cannot be read in the given format
+ */
+function parseImport(content, format) {
+  const parse = IMPORT_FORMATS[format];
+
+  if (!parse) {
+    throw new Error(`Unsupported import format: ${format}`);
+  }
+
+  return parse(content);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  IMPORT_FORMATS,
+  coordinatesOf,
+  toGeoJSON,
+  toGPX,
+  toKML,
+  sendExport,
+  parseGPX,
+  parseKML,
+  parseGeoJSON,
+  parseCSV,
+  detectFormat,
+  parseImport
+};
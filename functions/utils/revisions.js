@@ -0,0 +1,65 @@
+const admin = require('firebase-admin');
+const { FIELDS } = require('./campsiteSchema');
+
+// Campsite fields kept in revision history: everything clients can edit
+const TRACKED_FIELDS = Object.keys(FIELDS);
+
+/**
+ * Pick the tracked fields from a campsite
+ */
+function snapshotOf(campsite) {
+  const snapshot = {};
+  for (const field of TRACKED_FIELDS) {
+    snapshot[field] = campsite[field] === undefined ? null : campsite[field];
+  }
+  return snapshot;
+}
+
+/**
+ * List the tracked fields that differ between two versions of a campsite
+ */
+function diffFields(before, after) {
+  const beforeSnapshot = snapshotOf(before);
+  const afterSnapshot = snapshotOf(after);
+
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(beforeSnapshot[field]) !== JSON.stringify(afterSnapshot[field]))
+    .map(field => ({
+      field,
+      before: beforeSnapshot[field],
+      after: afterSnapshot[field]
+    }));
+}
+
+/**
+ * Add an immutable revision for a campsite change to a batch or transaction
+ * Updates that do not change any tracked field are not recorded
+ * Returns the new revision reference, or null if nothing was recorded
+ */
+function recordRevision(writer, campsiteId, { action, userId, before, after, revertedFrom }) {
+  const changes = diffFields(before || {}, after);
+
+  if (action === 'update' && changes.length === 0) {
+    return null;
+  }
+
+  const revisionRef = admin.firestore().collection('campsiteRevisions').doc();
+  writer.set(revisionRef, {
+    campsiteId,
+    action,
+    userId,
+    changes,
+    snapshot: snapshotOf(after),
+    revertedFrom: revertedFrom || null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return revisionRef;
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotOf,
+  diffFields,
+  recordRevision
+};
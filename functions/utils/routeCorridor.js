@@ -0,0 +1,311 @@
+const admin = require('firebase-admin');
+const { positionOf, inBbox, geohashCellCount, geohashesCoveringBbox } = require('./geo');
+
+// Mean Earth radius, as used by geofire-common's distanceBetween
+const EARTH_RADIUS_M = 6371000;
+
+// Most points accepted in a route
+const MAX_ROUTE_POINTS = 10000;
+
+// Longest route accepted, in miles
+const MAX_ROUTE_MILES = 3000;
+
+// Most bounding boxes a corridor is split into, besides one per route segment
+const MAX_CORRIDOR_BOXES = 1000;
+
+// Most geohash cells queried for one corridor
+const MAX_CORRIDOR_CELLS = 100;
+
+// Finest geohash precision tried when covering a corridor
+const MAX_CORRIDOR_PRECISION = 9;
+
+/**
+ * Decode an encoded polyline (precision 5, as used by Google and OSRM)
+ * into [latitude, longitude] points
+ * Throws if the string is truncated
+ */
+function decodePolyline(encoded) {
+  const points = [];
+  let index = 0;
+  let latitude = 0;
+  let longitude = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+
+    do {
+      if (index >= encoded.length) {
+        throw new Error('polyline is truncated');
+      }
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    latitude += nextValue();
+    longitude += nextValue();
+    points.push([latitude / 1e5, longitude / 1e5]);
+  }
+
+  return points;
+}
+
+/**
+ * Read a route from a request body as [latitude, longitude] points
+ * Takes either route, a GeoJSON LineString (or Feature holding one), or
+ * polyline, an encoded polyline
+ * Throws an error with a message for the client if the route is invalid
+ */
+function parseRoute({ route, polyline } = {}) {
+  if ((route === undefined) === (polyline === undefined)) {
+    throw new Error('Provide either route (GeoJSON LineString) or polyline');
+  }
+
+  let points;
+  if (polyline !== undefined) {
+    if (typeof polyline !== 'string') {
+      throw new Error('polyline must be an encoded polyline string');
+    }
+    points = decodePolyline(polyline);
+  } else {
+    const geometry = route && route.type === 'Feature' ? route.geometry : route;
+    if (!geometry || geometry.type !== 'LineString' || !Array.isArray(geometry.coordinates)) {
+      throw new Error('route must be a GeoJSON LineString');
+    }
+    points = geometry.coordinates.map(coordinate =>
+      Array.isArray(coordinate) ? [coordinate[1], coordinate[0]] : []
+    );
+  }
+
+  if (points.length < 2 || points.length > MAX_ROUTE_POINTS) {
+    throw new Error(`Route must have between 2 and ${MAX_ROUTE_POINTS} points`);
+  }
+
+  const valid = points.every(([latitude, longitude]) =>
+    Number.isFinite(latitude) && latitude >= -90 && latitude <= 90 &&
+    Number.isFinite(longitude) && longitude >= -180 && longitude <= 180
+  );
+  if (!valid) {
+    throw new Error('Route coordinates are out of range');
+  }
+
+  if (routeLength(points) > MAX_ROUTE_MILES * 1609.34) {
+    throw new Error(`Route must be at most ${MAX_ROUTE_MILES} miles long`);
+  }
+
+  return points;
+}
+
+/**
+ * Project a point to meters on a plane tangent to the Earth at origin
+ * Accurate enough over the length of one route segment
+ */
+function toPlane(origin, [latitude, longitude]) {
+  const radians = Math.PI / 180;
+  return {
+    x: (longitude - origin[1]) * radians * EARTH_RADIUS_M * Math.cos(origin[0] * radians),
+    y: (latitude - origin[0]) * radians * EARTH_RADIUS_M
+  };
+}
+
+/**
+ * Length of each segment of a route, in meters
+ */
+function segmentLengths(points) {
+  return points.slice(1).map((end, i) => {
+    const { x, y } = toPlane(points[i], end);
+    return Math.hypot(x, y);
+  });
+}
+
+/**
+ * Total length of a route in meters
+ */
+function routeLength(points) {
+  return segmentLengths(points).reduce((sum, length) => sum + length, 0);
+}
+
+/**
+ * Distance from the route start to the start of each segment, in meters
+ */
+function segmentStarts(lengths) {
+  const starts = [];
+  let start = 0;
+  for (const length of lengths) {
+    starts.push(start);
+    start += length;
+  }
+  return starts;
+}
+
+/**
+ * Where a position is relative to some segments of a route (see locateOnRoute)
+ */
+function locateOnSegments(points, position, lengths, starts, segments) {
+  let best = { along: 0, offset: Infinity };
+
+  for (const i of segments) {
+    const end = toPlane(points[i], points[i + 1]);
+    const point = toPlane(points[i], position);
+    const t = lengths[i] > 0
+      ? Math.max(0, Math.min(1, (point.x * end.x + point.y * end.y) / (lengths[i] ** 2)))
+      : 0;
+    const offset = Math.hypot(point.x - t * end.x, point.y - t * end.y);
+
+    if (offset < best.offset) {
+      best = { along: starts[i] + t * lengths[i], offset };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Where a position is relative to a route: distance from the route start to
+ * the nearest point on it (along), and from that point to the position (offset),
+ * both in meters
+ */
+function locateOnRoute(points, position) {
+  const lengths = segmentLengths(points);
+  return locateOnSegments(points, position, lengths, segmentStarts(lengths), lengths.keys());
+}
+
+/**
+ * Bounding boxes that together cover every position within widthInM of a
+ * route, one per stretch of at most widthInM along it (longer for narrow
+ * corridors, so there are at most MAX_CORRIDOR_BOXES stretches)
+ * Each box holds the index of the segment its stretch is on
+ */
+function corridorBoxes(points, lengths, widthInM) {
+  const boxes = [];
+  const latMargin = widthInM / EARTH_RADIUS_M * 180 / Math.PI;
+  const stretch = Math.max(widthInM, lengths.reduce((sum, length) => sum + length, 0) / MAX_CORRIDOR_BOXES);
+
+  for (let i = 0; i < lengths.length; i++) {
+    const [fromLat, fromLng] = points[i];
+    const [toLat, toLng] = points[i + 1];
+    const steps = Math.max(1, Math.ceil(lengths[i] / stretch));
+
+    for (let step = 0; step < steps; step++) {
+      const a = [fromLat + (toLat - fromLat) * step / steps, fromLng + (toLng - fromLng) * step / steps];
+      const b = [fromLat + (toLat - fromLat) * (step + 1) / steps, fromLng + (toLng - fromLng) * (step + 1) / steps];
+      const widestLat = Math.min(89, Math.max(Math.abs(a[0]), Math.abs(b[0])) + latMargin);
+      const lngMargin = latMargin / Math.cos(widestLat * Math.PI / 180);
+
+      boxes.push({
+        minLng: Math.max(-180, Math.min(a[1], b[1]) - lngMargin),
+        minLat: Math.max(-90, Math.min(a[0], b[0]) - latMargin),
+        maxLng: Math.min(180, Math.max(a[1], b[1]) + lngMargin),
+        maxLat: Math.min(90, Math.max(a[0], b[0]) + latMargin),
+        segment: i
+      });
+    }
+  }
+
+  return boxes;
+}
+
+/**
+ * Geohash cells of one precision covering all the boxes, each with the boxes
+ * it overlaps, or null if that takes more than MAX_CORRIDOR_CELLS cells
+ */
+function cellsCoveringBoxes(boxes, precision) {
+  const cells = new Map();
+
+  for (const box of boxes) {
+    if (geohashCellCount(box, precision) > MAX_CORRIDOR_CELLS) {
+      return null;
+    }
+    for (const cell of geohashesCoveringBbox(box, precision)) {
+      if (!cells.has(cell)) {
+        cells.set(cell, []);
+      }
+      cells.get(cell).push(box);
+    }
+    if (cells.size > MAX_CORRIDOR_CELLS) {
+      return null;
+    }
+  }
+
+  return cells;
+}
+
+/**
+ * Find public campsites within widthInM meters of a route
+ * Queries the geohash cells covering the corridor, at the finest precision
+ * that needs at most MAX_CORRIDOR_CELLS of them, then drops the matches outside
+ * it: a campsite is only measured against the route segments whose boxes
+ * hold it, and skipped if there are none. Each campsite gets its distance
+ * along the route and from the route in meters; results are ordered by
+ * distance along the route
+ * At most limit campsites are read from each cell and returned, and truncated
+ * tells whether the corridor may hold more
+ */
+async function findPublicCampsitesAlongRoute(points, widthInM, limit) {
+  const lengths = segmentLengths(points);
+  const starts = segmentStarts(lengths);
+  const boxes = corridorBoxes(points, lengths, widthInM);
+
+  // Precision 1 never needs more than the 32 cells of the whole world
+  let cells = cellsCoveringBoxes(boxes, 1);
+  for (let precision = 2; precision <= MAX_CORRIDOR_PRECISION; precision++) {
+    const covering = cellsCoveringBoxes(boxes, precision);
+    if (!covering) {
+      break;
+    }
+    cells = covering;
+  }
+
+  const query = admin.firestore().collection('campsites')
+    .where('visibility', '==', 'public');
+
+  const cellBoxes = [...cells.values()];
+  const snapshots = await Promise.all([...cells.keys()].map(cell =>
+    query.orderBy('geohash').startAt(cell).endAt(`${cell}~`).limit(limit + 1).get()
+  ));
+
+  const matches = [];
+  snapshots.forEach((snapshot, index) => {
+    for (const doc of snapshot.docs) {
+      const campsite = { id: doc.id, ...doc.data() };
+      if (!campsite.location) {
+        continue;
+      }
+
+      const position = positionOf(campsite);
+      const segments = new Set(cellBoxes[index]
+        .filter(box => inBbox(box, position))
+        .map(box => box.segment));
+      if (segments.size === 0) {
+        continue;
+      }
+
+      const { along, offset } = locateOnSegments(points, position, lengths, starts, segments);
+      if (offset <= widthInM) {
+        matches.push({ ...campsite, alongRouteMeters: along, fromRouteMeters: offset });
+      }
+    }
+  });
+
+  // A full cell may have had more campsites in the corridor past the limit
+  const truncated = matches.length > limit || snapshots.some(snap => snap.docs.length > limit);
+
+  return {
+    campsites: matches.sort((a, b) => a.alongRouteMeters - b.alongRouteMeters).slice(0, limit),
+    truncated
+  };
+}
+
+module.exports = {
+  decodePolyline,
+  parseRoute,
+  locateOnRoute,
+  routeLength,
+  findPublicCampsitesAlongRoute
+};
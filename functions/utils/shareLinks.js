@@ -0,0 +1,122 @@
+/**
+ * Share links
+ * Owners can create links that grant read access to a private or unlisted
+ * campsite. Only a hash of each link's token is stored, as the shareLinks
+ * document ID, so tokens cannot be recovered from the database
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+
+// Default and maximum lifetime of a share link
+const DEFAULT_EXPIRY_HOURS = 7 * 24;
+const MAX_EXPIRY_HOURS = 90 * 24;
+
+// Upper bound for a link's view limit
+const MAX_VIEWS_LIMIT = 10000;
+
+/**
+ * Generate a new random share token
+ */
+function generateToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Hash a share token into its shareLinks document ID
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Get the share token sent with a request, from the shareToken query
+ * parameter or the X-Share-Token header
+ */
+function shareTokenOf(req) {
+  const token = req.query.shareToken || req.get('X-Share-Token');
+  return typeof token === 'string' && token ? token : null;
+}
+
+/**
+ * Get the state of a share link: active, revoked, expired or exhausted
+ * (the view limit has been used up)
+ */
+function linkStatus(link) {
+  if (link.revoked) {
+    return 'revoked';
+  }
+  if (link.expiresAt.toMillis() <= Date.now()) {
+    return 'expired';
+  }
+  if (link.maxViews && link.viewCount >= link.maxViews) {
+    return 'exhausted';
+  }
+  return 'active';
+}
+
+/**
+ * Find the share link sent with a request for the given campsite
+ * Returns { ref, ...link } or null if no token was sent or it does not match
+ */
+async function findShareLink(req, campsiteId) {
+  const token = shareTokenOf(req);
+  if (!token) {
+    return null;
+  }
+
+  const ref = admin.firestore().collection('shareLinks').doc(hashToken(token));
+  const doc = await ref.get();
+
+  if (!doc.exists || doc.data().campsiteId !== campsiteId) {
+    return null;
+  }
+
+  return { ref, ...doc.data() };
+}
+
+/**
+ * Check whether a share link still grants access to the campsite's details,
+ * such as reviews
+ * Only campsite reads count as views, so once a link has used up its views it
+ * stops granting access to the details too
+ */
+function shareLinkAllows(link) {
+  return Boolean(link) && linkStatus(link) === 'active';
+}
+
+/**
+ * Count a view of the campsite through a share link
+ * Returns false, without counting, if the link is no longer active
+ */
+async function consumeView(link) {
+  const db = admin.firestore();
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(link.ref);
+
+    if (!doc.exists || linkStatus(doc.data()) !== 'active') {
+      return false;
+    }
+
+    transaction.update(link.ref, {
+      viewCount: (doc.data().viewCount || 0) + 1,
+      lastViewedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return true;
+  });
+}
+
+module.exports = {
+  DEFAULT_EXPIRY_HOURS,
+  MAX_EXPIRY_HOURS,
+  MAX_VIEWS_LIMIT,
+  generateToken,
+  hashToken,
+  shareTokenOf,
+  linkStatus,
+  findShareLink,
+  shareLinkAllows,
+  consumeView
+};
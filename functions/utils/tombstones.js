@@ -0,0 +1,61 @@
+const admin = require('firebase-admin');
+const { positionOf } = require('./geo');
+const { deleteQueryInBatches } = require('./campsiteCleanup');
+
+// Tombstones are kept this long; sync tokens older than this need a full sync
+const TOMBSTONE_RETENTION_DAYS = parseInt(process.env.TOMBSTONE_RETENTION_DAYS) || 90;
+
+/**
+ * Tombstones are keyed by type and ID, so deleting the same document twice
+ * leaves a single tombstone
+ */
+function tombstoneRef(type, id) {
+  return admin.firestore().collection('tombstones').doc(`${type}_${id}`);
+}
+
+/**
+ * Record the deletion of a synced document (a campsite, review or photo) with
+ * the given batch or transaction
+ * campsite is the data of the campsite it belonged to, or of the deleted
+ * campsite itself; its position lets sync clients filter tombstones by region
+ */
+function writeTombstone(writer, type, id, campsiteId, campsite) {
+  const [latitude, longitude] = positionOf(campsite);
+
+  writer.set(tombstoneRef(type, id), {
+    type,
+    id,
+    campsiteId,
+    latitude: latitude ?? null,
+    longitude: longitude ?? null,
+    deletedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Remove a tombstone when its document comes back, e.g. a campsite restored
+ * from the trash
+ */
+function clearTombstone(writer, type, id) {
+  writer.delete(tombstoneRef(type, id));
+}
+
+/**
+ * Delete tombstones older than the retention period
+ * Returns the number of tombstones removed
+ */
+async function purgeExpiredTombstones() {
+  const cutoff = admin.firestore.Timestamp.fromMillis(
+    Date.now() - TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  return deleteQueryInBatches(admin.firestore().collection('tombstones')
+    .where('deletedAt', '<=', cutoff));
+}
+
+module.exports = {
+  TOMBSTONE_RETENTION_DAYS,
+  writeTombstone,
+  clearTombstone,
+  purgeExpiredTombstones
+};
@@ -0,0 +1,20 @@
+const admin = require('firebase-admin');
+
+/**
+ * Look up a user by uid or email
+ * Returns null if no such user exists
+ */
+async function findUser({ uid, email }) {
+  try {
+    return uid ? await admin.auth().getUser(uid) : await admin.auth().getUserByEmail(email);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  findUser
+};
@@ -0,0 +1,102 @@
+const vtpbf = require('vt-pbf');
+const { positionOf } = require('./geo');
+
+// Tile coordinates run from 0 to TILE_EXTENT along each side
+const TILE_EXTENT = 4096;
+
+// Campsites this far outside a tile, in tile coordinates, are still drawn in
+// it, so icons on a tile edge are not cut off
+const TILE_BUFFER = 64;
+
+// Web Mercator stops short of the poles
+const MAX_MERCATOR_LATITUDE = 85.0511287798066;
+
+// Deepest zoom level tiles are served for
+const MAX_TILE_ZOOM = 22;
+
+/**
+ * Whether z/x/y names a tile of the Web Mercator tile grid
+ */
+function isValidTile(z, x, y) {
+  return [z, x, y].every(Number.isInteger) &&
+    z >= 0 && z <= MAX_TILE_ZOOM &&
+    x >= 0 && x < 2 ** z &&
+    y >= 0 && y < 2 ** z;
+}
+
+/**
+ * Position of a point on the tile grid at zoom z, in tiles from the top left
+ */
+function tilePosition(z, [latitude, longitude]) {
+  const lat = Math.max(-MAX_MERCATOR_LATITUDE, Math.min(MAX_MERCATOR_LATITUDE, latitude)) * Math.PI / 180;
+  const tiles = 2 ** z;
+
+  return {
+    x: (longitude + 180) / 360 * tiles,
+    y: (1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2 * tiles
+  };
+}
+
+/**
+ * Longitude and latitude of a position on the tile grid at zoom z
+ */
+function tileLngLat(z, x, y) {
+  const tiles = 2 ** z;
+
+  return {
+    longitude: x / tiles * 360 - 180,
+    latitude: Math.atan(Math.sinh(Math.PI * (1 - 2 * y / tiles))) * 180 / Math.PI
+  };
+}
+
+/**
+ * Bounding box of a tile, including its buffer, clamped to the world
+ */
+function tileBbox(z, x, y) {
+  const buffer = TILE_BUFFER / TILE_EXTENT;
+  const topLeft = tileLngLat(z, x - buffer, y - buffer);
+  const bottomRight = tileLngLat(z, x + 1 + buffer, y + 1 + buffer);
+
+  return {
+    minLng: Math.max(-180, topLeft.longitude),
+    minLat: Math.max(-90, bottomRight.latitude),
+    maxLng: Math.min(180, bottomRight.longitude),
+    maxLat: Math.min(90, topLeft.latitude)
+  };
+}
+
+/**
+ * Encode campsites as a vector tile with a single 'campsites' point layer
+ * Each feature carries the attributes map layers style and filter on;
+ * missing values are left out of the tile
+ */
+function encodeCampsiteTile(campsites, z, x, y) {
+  const features = campsites.map(campsite => {
+    const position = tilePosition(z, positionOf(campsite));
+
+    return {
+      type: 1, // Point
+      geometry: [[
+        Math.round((position.x - x) * TILE_EXTENT),
+        Math.round((position.y - y) * TILE_EXTENT)
+      ]],
+      tags: {
+        id: campsite.id,
+        title: campsite.title || null,
+        rating: campsite.averageRating ?? null,
+        reviewCount: campsite.reviewCount || 0,
+        hasPhotos: campsite.hasPhotos === true,
+        access: campsite.attributes?.access ?? null,
+        maxRigLength: campsite.attributes?.maxRigLength ?? null
+      }
+    };
+  });
+
+  return Buffer.from(vtpbf.fromGeojsonVt({ campsites: { features } }, { version: 2, extent: TILE_EXTENT }));
+}
+
+module.exports = {
+  isValidTile,
+  tileBbox,
+  encodeCampsiteTile
+};